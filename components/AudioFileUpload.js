@@ -0,0 +1,206 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  AUDIO_ACCEPT,
+  AUDIO_FORMATS,
+  MAX_AUDIO_BYTES,
+  MAX_AUDIO_SECONDS,
+  formatBytes,
+  formatDuration,
+  readAudioDuration,
+  validateAudioDuration,
+  validateAudioFile,
+} from "../lib/audioFiles";
+import { startTranscript, uploadAudio, waitForTranscript } from "../lib/transcriptionClient";
+
+const STATUS_LABELS = {
+  checking: "Checking",
+  invalid: "Rejected",
+  queued: "Queued",
+  uploading: "Uploading",
+  transcribing: "Transcribing",
+  completed: "Transcribed",
+  error: "Failed",
+};
+
+const STATUS_TONES = { invalid: "out", error: "out", completed: "in", uploading: "low", transcribing: "low" };
+
+const FORMAT_LIST = Object.values(AUDIO_FORMATS)
+  .map((format) => format.label)
+  .join(", ");
+
+// Rate-limited (429) uploads and transcription starts wait out Retry-After this many times before failing.
+const RATE_LIMIT_RETRIES = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let nextId = 0;
+
+// Drag-and-drop / file picker for existing consultation recordings. Files are validated in the browser
+// (type, size, duration), uploaded one at a time and transcribed in parallel through the same API as
+// the recorder. Finished transcripts open in the transcription panel via onOpen (with the file, for playback);
+// a single file opens itself.
+export default function AudioFileUpload({ onOpen, disabled = false }) {
+  const [items, setItems] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const uploadsRef = useRef(Promise.resolve());
+  const onOpenRef = useRef(onOpen);
+  const unmountedRef = useRef(false);
+  onOpenRef.current = onOpen;
+
+  useEffect(() => () => {
+    unmountedRef.current = true;
+  }, []);
+
+  const updateItem = (id, patch) => setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+
+  // Runs `request`, waiting out rate limits while the item shows how long until the next attempt.
+  const whenAllowed = async (item, request) => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await request();
+      } catch (err) {
+        if (!err.retryAfterSeconds || attempt >= RATE_LIMIT_RETRIES || unmountedRef.current) throw err;
+        updateItem(item.id, { message: `rate limited, retrying in ${err.retryAfterSeconds}s` });
+        await sleep(err.retryAfterSeconds * 1000);
+        updateItem(item.id, { message: "" });
+      }
+    }
+  };
+
+  const transcribe = async (item, openWhenDone) => {
+    try {
+      updateItem(item.id, { status: "uploading", message: "" });
+      const uploadUrl = await whenAllowed(item, () => uploadAudio(item.file, item.name));
+      const transcriptId = await whenAllowed(item, () => startTranscript(uploadUrl));
+      updateItem(item.id, { status: "transcribing", transcriptId });
+      // Polling runs alongside the next upload.
+      waitForTranscript(transcriptId, {
+        onStatus: (status) => updateItem(item.id, { message: status }),
+        isCancelled: () => unmountedRef.current,
+      })
+        .then((transcript) => {
+          if (!transcript) return;
+          updateItem(item.id, { status: "completed", message: "", transcript });
+          if (openWhenDone) onOpenRef.current({ name: item.name, transcriptId, transcript, file: item.file });
+        })
+        .catch((err) => updateItem(item.id, { status: "error", message: err.message }));
+    } catch (err) {
+      console.error("Audio file upload error:", err);
+      updateItem(item.id, { status: "error", message: err.message });
+    }
+  };
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    const added = files.map((file) => ({
+      id: `upload-${(nextId += 1)}`,
+      file,
+      name: file.name,
+      size: file.size,
+      duration: null,
+      status: "checking",
+      message: "",
+      transcriptId: "",
+      transcript: null,
+    }));
+    setItems((prev) => [...prev, ...added]);
+
+    const checked = await Promise.all(
+      added.map(async (item) => {
+        const fileError = validateAudioFile(item.file);
+        if (fileError) return { ...item, status: "invalid", message: fileError };
+        const duration = await readAudioDuration(item.file);
+        const durationError = validateAudioDuration(duration);
+        return { ...item, duration, status: durationError ? "invalid" : "queued", message: durationError || "" };
+      })
+    );
+    checked.forEach(({ id, duration, status, message }) => updateItem(id, { duration, status, message }));
+
+    const accepted = checked.filter((item) => item.status === "queued");
+    accepted.forEach((item) => {
+      uploadsRef.current = uploadsRef.current.then(() => transcribe(item, accepted.length === 1 && files.length === 1));
+    });
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) addFiles(e.dataTransfer.files);
+  };
+
+  const removeItem = (id) => setItems((prev) => prev.filter((item) => item.id !== id));
+
+  return (
+    <div className="section audio-upload" style={{ marginTop: 18 }}>
+      <div className="section-head">
+        <div className="section-title">Upload Audio Files</div>
+        {items.length > 0 && (
+          <span className="pill">
+            {items.filter((item) => item.status === "completed").length}/{items.length} transcribed
+          </span>
+        )}
+      </div>
+      <label
+        className={`drop-zone ${dragging ? "drop-zone--active" : ""} ${disabled ? "drop-zone--disabled" : ""}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!disabled) setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+      >
+        <input
+          type="file"
+          aria-label="Audio files"
+          accept={AUDIO_ACCEPT}
+          multiple
+          disabled={disabled}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+        <strong>Drop consultation recordings here or choose files</strong>
+        <span className="muted" style={{ marginBottom: 0 }}>
+          {FORMAT_LIST} · up to {formatBytes(MAX_AUDIO_BYTES)} and {formatDuration(MAX_AUDIO_SECONDS)} each
+        </span>
+      </label>
+
+      {items.length > 0 && (
+        <ul className="upload-list">
+          {items.map((item) => (
+            <li key={item.id} className="upload-item">
+              <div>
+                <div className="upload-name">{item.name}</div>
+                <div className="muted" style={{ marginBottom: 0 }}>
+                  {[formatBytes(item.size), item.duration !== null ? formatDuration(item.duration) : "", item.message]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </div>
+              </div>
+              <div className="item-actions">
+                <span className={`stock-pill stock-pill--${STATUS_TONES[item.status] || "unknown"}`}>{STATUS_LABELS[item.status]}</span>
+                {item.status === "completed" && (
+                  <button
+                    className="btn-back"
+                    onClick={() =>
+                      onOpen({ name: item.name, transcriptId: item.transcriptId, transcript: item.transcript, file: item.file })
+                    }
+                  >
+                    Review
+                  </button>
+                )}
+                {["invalid", "error", "completed"].includes(item.status) && (
+                  <button className="btn-back" onClick={() => removeItem(item.id)} title={`Remove ${item.name}`}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
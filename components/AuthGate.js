@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { CurrentUserContext } from "../lib/useCurrentUser";
+
+// Pages that render without signing in.
+const PUBLIC_PAGES = ["/login"];
+
+// Checks the session before showing a page and sends signed-out visitors to /login (returning them afterwards).
+// Signed-in pages get the user through useCurrentUser() and a bar with the account and Sign out.
+export default function AuthGate({ children }) {
+  const router = useRouter();
+  const isPublic = PUBLIC_PAGES.includes(router.pathname);
+  const [user, setUser] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (isPublic || !router.isReady) return undefined;
+    let cancelled = false;
+    setError("");
+    fetch("/api/auth/me")
+      .then(async (response) => {
+        if (cancelled) return;
+        if (response.ok) {
+          setUser((await response.json()).user);
+          return;
+        }
+        setUser(null);
+        router.replace({ pathname: "/login", query: { next: router.asPath } });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "Unable to check your sign-in");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isPublic, router.isReady]);
+
+  const signOut = async () => {
+    await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+    setUser(null);
+    router.replace("/login");
+  };
+
+  if (isPublic) return children;
+  if (error) {
+    return (
+      <div className="shell">
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+  if (!user) return null;
+
+  return (
+    <CurrentUserContext.Provider value={user}>
+      <div className="user-bar">
+        <span>
+          Signed in as <strong>{user.name}</strong>
+        </span>
+        <span className="pill">{user.role}</span>
+        {user.role === "admin" && <Link href="/users">Users</Link>}
+        {user.role === "admin" && <Link href="/audit">Audit log</Link>}
+        <button type="button" onClick={signOut}>
+          Sign out
+        </button>
+      </div>
+      {children}
+    </CurrentUserContext.Provider>
+  );
+}
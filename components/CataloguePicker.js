@@ -0,0 +1,43 @@
+import { useState } from "react";
+import { ITEM_KINDS, blankItem, itemName } from "../lib/planItems";
+
+// Adds an item to a plan section: pick a catalogue entry or type a custom name.
+export default function CataloguePicker({ kind, catalogue = [], onAdd }) {
+  const [query, setQuery] = useState("");
+  const { label } = ITEM_KINDS[kind];
+  const listId = `catalogue-${kind}`;
+
+  const add = () => {
+    const name = query.trim();
+    if (!name) return;
+    const match = catalogue.find((item) => itemName(kind, item).toLowerCase() === name.toLowerCase());
+    onAdd(match || blankItem(kind, name));
+    setQuery("");
+  };
+
+  return (
+    <div className="item-picker">
+      <input
+        className="form-input"
+        list={listId}
+        placeholder={`Add ${label.toLowerCase()} from catalogue or type a new one`}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            add();
+          }
+        }}
+      />
+      <datalist id={listId}>
+        {catalogue.map((item) => (
+          <option key={itemName(kind, item)} value={itemName(kind, item)} />
+        ))}
+      </datalist>
+      <button className="btn-back" onClick={add} disabled={!query.trim()}>
+        Add {label}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// Move up/down and remove buttons shown in the header of each plan item card.
+export default function ItemControls({ index, count, dragHandleProps = {}, onMove, onRemove }) {
+  return (
+    <div className="item-controls">
+      <span className="drag-handle" title="Drag to reorder" aria-hidden="true" {...dragHandleProps}>
+        ⋮⋮
+      </span>
+      <button type="button" title="Move up" onClick={() => onMove(index, index - 1)} disabled={index === 0}>
+        ↑
+      </button>
+      <button type="button" title="Move down" onClick={() => onMove(index, index + 1)} disabled={index === count - 1}>
+        ↓
+      </button>
+      <button type="button" title="Remove" className="item-remove" onClick={() => onRemove(index)}>
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { formatTimestamp } from "../lib/transcript";
+
+// Running transcript for live mode: finalised sentences plus the partial sentence in progress.
+export default function LiveTranscript({ status, finals, partial, error }) {
+  const statusLabel = {
+    connecting: "Connecting...",
+    streaming: "Streaming",
+    closed: "Stream ended",
+    error: "Stream error",
+  }[status];
+
+  return (
+    <div className="section">
+      <div className="section-head">
+        <div className="section-title">Live Transcript</div>
+        {statusLabel && <span className="pill">{statusLabel}</span>}
+      </div>
+      {finals.length === 0 && !partial && status !== "error" && (
+        <p className="muted" style={{ marginBottom: 0 }}>Start speaking; text appears here as the consultation happens.</p>
+      )}
+      <div className="turns">
+        {finals.map((line, idx) => (
+          <div key={`${line.start}-${idx}`} className="turn" style={{ maxWidth: "100%" }}>
+            {line.start !== null && line.start !== undefined && (
+              <div className="turn-meta">
+                <span className="turn-time">{formatTimestamp(line.start)}</span>
+              </div>
+            )}
+            <p>{line.text}</p>
+          </div>
+        ))}
+        {partial && (
+          <div className="turn live-partial" style={{ maxWidth: "100%" }}>
+            <p>{partial}</p>
+          </div>
+        )}
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
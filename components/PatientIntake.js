@@ -0,0 +1,85 @@
+import { SEX_OPTIONS, SKIN_TYPES } from "../lib/patient";
+
+// Patient/appointment intake panel shown next to the recorder; fully controlled by the parent.
+export default function PatientIntake({ patient, onChange, disabled = false }) {
+  const update = (key) => (e) => onChange({ ...patient, [key]: e.target.value });
+
+  return (
+    <div className="section" style={{ marginTop: 18 }}>
+      <div className="section-head">
+        <div className="section-title">Patient &amp; Appointment</div>
+        <span className="pill">Sent to planner</span>
+      </div>
+      <div className="form-grid">
+        <label className="form-field">
+          <span className="form-label">Name</span>
+          <input className="form-input" value={patient.name} onChange={update("name")} disabled={disabled} />
+        </label>
+        <label className="form-field">
+          <span className="form-label">Age</span>
+          <input
+            className="form-input"
+            type="number"
+            min="0"
+            max="130"
+            value={patient.age}
+            onChange={update("age")}
+            disabled={disabled}
+          />
+        </label>
+        <label className="form-field">
+          <span className="form-label">Sex</span>
+          <select className="form-input" value={patient.sex} onChange={update("sex")} disabled={disabled}>
+            <option value="">Select</option>
+            {SEX_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option.charAt(0).toUpperCase() + option.slice(1)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-field">
+          <span className="form-label">Skin Type (Fitzpatrick)</span>
+          <select className="form-input" value={patient.skin_type} onChange={update("skin_type")} disabled={disabled}>
+            <option value="">Select</option>
+            {SKIN_TYPES.map((type) => (
+              <option key={type} value={type}>
+                Type {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-field">
+          <span className="form-label">Allergies</span>
+          <input
+            className="form-input"
+            placeholder="Comma separated"
+            value={patient.allergies}
+            onChange={update("allergies")}
+            disabled={disabled}
+          />
+        </label>
+        <label className="form-field">
+          <span className="form-label">Current Medications</span>
+          <input
+            className="form-input"
+            placeholder="Comma separated"
+            value={patient.medications}
+            onChange={update("medications")}
+            disabled={disabled}
+          />
+        </label>
+        <label className="form-field" style={{ gridColumn: "1 / -1" }}>
+          <span className="form-label">Appointment Slot</span>
+          <input
+            className="form-input"
+            placeholder="Slot id from the appointment system"
+            value={patient.slot_id}
+            onChange={update("slot_id")}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { computePlanPricing, formatRupees } from "../lib/pricing";
+
+// Side-by-side cost comparison of Plans A/B/C; the cheapest total is highlighted.
+export default function PlanComparison({ plans }) {
+  if (plans.length < 2) return null;
+  const rows = plans.map((plan) => ({ plan, pricing: computePlanPricing(plan) }));
+  const cheapest = Math.min(...rows.map((r) => r.pricing.total));
+
+  const row = (label, pick) => (
+    <tr>
+      <th scope="row">{label}</th>
+      {rows.map(({ plan, pricing }) => (
+        <td key={plan.plan_id}>{pick(pricing)}</td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div className="section" style={{ marginBottom: 16 }}>
+      <div className="section-head">
+        <div className="section-title">Cost Comparison</div>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th />
+              {rows.map(({ plan }) => (
+                <th key={plan.plan_id} scope="col">{plan.plan_name || `Plan ${plan.plan_id}`}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {row("Services", (p) => formatRupees(p.subtotals.services))}
+            {row("Products", (p) => formatRupees(p.subtotals.products))}
+            {row("Lab tests", (p) => formatRupees(p.subtotals.labs))}
+            {row("Discount", (p) => (p.discount ? formatRupees(-p.discount) : "—"))}
+            {row("Tax", (p) => (p.tax ? formatRupees(p.tax) : "—"))}
+            <tr className="compare-total">
+              <th scope="row">Total</th>
+              {rows.map(({ plan, pricing }) => (
+                <td key={plan.plan_id} className={pricing.total === cheapest ? "compare-best" : ""}>
+                  {formatRupees(pricing.total)}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { computePlanPricing, defaultPricingOptions, formatRupees } from "../lib/pricing";
+
+// Per-plan cost summary with editable discount and tax; changes are written to plan.pricing_options.
+export default function PlanPricing({ plan, onChange }) {
+  const options = { ...defaultPricingOptions(), ...(plan.pricing_options || {}) };
+  const pricing = computePlanPricing(plan, options);
+
+  const update = (patch) => onChange({ ...options, ...patch });
+
+  return (
+    <div className="section">
+      <div className="section-head">
+        <div className="section-title">Cost</div>
+        {pricing.unpriced > 0 && <span className="pill">{pricing.unpriced} item(s) without price</span>}
+      </div>
+      <div className="form-grid">
+        <label className="form-field">
+          <span className="form-label">Discount</span>
+          <div style={{ display: "flex", gap: 8 }}>
+            <input
+              className="form-input"
+              type="number"
+              min="0"
+              value={options.discount.value}
+              onChange={(e) => update({ discount: { ...options.discount, value: e.target.value } })}
+            />
+            <select
+              className="form-input"
+              value={options.discount.type}
+              onChange={(e) => update({ discount: { ...options.discount, type: e.target.value } })}
+            >
+              <option value="percent">%</option>
+              <option value="amount">₹</option>
+            </select>
+          </div>
+        </label>
+        <label className="form-field">
+          <span className="form-label">Tax (%)</span>
+          <input
+            className="form-input"
+            type="number"
+            min="0"
+            value={options.tax_rate}
+            onChange={(e) => update({ tax_rate: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="price-summary">
+        <span>Services</span>
+        <span>{formatRupees(pricing.subtotals.services)}</span>
+        <span>Products</span>
+        <span>{formatRupees(pricing.subtotals.products)}</span>
+        <span>Lab tests</span>
+        <span>{formatRupees(pricing.subtotals.labs)}</span>
+        {pricing.discount > 0 && (
+          <>
+            <span>Discount</span>
+            <span>{formatRupees(-pricing.discount)}</span>
+          </>
+        )}
+        {pricing.tax > 0 && (
+          <>
+            <span>Tax ({pricing.taxRate}%)</span>
+            <span>{formatRupees(pricing.tax)}</span>
+          </>
+        )}
+        <strong>Total</strong>
+        <strong>{formatRupees(pricing.total)}</strong>
+      </div>
+    </div>
+  );
+}
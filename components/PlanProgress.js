@@ -0,0 +1,50 @@
+import { PLAN_STAGES, stageIndex } from "../lib/planStages";
+
+// Generation progress: stage checklist plus a preview of each plan as soon as it is built.
+export default function PlanProgress({ message, stage, partialPlans = [] }) {
+  const current = stage ? stageIndex(stage.id) : -1;
+  const ready = partialPlans.filter(Boolean);
+
+  return (
+    <div className="loading">
+      <div className="spinner" />
+      <p>{message}</p>
+      <ol className="plan-stages">
+        {PLAN_STAGES.map((s, idx) => (
+          <li
+            key={s.id}
+            className={idx < current || (ready.length > 0 && idx <= current) ? "done" : idx === current ? "active" : ""}
+          >
+            {s.label}
+            {idx === current && stage.message ? <span className="muted"> · {stage.message}</span> : null}
+          </li>
+        ))}
+      </ol>
+      {ready.length > 0 && (
+        <div className="grid" style={{ gridTemplateColumns: "1fr", width: "100%", marginTop: 12 }}>
+          {ready.map((plan, idx) => (
+            <div key={plan.plan_id || idx} className="plan-card">
+              <div className="plan-head">
+                <div>
+                  <div className="plan-title">{plan.plan_name || `Plan ${plan.plan_id}`}</div>
+                  <div className="plan-sub">Ready · editable once all plans are built</div>
+                </div>
+              </div>
+              <div className="plan-meta">
+                <span className="pill">Services: {(plan.services || []).length}</span>
+                <span className="pill">Products: {(plan.products || []).length}</span>
+                <span className="pill">Labs: {(plan.lab_tests || []).length}</span>
+              </div>
+              <p className="muted">
+                {[...(plan.services || []).map((s) => s.service_name), ...(plan.products || []).map((p) => p.product_name || p.name)]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="muted">Generation runs on the server; you can reload or come back to this page later.</p>
+    </div>
+  );
+}
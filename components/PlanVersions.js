@@ -0,0 +1,31 @@
+import { VERSION_LABELS } from "../lib/planVersions";
+
+// Version history of one plan; restoring copies that version into the editor (undoable like any edit).
+export default function PlanVersions({ versions = [], currentPlan, onRestore }) {
+  if (versions.length < 2) return null;
+  const current = JSON.stringify(currentPlan);
+
+  return (
+    <details className="plan-versions">
+      <summary>Versions ({versions.length})</summary>
+      <ol>
+        {[...versions].reverse().map((v) => (
+          <li key={v.version}>
+            <div>
+              <strong>v{v.version}</strong> · {VERSION_LABELS[v.source] || v.source} ·{" "}
+              <span className="muted">{new Date(v.created_at).toLocaleString()}</span>
+              {v.instruction && <div className="muted">“{v.instruction}”</div>}
+            </div>
+            {JSON.stringify(v.plan) === current ? (
+              <span className="pill">Current</span>
+            ) : (
+              <button className="btn-back" onClick={() => onRestore(v)}>
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
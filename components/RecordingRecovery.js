@@ -0,0 +1,27 @@
+import { formatBytes, formatDuration } from "../lib/audioFiles";
+
+// Offers a recording left behind by a refresh or crash (see lib/recordingStore.js) for restoring or discarding.
+export default function RecordingRecovery({ recording, onRestore, onDiscard, busy = false }) {
+  if (!recording) return null;
+  const interrupted = recording.status === "recording";
+
+  return (
+    <div className="recovery-banner" role="alert">
+      <div>
+        <strong>{interrupted ? "A recording was interrupted" : "A recording was not submitted"}</strong>
+        <div className="muted" style={{ marginBottom: 0 }}>
+          Started {new Date(recording.started_at).toLocaleString()} · {formatDuration(recording.elapsed_ms / 1000)} ·{" "}
+          {formatBytes(recording.bytes)} saved on this device
+        </div>
+      </div>
+      <div className="item-actions">
+        <button className="btn-submit" onClick={onRestore} disabled={busy}>
+          Restore Recording
+        </button>
+        <button className="btn-back" onClick={onDiscard} disabled={busy}>
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { useState } from "react";
+
+// Follow-up instruction for the planner ("budget under ₹20,000"), applied to one plan or to all of them.
+export default function RefinePanel({ plans = [], onRefine, disabled = false, maxLength = 2000 }) {
+  const [instruction, setInstruction] = useState("");
+  const [target, setTarget] = useState("");
+
+  const submit = () => {
+    if (!instruction.trim()) return;
+    onRefine({ planId: target || null, instruction: instruction.trim() });
+    setInstruction("");
+  };
+
+  return (
+    <div className="section">
+      <div className="section-head">
+        <div className="section-title">Refine Plans</div>
+      </div>
+      <div className="form-grid">
+        <label className="form-field" style={{ gridColumn: "1 / -1" }}>
+          <span className="form-label">Instruction</span>
+          <textarea
+            className="form-input"
+            rows={2}
+            maxLength={maxLength}
+            placeholder="e.g. swap oral minoxidil for topical; keep the budget under ₹20,000"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+          />
+        </label>
+        <label className="form-field">
+          <span className="form-label">Apply to</span>
+          <select className="form-input" value={target} onChange={(e) => setTarget(e.target.value)}>
+            <option value="">All plans</option>
+            {plans.map((plan) => (
+              <option key={plan.plan_id} value={plan.plan_id}>
+                {plan.plan_name || `Plan ${plan.plan_id}`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="edit-toolbar" style={{ marginTop: 12 }}>
+        <button className="btn-submit" onClick={submit} disabled={disabled || !instruction.trim()}>
+          Refine
+        </button>
+        <span className="muted">Unsaved edits are kept as a version before the planner runs again.</span>
+      </div>
+    </div>
+  );
+}
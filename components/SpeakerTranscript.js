@@ -0,0 +1,106 @@
+import { Fragment } from "react";
+import { SPEAKER_ROLES, countLowConfidence, formatTimestamp, isLowConfidence } from "../lib/transcript";
+
+// Renders one timed word: low-confidence words are underlined, the word at currentMs is highlighted,
+// and when audio is available (onSeek) clicking a word jumps playback to it.
+function TranscriptWord({ word, currentMs, onSeek }) {
+  const low = isLowConfidence(word);
+  const active = currentMs !== null && currentMs >= word.start && currentMs < word.end;
+  const className = ["word", low && "word--low", active && "word--active"].filter(Boolean).join(" ");
+  const title = low ? `Low confidence (${Math.round(word.confidence * 100)}%) - verify against the audio` : undefined;
+
+  if (!onSeek) {
+    return (
+      <span className={className} title={title}>
+        {word.text}
+      </span>
+    );
+  }
+  return (
+    <button
+      type="button"
+      className={className}
+      title={title}
+      aria-current={active ? "true" : undefined}
+      onClick={() => onSeek(word.start)}
+    >
+      {word.text}
+    </button>
+  );
+}
+
+// Turn-by-turn doctor/patient conversation with editable speaker names and roles.
+// Turns with word timings render word by word so they can follow (and drive) audio playback.
+export default function SpeakerTranscript({ utterances, speakers, onSpeakersChange, currentMs = null, onSeek }) {
+  const updateSpeaker = (label, key, value) =>
+    onSpeakersChange({ ...speakers, [label]: { ...speakers[label], [key]: value } });
+  const lowConfidence = countLowConfidence(utterances);
+
+  return (
+    <div className="section">
+      <div className="section-head">
+        <div className="section-title">Conversation</div>
+        <div className="item-actions">
+          {lowConfidence > 0 && (
+            <span className="stock-pill stock-pill--low">
+              {lowConfidence} {lowConfidence === 1 ? "word" : "words"} to verify
+            </span>
+          )}
+          <span className="pill">{Object.keys(speakers).length} speakers</span>
+        </div>
+      </div>
+
+      <div className="form-grid">
+        {Object.entries(speakers).map(([label, speaker]) => (
+          <div key={label} className="form-field">
+            <span className="form-label">Speaker {label}</span>
+            <div style={{ display: "flex", gap: 8 }}>
+              <input
+                className="form-input"
+                aria-label={`Name for speaker ${label}`}
+                value={speaker.name}
+                onChange={(e) => updateSpeaker(label, "name", e.target.value)}
+              />
+              <select
+                className="form-input"
+                aria-label={`Role for speaker ${label}`}
+                value={speaker.role}
+                onChange={(e) => updateSpeaker(label, "role", e.target.value)}
+              >
+                {SPEAKER_ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {role.charAt(0).toUpperCase() + role.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="turns">
+        {utterances.map((u, idx) => {
+          const speaker = speakers[u.speaker] || {};
+          return (
+            <div key={`${u.start}-${idx}`} className={`turn turn--${speaker.role || "other"}`}>
+              <div className="turn-meta">
+                <span className="turn-speaker">{speaker.name || `Speaker ${u.speaker}`}</span>
+                <span className="turn-time">{formatTimestamp(u.start)}</span>
+              </div>
+              <p>
+                {u.words?.length
+                  ? u.words.map((word, wordIdx) => (
+                      <Fragment key={`${word.start}-${wordIdx}`}>
+                        {wordIdx > 0 && " "}
+                        <TranscriptWord word={word} currentMs={currentMs} onSeek={onSeek} />
+                      </Fragment>
+                    ))
+                  : u.text}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
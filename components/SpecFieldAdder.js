@@ -0,0 +1,34 @@
+import { useState } from "react";
+
+// Adds a new specification key (e.g. "area" or "grafts") to a service.
+export default function SpecFieldAdder({ existing = [], onAdd }) {
+  const [name, setName] = useState("");
+  const key = name.trim().toLowerCase().replace(/\s+/g, "_");
+  const duplicate = existing.includes(key);
+
+  const add = () => {
+    if (!key || duplicate) return;
+    onAdd(key);
+    setName("");
+  };
+
+  return (
+    <div className="item-picker">
+      <input
+        className="form-input"
+        placeholder="New specification field"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            add();
+          }
+        }}
+      />
+      <button className="btn-back" onClick={add} disabled={!key || duplicate}>
+        {duplicate ? "Field exists" : "Add Field"}
+      </button>
+    </div>
+  );
+}
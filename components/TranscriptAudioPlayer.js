@@ -0,0 +1,102 @@
+import { useEffect, useState } from "react";
+import { formatTimestamp } from "../lib/transcript";
+import { WAVEFORM_BARS, decodeWaveform } from "../lib/waveform";
+
+const SEEK_STEP_MS = 5000;
+
+// Plays the recording behind the transcript under review, with a waveform that seeks on click (or arrow keys).
+// The playback position is reported through onTimeChange (ms); the parent keeps audioRef to seek from words.
+// MediaRecorder WebM files carry no duration, so the decoded length or the transcript's last word stands in.
+export default function TranscriptAudioPlayer({ audio, audioRef, currentMs, onTimeChange, fallbackDurationMs = 0 }) {
+  const [src, setSrc] = useState("");
+  const [waveform, setWaveform] = useState(undefined); // undefined while decoding, null when undecodable
+  const [mediaDurationMs, setMediaDurationMs] = useState(0);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(audio);
+    let cancelled = false;
+    setSrc(url);
+    setWaveform(undefined);
+    setMediaDurationMs(0);
+    decodeWaveform(audio).then((result) => {
+      if (!cancelled) setWaveform(result);
+    });
+    return () => {
+      cancelled = true;
+      URL.revokeObjectURL(url);
+    };
+  }, [audio]);
+
+  const durationMs = mediaDurationMs || waveform?.durationMs || fallbackDurationMs;
+  const progress = durationMs ? Math.min(currentMs / durationMs, 1) : 0;
+  const peaks = waveform?.peaks || Array(WAVEFORM_BARS).fill(0);
+
+  const seek = (ms) => {
+    const element = audioRef.current;
+    if (!element) return;
+    const target = Math.min(Math.max(ms, 0), durationMs || ms);
+    element.currentTime = target / 1000;
+    onTimeChange(target);
+  };
+
+  const readDuration = (e) => {
+    const seconds = e.currentTarget.duration;
+    if (Number.isFinite(seconds)) setMediaDurationMs(seconds * 1000);
+  };
+
+  return (
+    <div className="section audio-review">
+      <div className="section-head">
+        <div className="section-title">Recording</div>
+        <span className="pill">
+          {formatTimestamp(currentMs)} / {formatTimestamp(durationMs)}
+        </span>
+      </div>
+      <svg
+        className="waveform"
+        viewBox={`0 0 ${peaks.length} 100`}
+        preserveAspectRatio="none"
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek recording"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(durationMs / 1000)}
+        aria-valuenow={Math.round(currentMs / 1000)}
+        onClick={(e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          if (durationMs) seek(((e.clientX - rect.left) / rect.width) * durationMs);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "ArrowRight") seek(currentMs + SEEK_STEP_MS);
+          if (e.key === "ArrowLeft") seek(currentMs - SEEK_STEP_MS);
+        }}
+      >
+        {peaks.map((peak, idx) => {
+          const height = Math.max(peak * 96, 3);
+          return (
+            <rect
+              key={idx}
+              x={idx + 0.15}
+              y={(100 - height) / 2}
+              width={0.7}
+              height={height}
+              className={`waveform-bar ${(idx + 1) / peaks.length <= progress ? "waveform-bar--played" : ""}`}
+            />
+          );
+        })}
+      </svg>
+      <audio
+        ref={audioRef}
+        src={src || undefined}
+        controls
+        preload="metadata"
+        aria-label="Recording playback"
+        style={{ width: "100%" }}
+        onTimeUpdate={(e) => onTimeChange(e.currentTarget.currentTime * 1000)}
+        onLoadedMetadata={readDuration}
+        onDurationChange={readDuration}
+      />
+      {waveform === null && <span className="muted" style={{ marginBottom: 0 }}>Waveform unavailable for this file.</span>}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+// Errors from the app's API routes, on the browser side. A 429 (rate limited) answer carries the seconds from its
+// Retry-After header as retryAfterSeconds, so pages can count down before offering a retry.
+export class ApiError extends Error {
+  constructor(message, { status, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Builds an ApiError from a failed fetch Response, using the body's `error` message or `fallback`.
+export async function responseError(response, fallback) {
+  const body = await response.json().catch(() => ({}));
+  const retryAfterSeconds =
+    response.status === 429 ? Number(response.headers.get("Retry-After")) || body.retry_after || null : null;
+  return new ApiError(body.error || fallback, { status: response.status, retryAfterSeconds });
+}
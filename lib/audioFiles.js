@@ -0,0 +1,96 @@
+// Audio files accepted for batch transcription, shared by the recorder's file upload and /api/upload.
+// Formats are keyed by extension; browsers report several MIME types for the same format (or none at all),
+// so the extension decides and a reported MIME type only has to be plausible.
+export const AUDIO_FORMATS = {
+  mp3: { label: "MP3", mimeTypes: ["audio/mpeg", "audio/mp3"] },
+  wav: { label: "WAV", mimeTypes: ["audio/wav", "audio/x-wav", "audio/wave", "audio/vnd.wave"] },
+  m4a: { label: "M4A", mimeTypes: ["audio/mp4", "audio/x-m4a", "audio/m4a", "audio/aac"] },
+  flac: { label: "FLAC", mimeTypes: ["audio/flac", "audio/x-flac"] },
+  ogg: { label: "OGG", mimeTypes: ["audio/ogg", "application/ogg", "audio/vorbis", "audio/opus"] },
+};
+
+// The recorder's own MediaRecorder output, accepted by /api/upload but not offered in the file picker.
+const RECORDER_FORMATS = {
+  webm: { label: "WebM", mimeTypes: ["audio/webm", "video/webm"] },
+};
+
+export const UPLOAD_EXTENSIONS = [...Object.keys(AUDIO_FORMATS), ...Object.keys(RECORDER_FORMATS)];
+
+export const MAX_AUDIO_BYTES = 100 * 1024 * 1024;
+
+export const MIN_AUDIO_SECONDS = 1;
+export const MAX_AUDIO_SECONDS = 2 * 60 * 60;
+
+// Value for the file input's accept attribute.
+export const AUDIO_ACCEPT = Object.entries(AUDIO_FORMATS)
+  .flatMap(([ext, format]) => [`.${ext}`, ...format.mimeTypes])
+  .join(",");
+
+// MIME types that say nothing about the format.
+const GENERIC_TYPES = ["", "application/octet-stream"];
+
+export const fileExtension = (name = "") => {
+  const match = /\.([a-z0-9]+)$/i.exec(name);
+  return match ? match[1].toLowerCase() : "";
+};
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Checks name, MIME type and size; returns an error message or null. `extensions` widens the accepted formats.
+export function validateAudioFile({ name, type, size }, { extensions = Object.keys(AUDIO_FORMATS) } = {}) {
+  const ext = fileExtension(name);
+  const format = AUDIO_FORMATS[ext] || RECORDER_FORMATS[ext];
+  if (!extensions.includes(ext) || !format) {
+    const labels = Object.values(AUDIO_FORMATS).map((f) => f.label);
+    return `Unsupported file type${ext ? ` .${ext}` : ""}; use ${labels.slice(0, -1).join(", ")} or ${labels.at(-1)}`;
+  }
+  const mime = (type || "").split(";")[0].trim().toLowerCase();
+  if (!GENERIC_TYPES.includes(mime) && !format.mimeTypes.includes(mime)) {
+    return `File content (${mime}) does not match its .${ext} extension`;
+  }
+  if (!size) return "The file is empty";
+  if (size > MAX_AUDIO_BYTES) return `The file is ${formatBytes(size)}; the limit is ${formatBytes(MAX_AUDIO_BYTES)}`;
+  return null;
+}
+
+// Checks a duration in seconds; null (unknown, e.g. a codec the browser cannot decode) is left to the provider.
+export function validateAudioDuration(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < MIN_AUDIO_SECONDS) return "The recording is shorter than a second";
+  if (seconds > MAX_AUDIO_SECONDS) {
+    return `The recording is ${formatDuration(seconds)} long; the limit is ${formatDuration(MAX_AUDIO_SECONDS)}`;
+  }
+  return null;
+}
+
+// Reads a file's duration in the browser from its metadata; resolves null when it cannot be determined.
+export function readAudioDuration(file, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const audio = document.createElement("audio");
+    let timer = null;
+    const finish = (value) => {
+      clearTimeout(timer);
+      audio.removeAttribute("src");
+      URL.revokeObjectURL(url);
+      resolve(Number.isFinite(value) ? value : null);
+    };
+    timer = setTimeout(() => finish(null), timeoutMs);
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => finish(audio.duration);
+    audio.onerror = () => finish(null);
+    audio.src = url;
+  });
+}
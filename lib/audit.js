@@ -0,0 +1,139 @@
+import { randomUUID } from "crypto";
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import readline from "readline";
+import { AUDIT_ACTION_LABELS } from "./auditActions.js";
+import { dataPath, readCollection } from "./store.js";
+
+// Append-only audit trail of clinical actions: who did what, when, and for which session.
+// Entries are appended to data/audit-log.jsonl, one JSON object per line, so a write never rewrites earlier
+// entries and a crash can at worst cut off the line being written. Nothing in the app edits or removes them.
+// Edits carry field-level changes ({ field, from, to }) so a reviewer can see exactly what moved.
+const LOG_FILE = "audit-log.jsonl";
+
+// Entries recorded before the log moved to JSONL, kept as a JSON array in the "audit-log" collection.
+const LEGACY_COLLECTION = "audit-log";
+
+// Columns of the CSV export; an entry with several changes becomes one row per change.
+export const AUDIT_CSV_COLUMNS = ["at", "actor", "role", "action", "session_id", "summary", "field", "from", "to"];
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+// Field-level differences between two JSON values, as [{ field, from, to }] with dotted/indexed paths
+// (e.g. "medications[1].dose"). Added or removed fields show null on the missing side.
+export function diffValues(before, after, field = "") {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return [{ field: field || "(value)", from: before ?? null, to: after ?? null }];
+  }
+  const keys = Array.isArray(before)
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap((key) => {
+    const path = Array.isArray(before) ? `${field}[${key}]` : field ? `${field}.${key}` : key;
+    return diffValues(before[key], after[key], path);
+  });
+}
+
+// Appends one entry. A failed write rejects, so the request reports the failure instead of leaving a gap in the log.
+export async function recordAudit({ actor, action, session_id = null, summary = "", changes = [], details = {} }) {
+  const entry = {
+    id: `aud-${randomUUID()}`,
+    at: new Date().toISOString(),
+    actor: actor ? { id: actor.id, username: actor.username, role: actor.role } : null,
+    action,
+    session_id: session_id || null,
+    summary: summary || AUDIT_ACTION_LABELS[action] || action,
+    changes,
+    details,
+  };
+  await fs.mkdir(dataPath(), { recursive: true });
+  await fs.appendFile(dataPath(LOG_FILE), `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+// Records one "edit" entry per plan whose edited copy differs from the baseline copy with the same plan_id.
+export async function recordPlanEdits({ actor, session_id, baselinePlans = [], editedPlans = [] }) {
+  const edits = editedPlans
+    .filter((plan) => isObject(plan))
+    .map((plan) => {
+      const baseline = baselinePlans.find((p) => p?.plan_id === plan.plan_id);
+      return { plan, changes: baseline ? diffValues(baseline, plan) : [] };
+    })
+    .filter(({ changes }) => changes.length > 0);
+  return Promise.all(
+    edits.map(({ plan, changes }) =>
+      recordAudit({
+        actor,
+        action: "edit",
+        session_id,
+        summary: `Edited ${plan.plan_name || `plan ${plan.plan_id}`} (${changes.length} field${changes.length === 1 ? "" : "s"})`,
+        changes,
+        details: { plan_id: plan.plan_id },
+      })
+    )
+  );
+}
+
+// Every entry oldest first, read line by line so the log is never loaded into memory whole.
+async function* readEntries() {
+  yield* await readCollection(LEGACY_COLLECTION, []);
+  const file = dataPath(LOG_FILE);
+  try {
+    await fs.access(file);
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+  const lines = readline.createInterface({ input: createReadStream(file, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // Only a write cut short by a crash leaves a partial line; the entries around it are still good.
+      console.warn("[audit] skipped an unreadable log line");
+    }
+  }
+}
+
+// Streams entries oldest first, filtered by session_id, actor (username), action and an at date range (YYYY-MM-DD).
+export async function* auditEntries({ session_id, actor, action, from, to } = {}) {
+  const fromTime = from ? Date.parse(`${from}T00:00:00`) : null;
+  const toTime = to ? Date.parse(`${to}T23:59:59.999`) : null;
+  const username = (actor || "").trim().toLowerCase();
+
+  for await (const entry of readEntries()) {
+    const at = Date.parse(entry.at);
+    if (session_id && entry.session_id !== session_id) continue;
+    if (username && entry.actor?.username !== username) continue;
+    if (action && entry.action !== action) continue;
+    if (fromTime !== null && !Number.isNaN(fromTime) && at < fromTime) continue;
+    if (toTime !== null && !Number.isNaN(toTime) && at > toTime) continue;
+    yield entry;
+  }
+}
+
+// The filtered entries as an array, oldest first.
+export async function listAuditEntries(filters = {}) {
+  const entries = [];
+  for await (const entry of auditEntries(filters)) entries.push(entry);
+  return entries;
+}
+
+// Quotes where needed; text starting with = + - @ is prefixed with ' so spreadsheets do not run it as a formula.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "string" ? value.replace(/^[=+\-@]/, "'$&") : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const AUDIT_CSV_HEADER = AUDIT_CSV_COLUMNS.join(",");
+
+// Renders one entry as CSV rows (AUDIT_CSV_COLUMNS), one row per change so each edited field can be read on its
+// own line; rows are separated by CRLF with no trailing line break.
+export function auditEntryToCsv(entry) {
+  const base = [entry.at, entry.actor?.username, entry.actor?.role, entry.action, entry.session_id, entry.summary];
+  const changes = entry.changes?.length ? entry.changes : [{}];
+  return changes.map((change) => [...base, change.field, change.from, change.to].map(csvCell).join(",")).join("\r\n");
+}
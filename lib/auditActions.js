@@ -0,0 +1,11 @@
+// Actions recorded in the audit log (lib/audit.js), shared with the audit page.
+export const AUDIT_ACTIONS = ["upload", "transcribe", "generate", "refine", "edit", "select"];
+
+export const AUDIT_ACTION_LABELS = {
+  upload: "Uploaded audio",
+  transcribe: "Started transcription",
+  generate: "Generated plans",
+  refine: "Refined plans",
+  edit: "Edited plan",
+  select: "Selected plan",
+};
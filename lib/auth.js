@@ -0,0 +1,125 @@
+import { createHash, randomBytes } from "crypto";
+import { getConfig } from "./config.js";
+import { errorSummary } from "./logging.js";
+import { readCollection, updateCollection } from "./store.js";
+import { ensureBootstrapAdmin, findUserByUsername, getUser, publicUser, verifyPassword } from "./users.js";
+
+// Cookie sessions for signed-in clinicians. The cookie carries a random token; only its SHA-256 is stored,
+// in the "auth-sessions" collection, so the data directory alone cannot be used to sign in.
+// Sessions last AUTH_SESSION_HOURS (12 by default).
+export const SESSION_COOKIE = "tp_session";
+const sessionTtlMs = () => getConfig().auth.sessionTtlMs;
+const COLLECTION = "auth-sessions";
+
+// Verifies against this when the username is unknown, so both failures take the same time.
+const DUMMY_HASH = "scrypt$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA";
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+const isExpired = (session, now = Date.now()) => Date.parse(session.expires_at) <= now;
+
+// Reads one cookie from a raw Cookie header (API routes and WebSocket upgrades alike).
+export function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+// HttpOnly + SameSite=Lax keeps the token away from scripts and cross-site form posts; Secure behind HTTPS.
+export function sessionCookie(req, token, maxAgeMs = sessionTtlMs()) {
+  const secure = req.headers["x-forwarded-proto"] === "https" || req.socket?.encrypted;
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    secure && "Secure",
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+// Checks credentials and opens a session; returns { user, token }.
+export async function signIn(username, password) {
+  if (!(await ensureBootstrapAdmin())) {
+    throw new AuthError("No user accounts exist; set AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD", 503);
+  }
+  const user = await findUserByUsername(username);
+  const valid = await verifyPassword(password || "", user?.password_hash || DUMMY_HASH);
+  if (!user || !valid) throw new AuthError("Invalid username or password");
+  if (user.disabled) throw new AuthError("This account is disabled", 403);
+
+  const token = randomBytes(32).toString("base64url");
+  const now = Date.now();
+  await updateCollection(COLLECTION, (sessions) => {
+    const live = Object.fromEntries(Object.entries(sessions).filter(([, session]) => !isExpired(session, now)));
+    live[hashToken(token)] = {
+      user_id: user.id,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + sessionTtlMs()).toISOString(),
+    };
+    return live;
+  });
+  return { user: publicUser(user), token };
+}
+
+export async function signOut(token) {
+  if (!token) return;
+  const key = hashToken(token);
+  await updateCollection(COLLECTION, (sessions) => {
+    if (!sessions[key]) return sessions;
+    const { [key]: removed, ...rest } = sessions;
+    return rest;
+  });
+}
+
+// The signed-in (and still enabled) user behind the request's session cookie, or null.
+export async function userForRequest(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return null;
+  const session = (await readCollection(COLLECTION))[hashToken(token)];
+  if (!session || isExpired(session)) return null;
+  const user = await getUser(session.user_id);
+  return user && !user.disabled ? publicUser(user) : null;
+}
+
+// Admins pass every role check.
+export const hasRole = (user, roles) => !roles || user.role === "admin" || roles.includes(user.role);
+
+// Wraps an API route so it only runs for signed-in users; the user is available as req.user.
+// `roles` limits every method to those roles, or maps methods to roles ({ POST: ["doctor"] }); unlisted methods
+// are open to any signed-in user.
+export function withAuth(handler, { roles } = {}) {
+  return async function authenticated(req, res) {
+    let user = null;
+    try {
+      user = await userForRequest(req);
+    } catch (error) {
+      console.error("Session lookup error:", errorSummary(error));
+      return res.status(500).json({ error: "Failed to check sign-in", details: error.message });
+    }
+    if (!user) {
+      return res.status(401).json({ error: "Sign in required" });
+    }
+    const allowed = Array.isArray(roles) ? roles : roles?.[req.method];
+    if (!hasRole(user, allowed)) {
+      return res.status(403).json({ error: `This action is not available to the ${user.role} role` });
+    }
+    req.user = user;
+    return handler(req, res);
+  };
+}
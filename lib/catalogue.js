@@ -0,0 +1,226 @@
+import { randomUUID } from "crypto";
+import { readCollection, updateCollection } from "./store.js";
+
+// Clinic-managed catalogue of products (with stock), services and lab tests.
+// Planner cards resolve prices and stock from here instead of trusting the gateway response.
+const COLLECTION = "catalogue";
+
+// Column definitions per kind; also the CSV headers accepted by importCatalogueCsv.
+export const CATALOGUE_FIELDS = {
+  products: [
+    { key: "name", type: "text", required: true },
+    { key: "composition", type: "text" },
+    { key: "stock_quantity", type: "integer" },
+    { key: "MRP_cost", type: "number" },
+    { key: "cost", type: "number" },
+    { key: "unit", type: "text" },
+  ],
+  services: [
+    { key: "name", type: "text", required: true },
+    { key: "cost_per_session", type: "number" },
+    { key: "description", type: "text" },
+  ],
+  lab_tests: [
+    { key: "name", type: "text", required: true },
+    { key: "price", type: "number" },
+  ],
+};
+
+export const CATALOGUE_KINDS = Object.keys(CATALOGUE_FIELDS);
+
+// status is 400 for invalid input and 409 when a name is already taken by another item.
+export class CatalogueValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const nameKey = (name) => name.trim().toLowerCase().replace(/\s+/g, " ");
+
+const assertKind = (kind) => {
+  if (!CATALOGUE_KINDS.includes(kind)) {
+    throw new CatalogueValidationError(`Unknown catalogue kind "${kind}" (expected ${CATALOGUE_KINDS.join(", ")})`);
+  }
+};
+
+// Validates one item and coerces numeric columns; empty values become null.
+// The id stays null when none is given so upsertItems can tell new rows from edits.
+export function normalizeCatalogueItem(kind, input = {}) {
+  assertKind(kind);
+  const item = { id: typeof input.id === "string" && input.id ? input.id : null };
+  CATALOGUE_FIELDS[kind].forEach(({ key, type, required }) => {
+    const raw = typeof input[key] === "string" ? input[key].trim() : input[key];
+    if (raw === undefined || raw === null || raw === "") {
+      if (required) throw new CatalogueValidationError(`"${key}" is required`);
+      item[key] = null;
+      return;
+    }
+    if (type === "text") {
+      item[key] = String(raw);
+      return;
+    }
+    const number = Number(String(raw).replace(/[₹,\s]/g, ""));
+    if (!Number.isFinite(number) || number < 0 || (type === "integer" && !Number.isInteger(number))) {
+      throw new CatalogueValidationError(`"${key}" must be a non-negative ${type === "integer" ? "whole number" : "number"}`);
+    }
+    item[key] = number;
+  });
+  return item;
+}
+
+export async function getCatalogue() {
+  const catalogue = await readCollection(COLLECTION);
+  return {
+    products: catalogue.products || [],
+    services: catalogue.services || [],
+    lab_tests: catalogue.lab_tests || [],
+    updated_at: catalogue.updated_at || null,
+  };
+}
+
+// Inserts or replaces items. Items with an id are matched on id only; items without one (CSV rows)
+// fall back to the name so re-imports update in place. A name already used by another item is rejected:
+// onClash gets the error and the item's index, and throws it unless given.
+const upsertItems = (existing, items, onClash = (error) => {
+  throw error;
+}) => {
+  const next = [...existing];
+  const saved = [];
+  let created = 0;
+  let updated = 0;
+  items.forEach((item, position) => {
+    const idx = item.id
+      ? next.findIndex((e) => e.id === item.id)
+      : next.findIndex((e) => nameKey(e.name) === nameKey(item.name));
+    const clash = next.find((e, i) => i !== idx && nameKey(e.name) === nameKey(item.name));
+    if (clash) {
+      onClash(new CatalogueValidationError(`An item named "${clash.name}" already exists`, 409), position);
+      return;
+    }
+    if (idx === -1) {
+      next.push({ ...item, id: item.id || randomUUID() });
+      created += 1;
+      saved.push(next[next.length - 1]);
+    } else {
+      next[idx] = { ...item, id: next[idx].id };
+      updated += 1;
+      saved.push(next[idx]);
+    }
+  });
+  return { items: next, saved, created, updated };
+};
+
+export async function saveCatalogueItem(kind, input) {
+  const item = normalizeCatalogueItem(kind, input);
+  let saved = item;
+  await updateCollection(COLLECTION, (catalogue) => {
+    const { items, saved: [stored] } = upsertItems(catalogue[kind] || [], [item]);
+    saved = stored;
+    return { ...catalogue, [kind]: items, updated_at: new Date().toISOString() };
+  });
+  return saved;
+}
+
+export async function deleteCatalogueItem(kind, id) {
+  assertKind(kind);
+  let removed = false;
+  await updateCollection(COLLECTION, (catalogue) => {
+    const items = catalogue[kind] || [];
+    const remaining = items.filter((e) => e.id !== id);
+    removed = remaining.length !== items.length;
+    return removed ? { ...catalogue, [kind]: remaining, updated_at: new Date().toISOString() } : catalogue;
+  });
+  return removed;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF/LF line endings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Imports a CSV whose header row names catalogue columns (case-insensitive; "mrp" is accepted for MRP_cost).
+// Valid rows are upserted by name; invalid rows, including a name repeated in the file or clashing with
+// another item, are reported by row number (the header is row 1) and skipped.
+export async function importCatalogueCsv(kind, text, { replace = false } = {}) {
+  assertKind(kind);
+  const [header = [], ...rows] = parseCsv(typeof text === "string" ? text.replace(/^\uFEFF/, "") : "");
+  const aliases = { mrp: "MRP_cost", mrp_cost: "MRP_cost", stock: "stock_quantity", quantity: "stock_quantity" };
+  const known = CATALOGUE_FIELDS[kind].map((f) => f.key);
+  const columns = header.map((h) => {
+    const key = h.trim().toLowerCase().replace(/\s+/g, "_");
+    return aliases[key] || known.find((k) => k.toLowerCase() === key) || null;
+  });
+  if (!columns.includes("name")) {
+    throw new CatalogueValidationError('CSV header must include a "name" column');
+  }
+
+  const items = [];
+  const lines = [];
+  const errors = [];
+  const seen = new Map();
+  rows.forEach((values, idx) => {
+    const line = idx + 2;
+    const input = {};
+    columns.forEach((key, col) => {
+      if (key) input[key] = values[col];
+    });
+    try {
+      const item = normalizeCatalogueItem(kind, input);
+      const earlier = seen.get(nameKey(item.name));
+      if (earlier) throw new CatalogueValidationError(`"${item.name}" is already on row ${earlier}`);
+      seen.set(nameKey(item.name), line);
+      items.push(item);
+      lines.push(line);
+    } catch (error) {
+      if (!(error instanceof CatalogueValidationError)) throw error;
+      errors.push({ line, error: error.message });
+    }
+  });
+
+  let result = { created: 0, updated: 0, clashes: [] };
+  await updateCollection(COLLECTION, (catalogue) => {
+    const clashes = [];
+    const { items: merged, created, updated } = upsertItems(replace ? [] : catalogue[kind] || [], items, (error, position) =>
+      clashes.push({ line: lines[position], error: error.message })
+    );
+    result = { created, updated, clashes };
+    return { ...catalogue, [kind]: merged, updated_at: new Date().toISOString() };
+  });
+  const { clashes, ...counts } = result;
+  return { ...counts, errors: [...errors, ...clashes].sort((a, b) => a.line - b.line) };
+}
@@ -0,0 +1,106 @@
+import { catalogueFromPlans, itemName } from "./planItems.js";
+
+// Resolves plan items against the clinic catalogue (see lib/catalogue.js) on the client.
+// Items are matched on the catalogue id they already carry, then by name, so a renamed entry stays matched.
+// Matched items take the catalogue's prices and get `catalogue: { id, matched: true, stock_quantity }`;
+// unmatched items get `catalogue: { matched: false }` so the planner can flag them.
+export const LOW_STOCK_THRESHOLD = 5;
+
+const key = (name) => (name || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+const indexKind = (items = []) => ({
+  byId: new Map(items.map((item) => [item.id, item])),
+  byName: new Map(items.map((item) => [key(item.name), item])),
+});
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+const resolveItem = (kind, item, index) => {
+  const entry = (item.catalogue?.id && index.byId.get(item.catalogue.id)) || index.byName.get(key(itemName(kind, item)));
+  if (!entry) return { ...item, catalogue: { matched: false } };
+
+  const resolved = { ...item, catalogue: { id: entry.id, matched: true } };
+  if (kind === "products") {
+    resolved.catalogue.stock_quantity = entry.stock_quantity;
+    if (hasValue(entry.MRP_cost)) resolved.MRP_cost = entry.MRP_cost;
+    if (hasValue(entry.cost)) resolved.cost = entry.cost;
+    if (!resolved.composition && entry.composition) resolved.composition = entry.composition;
+  } else if (kind === "lab_tests") {
+    if (hasValue(entry.price)) resolved.price = entry.price;
+  } else if (hasValue(entry.cost_per_session) && !(item.service_cost_variable_options || []).length) {
+    resolved.service_cost_variable_options = [{ session: 1, cost_per_session: entry.cost_per_session }];
+  }
+  return resolved;
+};
+
+// Returns the plan with catalogue data applied; kinds with no catalogue entries keep the gateway values.
+export function resolvePlanItems(plan, catalogue) {
+  if (!plan || !catalogue) return plan;
+  const resolved = { ...plan };
+  ["services", "products", "lab_tests"].forEach((kind) => {
+    if (!plan[kind]) return;
+    if (!(catalogue[kind] || []).length) {
+      // Drop annotations saved with an earlier selection so stale stock levels are not shown.
+      resolved[kind] = plan[kind].map(({ catalogue: _unused, ...item }) => item);
+      return;
+    }
+    const index = indexKind(catalogue[kind]);
+    resolved[kind] = plan[kind].map((item) => resolveItem(kind, item, index));
+  });
+  return resolved;
+}
+
+// Catalogue entries converted to the plan item shape used by the orchestrator.
+const toPlanItem = (kind, entry) => {
+  const catalogueRef = { id: entry.id, matched: true };
+  if (kind === "products") {
+    return {
+      product_name: entry.name,
+      composition: entry.composition || "",
+      dosage: "",
+      frequency: "",
+      duration: "",
+      route: "",
+      instruction: "",
+      MRP_cost: entry.MRP_cost,
+      cost: entry.cost,
+      catalogue: { ...catalogueRef, stock_quantity: entry.stock_quantity },
+    };
+  }
+  if (kind === "lab_tests") return { lab_test_name: entry.name, price: entry.price, catalogue: catalogueRef };
+  return {
+    service_name: entry.name,
+    specifications: {},
+    service_cost_variable_options: hasValue(entry.cost_per_session) ? [{ session: 1, cost_per_session: entry.cost_per_session }] : [],
+    catalogue: catalogueRef,
+  };
+};
+
+// Picker suggestions: clinic catalogue entries first, then items proposed in the session's plans.
+export function pickerCatalogue(catalogue, plans) {
+  const fromPlans = catalogueFromPlans(plans);
+  const merged = {};
+  Object.keys(fromPlans).forEach((kind) => {
+    const seen = new Set();
+    merged[kind] = [...(catalogue?.[kind] || []).map((entry) => toPlanItem(kind, entry)), ...fromPlans[kind]].filter((item) => {
+      const name = key(itemName(kind, item));
+      if (seen.has(name)) return false;
+      seen.add(name);
+      return true;
+    });
+  });
+  return merged;
+}
+
+// Stock pill for a product: catalogue stock when matched, otherwise the gateway's verified flag.
+export function stockStatus(product) {
+  if (product.catalogue?.matched) {
+    const quantity = product.catalogue.stock_quantity;
+    if (!hasValue(quantity)) return { tone: "unknown", label: "Stock unknown" };
+    if (quantity <= 0) return { tone: "out", label: "Out of stock" };
+    if (quantity <= LOW_STOCK_THRESHOLD) return { tone: "low", label: `Low stock (${quantity})` };
+    return { tone: "in", label: `In stock (${quantity})` };
+  }
+  if (product.catalogue) return { tone: "unknown", label: "Not in catalogue" };
+  return product.verified === true ? { tone: "in", label: "In stock" } : { tone: "out", label: "Out of stock" };
+}
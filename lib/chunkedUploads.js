@@ -0,0 +1,185 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import { MAX_AUDIO_BYTES, UPLOAD_EXTENSIONS, validateAudioFile } from "./audioFiles.js";
+import { dataPath, readCollection, updateCollection } from "./store.js";
+
+// Resumable audio uploads, so a dropped connection only costs the chunk in flight:
+//   POST /api/uploads { filename, size, mime_type } creates an upload,
+//   PATCH /api/uploads/<id> with an Upload-Offset header appends one chunk at that offset,
+//   GET /api/uploads/<id> reports how many bytes arrived (where to resume),
+//   POST /api/uploads/<id>/complete hands the assembled file to the transcription provider.
+// Records live in the "uploads" collection; partial files under data/upload-parts until completed.
+// Each upload belongs to the user who created it; every other user is told it does not exist.
+const COLLECTION = "uploads";
+
+export const UPLOAD_CHUNK_BYTES = 4 * 1024 * 1024;
+export const MAX_CHUNK_BYTES = 8 * 1024 * 1024;
+
+// Unfinished uploads are dropped this long after their last chunk.
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A "completing" claim older than this was left by a server that stopped mid-upload and may be taken over.
+const COMPLETING_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const UPLOAD_STATUSES = ["receiving", "complete", "completing", "uploaded"];
+
+const isUploadId = (value) =>
+  typeof value === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+// Rejected upload requests; `status` is the HTTP status and `received` tells the client where to resume.
+export class UploadError extends Error {
+  constructor(message, status = 400, received = undefined) {
+    super(message);
+    this.status = status;
+    this.received = received;
+  }
+}
+
+// Upload ids become file names, so anything but the UUIDs createUpload() hands out is refused before a path is built.
+function partPath(uploadId) {
+  if (!isUploadId(uploadId)) throw new UploadError("Invalid upload id");
+  return dataPath("upload-parts", `${uploadId}.part`);
+}
+
+// The upload `uploadId` if it exists and belongs to `userId`; throws 400/404 otherwise.
+function ownedUpload(uploads, uploadId, userId) {
+  if (!isUploadId(uploadId)) throw new UploadError("Invalid upload id");
+  const upload = uploads[uploadId];
+  if (!upload || upload.user_id !== userId) throw new UploadError("Upload not found", 404);
+  return upload;
+}
+
+// Public view of an upload record.
+export const uploadView = ({ upload_id, filename, mime_type, size, received, status, upload_url, created_at, updated_at }) => ({
+  upload_id,
+  filename,
+  mime_type,
+  size,
+  received,
+  status,
+  upload_url: upload_url || null,
+  chunk_size: UPLOAD_CHUNK_BYTES,
+  created_at,
+  updated_at,
+});
+
+// Removes uploads (and their partial files) that have not been touched within UPLOAD_TTL_MS.
+async function purgeExpiredUploads() {
+  const cutoff = Date.now() - UPLOAD_TTL_MS;
+  const expired = [];
+  await updateCollection(COLLECTION, (uploads) => {
+    const kept = {};
+    Object.entries(uploads).forEach(([id, upload]) => {
+      if (Date.parse(upload.updated_at) < cutoff) expired.push(id);
+      else kept[id] = upload;
+    });
+    return kept;
+  });
+  await Promise.all(expired.map((id) => fs.rm(partPath(id), { force: true })));
+}
+
+export async function createUpload({ filename, size, mime_type, user_id }) {
+  const bytes = Number(size);
+  if (typeof filename !== "string" || !filename.trim()) throw new UploadError("filename is required");
+  if (!Number.isInteger(bytes) || bytes <= 0) throw new UploadError("size must be a positive number of bytes");
+  const invalid = validateAudioFile({ name: filename, type: mime_type, size: bytes }, { extensions: UPLOAD_EXTENSIONS });
+  if (invalid) throw new UploadError(invalid, bytes > MAX_AUDIO_BYTES ? 413 : 400);
+
+  await purgeExpiredUploads();
+  const now = new Date().toISOString();
+  const upload = {
+    upload_id: randomUUID(),
+    user_id,
+    filename: filename.trim(),
+    mime_type: typeof mime_type === "string" ? mime_type : "",
+    size: bytes,
+    received: 0,
+    status: "receiving",
+    upload_url: null,
+    created_at: now,
+    updated_at: now,
+  };
+  await fs.mkdir(dataPath("upload-parts"), { recursive: true });
+  await fs.writeFile(partPath(upload.upload_id), "");
+  await updateCollection(COLLECTION, (uploads) => ({ ...uploads, [upload.upload_id]: upload }));
+  return upload;
+}
+
+export async function getUpload(uploadId, userId) {
+  return ownedUpload(await readCollection(COLLECTION), uploadId, userId);
+}
+
+// Appends one chunk; `offset` must equal the bytes already received, otherwise 409 with the current offset.
+export async function appendChunk(uploadId, userId, offset, chunk) {
+  let result = null;
+  await updateCollection(COLLECTION, async (uploads) => {
+    const upload = ownedUpload(uploads, uploadId, userId);
+    if (upload.status !== "receiving") throw new UploadError("Upload already received every byte", 409, upload.received);
+    if (!Number.isInteger(offset) || offset !== upload.received) {
+      throw new UploadError(`Expected Upload-Offset ${upload.received}`, 409, upload.received);
+    }
+    if (chunk.length === 0) throw new UploadError("Empty chunk");
+    if (upload.received + chunk.length > upload.size) throw new UploadError("Chunk runs past the declared size");
+
+    // The partial file is the source of truth; drop any tail left by a write whose record update never landed.
+    const file = partPath(uploadId);
+    const { size: onDisk } = await fs.stat(file);
+    if (onDisk !== upload.received) await fs.truncate(file, upload.received);
+    await fs.appendFile(file, chunk);
+
+    const received = upload.received + chunk.length;
+    result = {
+      ...upload,
+      received,
+      status: received === upload.size ? "complete" : "receiving",
+      updated_at: new Date().toISOString(),
+    };
+    return { ...uploads, [uploadId]: result };
+  });
+  return result;
+}
+
+// Sends a fully received upload to the provider. Answers { upload, handedOver }: upload carries upload_url, and
+// handedOver is true only for the call that sent it; repeat calls return the same URL. The record is claimed as
+// "completing" before any work, so a concurrent call gets 409 instead of sending the file twice.
+export async function completeUpload(uploadId, userId, provider) {
+  let upload = null;
+  await updateCollection(COLLECTION, (uploads) => {
+    upload = ownedUpload(uploads, uploadId, userId);
+    if (upload.status === "uploaded") return uploads;
+    const claimed = upload.status === "completing" && Date.parse(upload.updated_at) > Date.now() - COMPLETING_TIMEOUT_MS;
+    if (claimed) throw new UploadError("Upload is already being completed", 409, upload.received);
+    if (upload.status !== "complete" && upload.status !== "completing") {
+      throw new UploadError(`Upload has ${upload.received} of ${upload.size} bytes`, 409, upload.received);
+    }
+    return { ...uploads, [uploadId]: { ...upload, status: "completing", updated_at: new Date().toISOString() } };
+  });
+  if (upload.status === "uploaded") return { upload, handedOver: false };
+
+  let uploadUrl;
+  try {
+    const buffer = await fs.readFile(partPath(uploadId));
+    ({ uploadUrl } = await provider.upload(buffer, { filename: upload.filename }));
+  } catch (error) {
+    // Release the claim so the client can retry.
+    await updateCollection(COLLECTION, (uploads) => ({ ...uploads, [uploadId]: { ...uploads[uploadId], status: "complete" } }));
+    throw error;
+  }
+  let completed = null;
+  await updateCollection(COLLECTION, (uploads) => {
+    completed = { ...uploads[uploadId], status: "uploaded", upload_url: uploadUrl, updated_at: new Date().toISOString() };
+    return { ...uploads, [uploadId]: completed };
+  });
+  await fs.rm(partPath(uploadId), { force: true });
+  return { upload: completed, handedOver: true };
+}
+
+// Abandons an upload (e.g. a recovered recording the clinician discarded); throws 404 when `userId` has no such upload.
+export async function deleteUpload(uploadId, userId) {
+  await updateCollection(COLLECTION, (uploads) => {
+    ownedUpload(uploads, uploadId, userId);
+    const { [uploadId]: removed, ...rest } = uploads;
+    return rest;
+  });
+  await fs.rm(partPath(uploadId), { force: true });
+}
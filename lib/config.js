@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+
+// Server configuration: every setting the app reads from the environment, validated in one place.
+// Values come from the process environment, then .env files in the working directory (same order as Next.js:
+// .env.<mode>.local, .env.local, .env.<mode>, .env; variables already set always win). Secrets have no
+// defaults. next-server.js and transcribe.js call loadConfigOrExit() at startup so a missing or invalid
+// value stops the process with a list of what to fix; everything else reads getConfig() when it needs a value.
+export const DEFAULT_GATEWAY_BASE_URL = "https://dev-api-gateway.aesthatiq.com";
+export const DEFAULT_ASSEMBLYAI_BASE_URL = "https://api.assemblyai.com";
+export const TRANSCRIPTION_PROVIDERS = ["assemblyai", "local"];
+export const LIVE_BACKENDS = ["assemblyai", "mock"];
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Loads .env files into process.env without overriding variables that are already set.
+function loadEnvFiles(mode, dir = process.cwd()) {
+  const files = [`.env.${mode}.local`, mode === "test" ? null : ".env.local", `.env.${mode}`, ".env"].filter(Boolean);
+  files.forEach((file) => {
+    const fullPath = path.join(dir, file);
+    if (fs.existsSync(fullPath)) process.loadEnvFile(fullPath);
+  });
+}
+
+// Typed readers over `env` that collect problems instead of throwing at the first one.
+function createReader(env, problems) {
+  const raw = (name) => {
+    const value = env[name];
+    return typeof value === "string" && value.trim() !== "" ? value.trim() : undefined;
+  };
+
+  return {
+    string: (name, fallback = "") => raw(name) ?? fallback,
+    int(name, fallback, { min = 1 } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min) {
+        problems.push(`${name} must be a whole number of at least ${min} (got "${value}")`);
+        return fallback;
+      }
+      return number;
+    },
+    bool(name, fallback = false) {
+      const value = raw(name)?.toLowerCase();
+      if (value === undefined) return fallback;
+      if (["true", "1", "yes"].includes(value)) return true;
+      if (["false", "0", "no"].includes(value)) return false;
+      problems.push(`${name} must be true or false (got "${value}")`);
+      return fallback;
+    },
+    oneOf(name, options, fallback) {
+      const value = raw(name)?.toLowerCase() ?? fallback;
+      if (!options.includes(value)) problems.push(`${name} must be one of ${options.join(" | ")} (got "${value}")`);
+      return value;
+    },
+    url(name, fallback, { allow = [] } = {}) {
+      const value = raw(name) ?? fallback;
+      if (value === undefined || allow.includes(value.toLowerCase())) return value?.toLowerCase();
+      try {
+        const { protocol } = new URL(value);
+        if (!["http:", "https:", "ws:", "wss:"].includes(protocol)) throw new Error(protocol);
+      } catch {
+        problems.push(`${name} must be an http(s) URL (got "${value}")`);
+      }
+      return value.replace(/\/+$/, "");
+    },
+    required(name, reason) {
+      const value = raw(name);
+      if (value === undefined) problems.push(`${name} is required ${reason}`);
+      return value ?? null;
+    },
+  };
+}
+
+// Builds and validates the configuration from `env`; throws ConfigError listing every problem.
+export function buildConfig(env = process.env) {
+  const problems = [];
+  const read = createReader(env, problems);
+  const mode = read.string("NODE_ENV", "development");
+  const production = mode === "production";
+
+  const provider = read.oneOf("TRANSCRIPTION_PROVIDER", TRANSCRIPTION_PROVIDERS, "assemblyai");
+  const liveBackend = read.oneOf("LIVE_TRANSCRIPTION_BACKEND", LIVE_BACKENDS, "assemblyai");
+  const usesAssemblyAI = [provider, liveBackend].includes("assemblyai");
+  const gatewayBaseUrl = production
+    ? read.url("GATEWAY_BASE_URL", undefined, { allow: ["mock"] })
+    : read.url("GATEWAY_BASE_URL", DEFAULT_GATEWAY_BASE_URL, { allow: ["mock"] });
+  if (production && !gatewayBaseUrl) {
+    problems.push('GATEWAY_BASE_URL is required in production (the orchestration gateway, or "mock")');
+  }
+
+  // 0 turns a limit off.
+  const limit = (name, fallback) => read.int(name, fallback, { min: 0 });
+
+  const adminUsername = read.string("AUTH_ADMIN_USERNAME");
+  const adminPassword = read.string("AUTH_ADMIN_PASSWORD");
+  if (Boolean(adminUsername) !== Boolean(adminPassword)) {
+    problems.push("AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD must be set together");
+  }
+
+  const config = {
+    mode,
+    production,
+    port: read.int("PORT", 3000),
+    dataDir: path.resolve(read.string("DATA_DIR", path.join(process.cwd(), "data"))),
+    auth: {
+      adminUsername,
+      adminPassword,
+      sessionTtlMs: read.int("AUTH_SESSION_HOURS", 12) * 60 * 60 * 1000,
+    },
+    transcription: {
+      provider,
+      liveBackend,
+      assemblyai: {
+        apiKey: usesAssemblyAI
+          ? read.required("ASSEMBLYAI_API_KEY", "when TRANSCRIPTION_PROVIDER or LIVE_TRANSCRIPTION_BACKEND is assemblyai")
+          : read.string("ASSEMBLYAI_API_KEY", null),
+        baseUrl: read.url("ASSEMBLYAI_BASE_URL", DEFAULT_ASSEMBLYAI_BASE_URL),
+      },
+      local: {
+        command: read.string("LOCAL_TRANSCRIBE_COMMAND"),
+        fixture: read.string("LOCAL_TRANSCRIPT_FIXTURE", null),
+        delayMs: read.int("LOCAL_TRANSCRIBE_DELAY_MS", 2000, { min: 0 }),
+      },
+      liveSessionsPerUser: limit("LIVE_MAX_SESSIONS_PER_USER", 2),
+    },
+    gateway: {
+      baseUrl: gatewayBaseUrl || DEFAULT_GATEWAY_BASE_URL,
+      mock: {
+        // Served outside production, or in production when GATEWAY_BASE_URL=mock or MOCK_GATEWAY_ENABLED=true.
+        enabled: !production || gatewayBaseUrl === "mock" || read.bool("MOCK_GATEWAY_ENABLED"),
+        scenario: read.string("MOCK_GATEWAY_SCENARIO", "plans").toLowerCase(),
+        delayMs: read.int("MOCK_GATEWAY_DELAY_MS", 1500, { min: 0 }),
+        slowMs: read.int("MOCK_GATEWAY_SLOW_MS", 30000, { min: 0 }),
+      },
+    },
+    planJobs: {
+      maxAttempts: read.int("PLAN_JOB_MAX_ATTEMPTS", 3),
+      retryDelayMs: read.int("PLAN_JOB_RETRY_DELAY_MS", 2000),
+      timeoutMs: read.int("PLAN_JOB_TIMEOUT_MS", 180000),
+      concurrency: read.int("PLAN_JOB_CONCURRENCY", 2),
+      maxActivePerUser: limit("PLAN_JOB_MAX_ACTIVE_PER_USER", 3),
+    },
+    // Requests per window for each lib/rateLimit.js bucket, per signed-in user and per client address.
+    rateLimits: {
+      windowMs: read.int("RATE_LIMIT_WINDOW_SECONDS", 60) * 1000,
+      trustProxy: read.bool("TRUST_PROXY"),
+      login: { perUser: 0, perIp: limit("RATE_LIMIT_LOGIN_PER_IP", 10) },
+      upload: { perUser: limit("RATE_LIMIT_UPLOAD_PER_USER", 30), perIp: limit("RATE_LIMIT_UPLOAD_PER_IP", 60) },
+      transcribe: { perUser: limit("RATE_LIMIT_TRANSCRIBE_PER_USER", 30), perIp: limit("RATE_LIMIT_TRANSCRIBE_PER_IP", 60) },
+      plans: { perUser: limit("RATE_LIMIT_PLANS_PER_USER", 10), perIp: limit("RATE_LIMIT_PLANS_PER_IP", 30) },
+    },
+    redactionEntities: read.string("REDACTION_ENTITIES"),
+    clinic: {
+      id: read.string("CLINIC_ID", "default"),
+      name: read.string("CLINIC_NAME", "AesthatiQ Clinic"),
+      address: read.string("CLINIC_ADDRESS"),
+      phone: read.string("CLINIC_PHONE"),
+      // Appointment slot sent to the orchestrator when the intake form leaves it empty.
+      defaultSlotId: read.string("CLINIC_DEFAULT_SLOT_ID", "b553d02b-102c-457b-b525-0bfca777b191"),
+    },
+  };
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+let cached = null;
+
+// Loads .env files and validates once per process; later calls return the same frozen settings.
+export function getConfig() {
+  if (!cached) {
+    loadEnvFiles(process.env.NODE_ENV || "development");
+    cached = deepFreeze(buildConfig(process.env));
+  }
+  return cached;
+}
+
+// For entry points: loads the configuration or exits with the problems listed.
+export function loadConfigOrExit() {
+  try {
+    return getConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`${error.message}\nSee .env.example for every setting.`);
+    process.exit(1);
+  }
+}
+
+function deepFreeze(value) {
+  Object.values(value).forEach((child) => {
+    if (child && typeof child === "object") deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
@@ -0,0 +1,86 @@
+import WebSocket from "ws";
+import { getConfig } from "../config.js";
+
+// Relays PCM audio to AssemblyAI's v3 streaming API and maps its Turn events to partial/final results.
+const STREAMING_URL = "wss://streaming.assemblyai.com/v3/ws";
+const CLOSE_GRACE_MS = 5000;
+
+export function createAssemblyAIBackend({ onPartial, onFinal, onError, sampleRate = 16000 }) {
+  const { apiKey } = getConfig().transcription.assemblyai;
+  const params = new URLSearchParams({
+    sample_rate: String(sampleRate),
+    encoding: "pcm_s16le",
+    format_turns: "true",
+  });
+  const upstream = new WebSocket(`${STREAMING_URL}?${params.toString()}`, {
+    headers: { authorization: apiKey },
+  });
+
+  // Audio that arrives before the upstream socket is open is buffered, then flushed in order.
+  const pending = [];
+
+  upstream.on("open", () => {
+    pending.splice(0).forEach((chunk) => upstream.send(chunk));
+  });
+
+  upstream.on("message", (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.type !== "Turn") return;
+    const words = Array.isArray(message.words) ? message.words : [];
+    if (message.end_of_turn && message.turn_is_formatted) {
+      onFinal({
+        text: message.transcript,
+        start: words[0]?.start ?? null,
+        end: words[words.length - 1]?.end ?? null,
+      });
+    } else if (!message.end_of_turn) {
+      onPartial({ text: message.transcript });
+    }
+  });
+
+  upstream.on("error", (error) => {
+    console.error("[live] AssemblyAI streaming error:", error.message);
+    onError(new Error("Realtime transcription service unavailable"));
+  });
+
+  upstream.on("close", (code, reason) => {
+    if (code !== 1000 && code !== 1005) {
+      onError(new Error(`Realtime transcription closed (${code}${reason?.length ? `: ${reason}` : ""})`));
+    }
+  });
+
+  return {
+    sendAudio(chunk) {
+      if (upstream.readyState === WebSocket.OPEN) {
+        upstream.send(chunk);
+      } else if (upstream.readyState === WebSocket.CONNECTING) {
+        pending.push(chunk);
+      }
+    },
+    // Asks AssemblyAI to flush remaining turns; resolves when it hangs up (or after a grace period).
+    close() {
+      if (upstream.readyState === WebSocket.CONNECTING) {
+        upstream.terminate();
+        return Promise.resolve();
+      }
+      if (upstream.readyState !== WebSocket.OPEN) return Promise.resolve();
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          upstream.terminate();
+          resolve();
+        }, CLOSE_GRACE_MS);
+        upstream.once("close", () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        upstream.send(JSON.stringify({ type: "Terminate" }));
+      });
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { WebSocketServer } from "ws";
+import { userForRequest } from "../auth.js";
+import { getConfig } from "../config.js";
+import { errorSummary } from "../logging.js";
+import { createAssemblyAIBackend } from "./assemblyaiBackend.js";
+import { createMockBackend } from "./mockBackend.js";
+
+// WebSocket endpoint used by the recorder's live mode.
+// Client -> server: binary PCM16 mono frames at 16kHz, then {"type":"stop"} as text.
+// Server -> client: {"type":"ready"|"partial"|"final"|"error"|"closed", ...} JSON messages.
+export const LIVE_PATH = "/api/live";
+
+// Open sockets per user id, for the LIVE_MAX_SESSIONS_PER_USER cap (each one holds an upstream stream).
+const openSessions = new Map();
+
+const backends = {
+  assemblyai: createAssemblyAIBackend,
+  mock: createMockBackend,
+};
+
+// Backend is chosen by LIVE_TRANSCRIPTION_BACKEND (assemblyai | mock); mock works fully offline.
+const resolveBackend = () => {
+  const name = getConfig().transcription.liveBackend;
+  if (!backends[name]) {
+    throw new Error(`Unknown LIVE_TRANSCRIPTION_BACKEND "${name}" (expected ${Object.keys(backends).join(" | ")})`);
+  }
+  return { name, create: backends[name] };
+};
+
+// Handles HTTP upgrades for LIVE_PATH; any other upgrade (e.g. Next.js HMR) goes to `fallback`.
+// Like the API routes, the socket needs a signed-in session cookie (see lib/auth.js). A user over the live
+// session cap gets an "error" message and the socket is closed with 1008.
+export function attachLiveTranscription(server, { fallback } = {}) {
+  const backend = resolveBackend();
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== LIVE_PATH) {
+      if (fallback) return fallback(req, socket, head);
+      return socket.destroy();
+    }
+    const user = await userForRequest(req).catch((error) => {
+      console.error("Live transcription session lookup error:", errorSummary(error));
+      return null;
+    });
+    if (!user) {
+      return socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+    }
+    wss.handleUpgrade(req, socket, head, (client) => {
+      const cap = getConfig().transcription.liveSessionsPerUser;
+      const open = openSessions.get(user.id) || 0;
+      if (cap && open >= cap) {
+        client.send(
+          JSON.stringify({ type: "error", message: `You already have ${open} live transcriptions open. Stop one and try again.` })
+        );
+        return client.close(1008, "Too many live sessions");
+      }
+      openSessions.set(user.id, open + 1);
+      client.on("close", () => {
+        const left = (openSessions.get(user.id) || 1) - 1;
+        if (left > 0) openSessions.set(user.id, left);
+        else openSessions.delete(user.id);
+      });
+      handleClient(client, backend);
+    });
+  });
+
+  return { backend: backend.name, close: () => wss.close() };
+}
+
+function handleClient(client, backend) {
+  const send = (message) => {
+    if (client.readyState === client.OPEN) {
+      client.send(JSON.stringify(message));
+    }
+  };
+
+  const session = backend.create({
+    onPartial: ({ text }) => send({ type: "partial", text }),
+    onFinal: ({ text, start, end }) => send({ type: "final", text, start, end }),
+    onError: (error) => send({ type: "error", message: error.message }),
+  });
+
+  // Backends resolve close() once their last final result has been emitted.
+  let ending = null;
+  const end = () => {
+    if (!ending) ending = Promise.resolve(session.close());
+    return ending;
+  };
+
+  send({ type: "ready", backend: backend.name });
+
+  client.on("message", async (data, isBinary) => {
+    if (isBinary) {
+      if (!ending) session.sendAudio(data);
+      return;
+    }
+    let message = null;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return send({ type: "error", message: "Invalid control message" });
+    }
+    if (message.type === "stop") {
+      await end();
+      send({ type: "closed" });
+      client.close(1000);
+    }
+  });
+
+  client.on("close", end);
+}
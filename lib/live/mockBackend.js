@@ -0,0 +1,59 @@
+// Offline stand-in for a realtime transcription service.
+// Replays a scripted consultation: every ~400ms of received audio reveals the next word as a
+// partial result, and each sentence is finalised once all of its words have been revealed.
+
+const SCRIPT = [
+  "Good morning, what brings you in today?",
+  "I have been noticing more hair fall over the last six months, mostly at the crown.",
+  "Any family history of hair loss, and are you taking any medication at the moment?",
+  "My father had thinning hair, and I only take a vitamin D supplement.",
+  "Let's check your ferritin and thyroid levels, and we can discuss PRP sessions and topical minoxidil.",
+];
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2; // pcm_s16le
+const MS_PER_WORD = 400;
+
+export function createMockBackend({ onPartial, onFinal }) {
+  const sentences = SCRIPT.map((s) => s.split(" "));
+  let sentenceIndex = 0;
+  let wordIndex = 0;
+  let receivedBytes = 0;
+  let revealedWords = 0;
+  let sentenceStartMs = 0;
+
+  const audioMs = () => (receivedBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE)) * 1000;
+
+  const advance = () => {
+    const words = sentences[sentenceIndex % sentences.length];
+    wordIndex += 1;
+    const text = words.slice(0, wordIndex).join(" ");
+    if (wordIndex < words.length) {
+      onPartial({ text });
+      return;
+    }
+    const end = Math.round(audioMs());
+    onFinal({ text, start: sentenceStartMs, end });
+    sentenceIndex += 1;
+    wordIndex = 0;
+    sentenceStartMs = end;
+  };
+
+  return {
+    sendAudio(chunk) {
+      receivedBytes += chunk.length;
+      const due = Math.floor(audioMs() / MS_PER_WORD);
+      while (revealedWords < due) {
+        revealedWords += 1;
+        advance();
+      }
+    },
+    // Flushes the sentence in progress so the last words are not lost on stop.
+    close() {
+      if (wordIndex === 0) return;
+      const words = sentences[sentenceIndex % sentences.length];
+      onFinal({ text: words.slice(0, wordIndex).join(" "), start: sentenceStartMs, end: Math.round(audioMs()) });
+      wordIndex = 0;
+    },
+  };
+}
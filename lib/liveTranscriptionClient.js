@@ -0,0 +1,108 @@
+// Browser side of live transcription: captures microphone audio as 16kHz PCM16 and streams it
+// to the /api/live WebSocket, reporting partial and final transcript text via callbacks.
+
+const TARGET_SAMPLE_RATE = 16000;
+const FRAME_MS = 100;
+
+// Averages input samples down to 16kHz and converts Float32 [-1, 1] to little-endian Int16.
+const downsampleToPcm16 = (input, inputRate) => {
+  const ratio = inputRate / TARGET_SAMPLE_RATE;
+  const length = Math.floor(input.length / ratio);
+  const output = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(Math.floor((i + 1) * ratio), input.length);
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += input[j];
+    const sample = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+    output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return output;
+};
+
+// Starts streaming `stream` (a MediaStream); returns controls to pause, resume and stop.
+export function startLiveTranscription(stream, { onReady, onPartial, onFinal, onError, onClose } = {}) {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const socket = new WebSocket(`${protocol}//${window.location.host}/api/live`);
+  socket.binaryType = "arraybuffer";
+
+  const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+  const audioContext = new AudioContextImpl();
+  const source = audioContext.createMediaStreamSource(stream);
+  // ScriptProcessor keeps this dependency-free; 4096 frames is ~85-93ms at common sample rates.
+  const processor = audioContext.createScriptProcessor(4096, 1, 1);
+
+  let paused = false;
+  let buffered = [];
+  let bufferedSamples = 0;
+  const frameSamples = (TARGET_SAMPLE_RATE * FRAME_MS) / 1000;
+
+  processor.onaudioprocess = (event) => {
+    if (paused || socket.readyState !== WebSocket.OPEN) return;
+    const pcm = downsampleToPcm16(event.inputBuffer.getChannelData(0), audioContext.sampleRate);
+    buffered.push(pcm);
+    bufferedSamples += pcm.length;
+    if (bufferedSamples < frameSamples) return;
+
+    const frame = new Int16Array(bufferedSamples);
+    let offset = 0;
+    buffered.forEach((chunk) => {
+      frame.set(chunk, offset);
+      offset += chunk.length;
+    });
+    buffered = [];
+    bufferedSamples = 0;
+    socket.send(frame.buffer);
+  };
+
+  source.connect(processor);
+  processor.connect(audioContext.destination);
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+    if (message.type === "ready") onReady?.(message);
+    if (message.type === "partial") onPartial?.(message);
+    if (message.type === "final") onFinal?.(message);
+    if (message.type === "error") onError?.(new Error(message.message || "Live transcription failed"));
+  };
+
+  socket.onerror = () => onError?.(new Error("Live transcription connection failed"));
+
+  let released = false;
+  const releaseAudio = () => {
+    if (released) return;
+    released = true;
+    processor.disconnect();
+    source.disconnect();
+    audioContext.close();
+  };
+
+  socket.onclose = () => {
+    releaseAudio();
+    onClose?.();
+  };
+
+  return {
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+    },
+    // Stops capturing and asks the server to flush; the socket closes once the last final arrives.
+    stop() {
+      paused = true;
+      releaseAudio();
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: "stop" }));
+      } else if (socket.readyState === WebSocket.CONNECTING) {
+        socket.close();
+      }
+    },
+  };
+}
@@ -0,0 +1,8 @@
+// What server logs may say about a failed call. Axios errors also carry the request config, headers included
+// (the AssemblyAI key, session cookies), so whole error objects are never logged; only these fields are.
+export function errorSummary(error) {
+  const summary = { message: error?.message || String(error) };
+  if (error?.response?.status) summary.status = error.response.status;
+  if (error?.code) summary.code = error.code;
+  return summary;
+}
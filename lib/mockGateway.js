@@ -0,0 +1,181 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { withAuth } from "./auth.js";
+import { getConfig } from "./config.js";
+
+// Offline stand-in for the orchestration gateway, served by this app under MOCK_GATEWAY_BASE_PATH.
+// Set GATEWAY_BASE_URL=mock (or to this app's URL + MOCK_GATEWAY_BASE_PATH) to use it.
+// The scenario comes from a "[mock:<name>]" marker in the transcript or refinement instruction,
+// falling back to MOCK_GATEWAY_SCENARIO (default "plans").
+export const MOCK_GATEWAY_BASE_PATH = "/api/mock-gateway";
+
+export const MOCK_SCENARIOS = {
+  plans: "Plan A/B/C as JSON after MOCK_GATEWAY_DELAY_MS",
+  stream: "Progress stages and each plan as server-sent events",
+  "edge-shapes": "Plans in the alternative shapes the response normaliser maps",
+  slow: "Plan A/B/C after MOCK_GATEWAY_SLOW_MS",
+  timeout: "Never answers, so the caller's timeout fires",
+  stall: "Starts an event stream, then never finishes it",
+  error: "HTTP 500 (retried)",
+  "rate-limited": "HTTP 429 (retried)",
+  "bad-request": "HTTP 400 (not retried)",
+  flaky: "HTTP 503 on the first call for a session, plans on the next",
+  malformed: "HTTP 200 with a body that is not a plan response",
+  failure: "success: false with a message",
+};
+
+const SCENARIO_MARKER = /\[mock:([a-z-]+)\]/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Calls seen per session, for the flaky scenario, and the token this process's own gateway calls carry; kept on
+// globalThis so dev reloads and separate route bundles share them.
+const state =
+  globalThis.__mockGateway || (globalThis.__mockGateway = { calls: new Map(), token: randomBytes(32).toString("hex") });
+
+// Header the orchestrator client sends with the token, since its server-side calls have no session cookie.
+export const MOCK_GATEWAY_TOKEN_HEADER = "x-mock-gateway-token";
+
+export const mockGatewayToken = () => state.token;
+
+const hasProcessToken = (req) => {
+  const sent = Buffer.from(String(req.headers[MOCK_GATEWAY_TOKEN_HEADER] || ""));
+  const expected = Buffer.from(state.token);
+  return sent.length === expected.length && timingSafeEqual(sent, expected);
+};
+
+// Wraps the mock route so it answers this server's own gateway calls (by token) or signed-in users, nobody else.
+export function withMockGatewayAuth(handler) {
+  const signedIn = withAuth(handler);
+  return (req, res) => (hasProcessToken(req) ? handler(req, res) : signedIn(req, res));
+}
+
+// Served outside production, or in production when GATEWAY_BASE_URL=mock or MOCK_GATEWAY_ENABLED=true.
+export function mockGatewayEnabled() {
+  return getConfig().gateway.mock.enabled;
+}
+
+const loadFixture = async (name) => {
+  const file = path.join(process.cwd(), "fixtures", "plans", `${name}.json`);
+  return JSON.parse(await fs.readFile(file, "utf8")).response;
+};
+
+const pickScenario = (body) => {
+  const texts = [body.treatment_planner_text, body.refinement?.instruction].filter((t) => typeof t === "string");
+  const marked = texts.map((text) => text.match(SCENARIO_MARKER)?.[1]).find(Boolean);
+  return (marked || getConfig().gateway.mock.scenario).toLowerCase();
+};
+
+// A small, predictable take on refinement: regenerating returns the fixture plan again; an instruction mentioning
+// "topical" swaps oral minoxidil for the topical solution, and any instruction is echoed in refinement_note.
+function refinePlans(fixturePlans, refinement) {
+  const { target_plan_id: targetId, instruction = "", current_plans: currentPlans = [] } = refinement;
+  const topical = fixturePlans.flatMap((plan) => plan.products || []).find((p) => /topical minoxidil/i.test(p.product_name));
+  const targets = (currentPlans.length ? currentPlans : fixturePlans).filter((plan) => !targetId || plan.plan_id === targetId);
+
+  return targets.map((plan) => {
+    if (!instruction) return clone(fixturePlans.find((p) => p.plan_id === plan.plan_id) || plan);
+    const next = clone(plan);
+    if (/topical/i.test(instruction) && topical) {
+      next.products = (next.products || []).map((p) => (/oral minoxidil/i.test(p.product_name || p.name) ? clone(topical) : p));
+    }
+    next.refinement_note = `Refined: ${instruction}`;
+    return next;
+  });
+}
+
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Streams the plans the way a streaming gateway would: stage events, one plan event per plan, then the result.
+async function streamPlans(res, response, stepMs) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  sendEvent(res, "stage", { stage: "analysing_transcript", message: "Reading the consultation" });
+  await sleep(stepMs);
+  sendEvent(res, "stage", { stage: "matching_catalogue", message: "Matching services and products" });
+  await sleep(stepMs);
+  sendEvent(res, "stage", { stage: "building_plans", message: "" });
+  for (const plan of response.treatment_plans) {
+    await sleep(stepMs);
+    sendEvent(res, "plan", { plan });
+  }
+  sendEvent(res, "result", response);
+  res.end();
+}
+
+// Holds a request until the caller gives up (capped so a forgotten request cannot hang forever).
+const holdUntilClosed = (res) =>
+  new Promise((resolve) => {
+    const cap = setTimeout(resolve, 10 * 60 * 1000);
+    res.on("close", () => {
+      clearTimeout(cap);
+      resolve();
+    });
+  });
+
+// Handles one POST to the mock orchestrator endpoint.
+export async function handleMockGatewayRequest(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = req.body || {};
+  const scenario = pickScenario(body);
+  if (!MOCK_SCENARIOS[scenario]) {
+    return res.status(400).json({ error: `Unknown mock scenario "${scenario}"`, details: Object.keys(MOCK_SCENARIOS) });
+  }
+  console.log("[mock-gateway] request", { session_id: body.session_id, scenario, refinement: Boolean(body.refinement) });
+
+  const { delayMs: delay, slowMs } = getConfig().gateway.mock;
+  const respond = async (fixture, wait = delay) => {
+    const response = await loadFixture(fixture);
+    if (body.refinement) response.treatment_plans = refinePlans(response.treatment_plans, body.refinement);
+    await sleep(wait);
+    return res.status(200).json(response);
+  };
+
+  switch (scenario) {
+    case "stream": {
+      const response = await loadFixture("hair-loss");
+      if (body.refinement) response.treatment_plans = refinePlans(response.treatment_plans, body.refinement);
+      return streamPlans(res, response, Math.max(Math.round(delay / 3), 1));
+    }
+    case "edge-shapes":
+      return respond("edge-shapes");
+    case "slow":
+      return respond("hair-loss", slowMs);
+    case "timeout":
+      await holdUntilClosed(res);
+      if (!res.writableEnded && !res.destroyed) res.status(504).json({ error: "Mock gateway timeout" });
+      return undefined;
+    case "stall":
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      sendEvent(res, "stage", { stage: "analysing_transcript", message: "Reading the consultation" });
+      await holdUntilClosed(res);
+      if (!res.writableEnded && !res.destroyed) res.end();
+      return undefined;
+    case "error":
+      await sleep(delay);
+      return res.status(500).json({ error: "Mock orchestrator failure", details: "Simulated upstream error" });
+    case "rate-limited":
+      return res.status(429).json({ error: "Too many requests", details: "Simulated rate limit" });
+    case "bad-request":
+      return res.status(400).json({ error: "Invalid request", details: "Simulated validation failure" });
+    case "flaky": {
+      const calls = (state.calls.get(body.session_id) || 0) + 1;
+      state.calls.set(body.session_id, calls);
+      if (calls === 1) return res.status(503).json({ error: "Service unavailable", details: "Simulated first-attempt failure" });
+      return respond("hair-loss");
+    }
+    case "malformed":
+      await sleep(delay);
+      return res.status(200).json({ success: true, treatment_plans: "Plan A, Plan B and Plan C are ready" });
+    case "failure":
+      await sleep(delay);
+      return res.status(200).json({ success: false, message: "The planner could not build plans for this consultation" });
+    default:
+      return respond("hair-loss");
+  }
+}
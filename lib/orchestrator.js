@@ -0,0 +1,189 @@
+import axios from "axios";
+import https from "https";
+import { getConfig } from "./config.js";
+import { MOCK_GATEWAY_BASE_PATH, MOCK_GATEWAY_TOKEN_HEADER, mockGatewayToken } from "./mockGateway.js";
+import { describePatient } from "./patient.js";
+import { configuredEntities, redactText, redactValue } from "./redaction.js";
+
+// Client for the treatment-plan orchestration gateway.
+export const ORCHESTRATOR_PATH = "/mcp-orch-service/orch";
+
+// Orchestrator endpoint under GATEWAY_BASE_URL; "mock" points at the built-in mock served by this app.
+export function gatewayUrl(base = getConfig().gateway.baseUrl) {
+  const value = base.trim();
+  const resolved = value.toLowerCase() === "mock" ? `http://127.0.0.1:${getConfig().port}${MOCK_GATEWAY_BASE_PATH}` : value;
+  return `${resolved.replace(/\/+$/, "")}${ORCHESTRATOR_PATH}`;
+}
+
+// Calls to the built-in mock carry this process's token in place of a session cookie.
+const mockGatewayHeaders = (url) =>
+  new URL(url).pathname.startsWith(MOCK_GATEWAY_BASE_PATH) ? { [MOCK_GATEWAY_TOKEN_HEADER]: mockGatewayToken() } : {};
+
+// Keep-alive agent to reduce TLS handshake overhead on long calls.
+const httpsAgent = new https.Agent({ keepAlive: true });
+
+// Builds the gateway payload for a planner request.
+// Patient context leads the text, then text and patient name are PHI-redacted with reversible tokens;
+// the caller keeps `mapping` locally to re-identify the response.
+// A refinement ({ target_plan_id, instruction, current_plans }) is redacted too; pass the session's existing
+// `mapping` so the same values get the same tokens as in the original request.
+export function prepareOrchestratorRequest({
+  session_id,
+  user_id,
+  slot_id,
+  treatment_planner_text,
+  patient = null,
+  refinement = null,
+  mapping = {},
+}) {
+  // Patient context leads the text so the orchestrator plans for this patient, not a generic one.
+  const upstreamText = patient ? `${describePatient(patient)}\n\n${treatment_planner_text}` : treatment_planner_text;
+
+  const entities = configuredEntities();
+  const knownNames = patient?.name ? [patient.name] : [];
+  const redactedText = redactText(upstreamText, { entities, knownNames, mapping });
+  const redactedName = redactText(patient?.name || "", { entities, knownNames, mapping: redactedText.mapping });
+
+  const payload = {
+    session_id,
+    user_id,
+    slot_id,
+    treatment_planner_text: redactedText.text,
+    patient_context: patient ? { ...patient, name: redactedName.text || null } : null,
+  };
+
+  let tokens = redactedName.mapping;
+  if (refinement) {
+    const redactedRefinement = redactValue(
+      { instruction: refinement.instruction || "", current_plans: refinement.current_plans || [] },
+      { entities, knownNames, mapping: tokens }
+    );
+    tokens = redactedRefinement.mapping;
+    payload.refinement = { target_plan_id: refinement.target_plan_id || null, ...redactedRefinement.value };
+  }
+
+  return { payload, mapping: tokens, counts: redactedText.counts, entities };
+}
+
+const readBody = async (stream) => {
+  let body = "";
+  for await (const chunk of stream) body += chunk;
+  return body;
+};
+
+const parseJson = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return text;
+  }
+};
+
+// Reads a text/event-stream response from the gateway. Recognised events:
+//   stage  { stage, message }  progress update, relayed as { type: "stage", ... }
+//   plan   { plan }            one finished plan, relayed as { type: "plan", plan }
+//   result { ...response }     the final response body (same shape as the JSON reply)
+//   error  { message }         generation failed upstream
+// Without a result event, the streamed plans are returned as { success: true, treatment_plans }.
+async function readEventStream(stream, onEvent) {
+  const plans = [];
+  let result = null;
+  let buffer = "";
+  let eventName = "message";
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length === 0) return;
+    const data = parseJson(dataLines.join("\n"));
+    dataLines = [];
+    const name = eventName;
+    eventName = "message";
+    if (name === "stage") {
+      onEvent({ type: "stage", stage: data?.stage, message: data?.message || "" });
+    } else if (name === "plan" && data?.plan) {
+      plans.push(data.plan);
+      onEvent({ type: "plan", plan: data.plan });
+    } else if (name === "result") {
+      result = data;
+    } else if (name === "error") {
+      throw new Error(data?.message || "Gateway reported an error");
+    }
+  };
+
+  try {
+    for await (const chunk of stream) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        if (line === "") dispatch();
+        else if (line.startsWith("event:")) eventName = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+      });
+    }
+    dispatch();
+  } finally {
+    stream.destroy();
+  }
+  return result ?? { success: true, treatment_plans: plans };
+}
+
+// One gateway call; allow up to 3 minutes since the service may take ~2 minutes.
+// The gateway may answer with JSON or stream progress as server-sent events (relayed through onEvent).
+// axios's timeout only covers the wait for headers, so a deadline of the same length also bounds the body: a
+// gateway that stalls mid-stream fails the call with ETIMEDOUT, which the job's retry policy treats as retryable.
+export async function callOrchestrator(payload, { timeout = 180000, onEvent = () => {} } = {}) {
+  const url = gatewayUrl();
+  const controller = new AbortController();
+  const deadline = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`The gateway did not finish within ${timeout} ms`), { code: "ETIMEDOUT" }));
+  }, timeout);
+
+  try {
+    let response;
+    try {
+      response = await axios.post(url, payload, {
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream, application/json",
+          ...mockGatewayHeaders(url),
+        },
+        timeout,
+        signal: controller.signal,
+        responseType: "stream",
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        httpsAgent,
+      });
+    } catch (error) {
+      // Error bodies arrive as streams too; read them so callers can report the gateway's details.
+      if (error.response?.data?.pipe) error.response.data = parseJson(await readBody(error.response.data).catch(() => ""));
+      throw error;
+    }
+
+    response.data.setEncoding("utf8");
+    if (String(response.headers["content-type"] || "").includes("text/event-stream")) {
+      return await readEventStream(response.data, onEvent);
+    }
+    return parseJson(await readBody(response.data));
+  } catch (error) {
+    // Aborting destroys the response stream with axios's own cancel error; report the deadline instead.
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+// Timeouts, network failures and 5xx/429 responses are worth retrying; other 4xx responses are not.
+export function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500 || status === 429;
+  return (
+    error.code === "ECONNABORTED" ||
+    error.code === "ETIMEDOUT" ||
+    error.code === "ECONNRESET" ||
+    error.code === "ECONNREFUSED" ||
+    error.code === "EAI_AGAIN" ||
+    Boolean(error.message?.toLowerCase().includes("timeout"))
+  );
+}
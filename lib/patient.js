@@ -0,0 +1,70 @@
+// Patient/appointment context captured on the recorder page and sent with each planner request.
+// An empty appointment slot falls back to CLINIC_DEFAULT_SLOT_ID on the server.
+
+export const SEX_OPTIONS = ["female", "male", "other"];
+
+// Fitzpatrick skin types I-VI.
+export const SKIN_TYPES = ["I", "II", "III", "IV", "V", "VI"];
+
+export const emptyPatient = () => ({
+  name: "",
+  age: "",
+  sex: "",
+  skin_type: "",
+  allergies: "",
+  medications: "",
+  slot_id: "",
+});
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (typeof value !== "string") return [];
+  return value
+    .split(/[,\n;]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+};
+
+const toText = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Cleans untrusted intake input into the canonical shape; returns null when nothing was filled in.
+export function normalizePatient(input) {
+  if (!input || typeof input !== "object") return null;
+
+  const age = Number.parseInt(input.age, 10);
+  const sex = toText(input.sex).toLowerCase();
+  const skinType = toText(input.skin_type).toUpperCase();
+
+  const patient = {
+    name: toText(input.name),
+    age: Number.isInteger(age) && age >= 0 && age <= 130 ? age : null,
+    sex: SEX_OPTIONS.includes(sex) ? sex : null,
+    skin_type: SKIN_TYPES.includes(skinType) ? skinType : null,
+    allergies: toList(input.allergies),
+    medications: toList(input.medications),
+    slot_id: toText(input.slot_id) || null,
+  };
+
+  const hasContent =
+    patient.name ||
+    patient.age !== null ||
+    patient.sex ||
+    patient.skin_type ||
+    patient.allergies.length > 0 ||
+    patient.medications.length > 0 ||
+    patient.slot_id;
+  return hasContent ? patient : null;
+}
+
+// One-line summary prepended to the planner text so the orchestrator sees the patient context.
+export function describePatient(patient) {
+  if (!patient) return "";
+  const parts = [
+    patient.age !== null ? `age ${patient.age}` : "",
+    patient.sex ? `sex ${patient.sex}` : "",
+    patient.skin_type ? `Fitzpatrick skin type ${patient.skin_type}` : "",
+    `allergies: ${patient.allergies.length ? patient.allergies.join(", ") : "none reported"}`,
+    `current medications: ${patient.medications.length ? patient.medications.join(", ") : "none reported"}`,
+  ].filter(Boolean);
+  return `Patient context: ${parts.join("; ")}.`;
+}
@@ -0,0 +1,93 @@
+// Immutable add/remove/reorder/update helpers for the items inside a treatment plan.
+// Every helper returns a new plan object so edits can be kept in the planner's undo history.
+export const ITEM_KINDS = {
+  services: { label: "Service", title: "Services", nameKey: "service_name" },
+  products: { label: "Product", title: "Products", nameKey: "product_name" },
+  lab_tests: { label: "Lab Test", title: "Lab Tests", nameKey: "lab_test_name" },
+};
+
+export const itemName = (kind, item) => item?.[ITEM_KINDS[kind].nameKey] || item?.name || "";
+
+// Blank item of the given kind, in the same shape the orchestrator returns.
+export function blankItem(kind, name = "") {
+  if (kind === "services") {
+    return { service_name: name, specifications: {}, service_cost_variable_options: [], verified: false };
+  }
+  if (kind === "products") {
+    return { product_name: name, dosage: "", frequency: "", duration: "", route: "", instruction: "", verified: false };
+  }
+  return { lab_test_name: name, price: null, verified: false };
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// pricing_options.service_options is keyed by service index, so it has to follow services around.
+const remapServiceOptions = (plan, mapIndex) => {
+  const serviceOptions = plan.pricing_options?.service_options;
+  if (!serviceOptions) return plan;
+  const next = {};
+  Object.entries(serviceOptions).forEach(([idx, option]) => {
+    const target = mapIndex(Number(idx));
+    if (target !== null) next[target] = option;
+  });
+  return { ...plan, pricing_options: { ...plan.pricing_options, service_options: next } };
+};
+
+export function addItem(plan, kind, item) {
+  return { ...plan, [kind]: [...(plan[kind] || []), clone(item)] };
+}
+
+export function removeItem(plan, kind, index) {
+  const next = { ...plan, [kind]: (plan[kind] || []).filter((_, idx) => idx !== index) };
+  if (kind !== "services") return next;
+  return remapServiceOptions(next, (idx) => (idx === index ? null : idx > index ? idx - 1 : idx));
+}
+
+export function moveItem(plan, kind, from, to) {
+  const items = [...(plan[kind] || [])];
+  if (from === to || from < 0 || to < 0 || from >= items.length || to >= items.length) return plan;
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  const next = { ...plan, [kind]: items };
+  if (kind !== "services") return next;
+  return remapServiceOptions(next, (idx) => {
+    if (idx === from) return to;
+    if (from < to && idx > from && idx <= to) return idx - 1;
+    if (from > to && idx >= to && idx < from) return idx + 1;
+    return idx;
+  });
+}
+
+export function updateItem(plan, kind, index, patch) {
+  const items = [...(plan[kind] || [])];
+  items[index] = { ...(items[index] || {}), ...patch };
+  return { ...plan, [kind]: items };
+}
+
+// Service specifications are a key/value object (lib/planSchema.js maps free text to { details }).
+export function setSpecification(plan, index, key, value) {
+  const specs = plan.services?.[index]?.specifications || {};
+  return updateItem(plan, "services", index, { specifications: { ...specs, [key]: value } });
+}
+
+export function removeSpecification(plan, index, key) {
+  const specs = { ...(plan.services?.[index]?.specifications || {}) };
+  delete specs[key];
+  return updateItem(plan, "services", index, { specifications: specs });
+}
+
+// Picker entries taken from every plan in the session (Plans A/B/C), de-duplicated by name.
+export function catalogueFromPlans(plans = []) {
+  const catalogue = {};
+  Object.keys(ITEM_KINDS).forEach((kind) => {
+    const seen = new Map();
+    plans.forEach((plan) =>
+      (plan[kind] || []).forEach((item) => {
+        const name = itemName(kind, item).trim();
+        if (name && !seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), item);
+      })
+    );
+    catalogue[kind] = [...seen.values()];
+  });
+  return catalogue;
+}
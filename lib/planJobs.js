@@ -0,0 +1,386 @@
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { recordPlanEdits } from "./audit.js";
+import { getConfig } from "./config.js";
+import { callOrchestrator, isRetryableError, prepareOrchestratorRequest } from "./orchestrator.js";
+import { PlanResponseError, normalizePlan, normalizePlanResponse } from "./planSchema.js";
+import { stageLabel } from "./planStages.js";
+import { addPlanVersions, mergeRefinedPlans } from "./planVersions.js";
+import { RateLimitError } from "./rateLimit.js";
+import { getRedaction, restoreValue, saveRedaction } from "./redaction.js";
+import { getOwnedSession, getSession, recordSession, updateSession } from "./sessions.js";
+import { readCollection, updateCollection } from "./store.js";
+
+// Plan generation jobs: POST /api/treatment-plans queues a job and returns at once; the job calls the
+// gateway in the background with its own retry policy and records its status in the "plan-jobs" collection.
+// Jobs only hold the redacted payload; the token mapping stays in the redactions collection.
+// Progress (status, stage, partial plans, done) is also published to subscribers for the SSE endpoint.
+// Refinement jobs re-run an existing session for one plan or all plans and record each result as a plan version.
+// Responses are validated and normalised by lib/planSchema.js; malformed ones fail the job without a retry.
+const COLLECTION = "plan-jobs";
+
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+export const MAX_INSTRUCTION_CHARS = 2000;
+
+// Rejected refinement requests; `status` is the HTTP status the API answers with.
+export class RefineValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Retry policy: up to PLAN_JOB_MAX_ATTEMPTS gateway calls, waiting PLAN_JOB_RETRY_DELAY_MS and doubling it each time;
+// PLAN_JOB_CONCURRENCY gateway calls run at once and further jobs wait in the queue.
+// Each user may have PLAN_JOB_MAX_ACTIVE_PER_USER jobs queued or running; more are refused with a RateLimitError.
+const policy = () => getConfig().planJobs;
+
+// Retry-After hint when the per-user cap is reached; jobs usually finish well within it.
+const ACTIVE_CAP_RETRY_SECONDS = 15;
+
+// Kept on globalThis so every API route bundle (and dev hot reloads) share one queue and event bus.
+const state =
+  globalThis.__planJobs ||
+  (globalThis.__planJobs = { queue: [], active: 0, resumed: null, events: new EventEmitter().setMaxListeners(0) });
+
+// Public view of a job: no request payload (the redacted transcript).
+export const publicJob = ({ request, ...job }) => job;
+
+// Lightweight view for status events; the full result is only sent with "done".
+const statusView = ({ request, result, partial_plans, ...job }) => job;
+
+const publish = (jobId, type, data) => state.events.emit(jobId, { type, data });
+
+// Listens to one job's events ({ type: "status" | "stage" | "plan" | "done", data }); returns an unsubscribe function.
+export function subscribeToJob(jobId, listener) {
+  state.events.on(jobId, listener);
+  return () => state.events.off(jobId, listener);
+}
+
+const saveJob = async (jobId, patch) => {
+  let job = null;
+  await updateCollection(COLLECTION, (jobs) => {
+    if (!jobs[jobId]) return jobs;
+    job = { ...jobs[jobId], ...patch, updated_at: new Date().toISOString() };
+    return { ...jobs, [jobId]: job };
+  });
+  if (job) {
+    publish(jobId, "status", statusView(job));
+    if (job.status === "succeeded" || job.status === "failed") publish(jobId, "done", publicJob(job));
+  }
+  return job;
+};
+
+const setStage = (jobId, stage, message = "") =>
+  saveJob(jobId, { stage: { id: stage, label: stageLabel(stage), message, at: new Date().toISOString() } }).then((job) => {
+    if (job) publish(jobId, "stage", job.stage);
+  });
+
+// History is best-effort: a storage failure must never block plan generation.
+const persist = (promise, sessionId) =>
+  promise.catch((err) => console.error("[planner] session history write failed", { session_id: sessionId, message: err.message }));
+
+function enqueue(jobId) {
+  if (!state.queue.includes(jobId)) state.queue.push(jobId);
+  pump();
+}
+
+function pump() {
+  while (state.active < policy().concurrency && state.queue.length > 0) {
+    const jobId = state.queue.shift();
+    state.active += 1;
+    runJob(jobId)
+      .catch((err) => console.error("[planner] job crashed", { job_id: jobId, message: err.message }))
+      .finally(() => {
+        state.active -= 1;
+        pump();
+      });
+  }
+}
+
+async function runJob(jobId) {
+  const jobs = await readCollection(COLLECTION);
+  const job = jobs[jobId];
+  if (!job || job.status === "succeeded" || job.status === "failed") return;
+
+  const attempt = (job.attempts || 0) + 1;
+  const startedAt = Date.now();
+  await saveJob(jobId, {
+    status: "running",
+    attempts: attempt,
+    started_at: job.started_at || new Date(startedAt).toISOString(),
+    next_attempt_at: null,
+    partial_plans: [],
+  });
+  await setStage(jobId, "analysing_transcript");
+
+  // Stage and plan events are written in order so the stored job always matches what was published.
+  const redaction = await getRedaction(job.session_id);
+  const mapping = redaction?.mapping || {};
+  let progress = Promise.resolve();
+  const onEvent = (event) => {
+    progress = progress.then(async () => {
+      if (event.type === "stage" && event.stage) {
+        await setStage(jobId, event.stage, event.message);
+      } else if (event.type === "plan") {
+        let plan = null;
+        let index = 0;
+        await updateCollection(COLLECTION, (jobs) => {
+          const partial = jobs[jobId]?.partial_plans || [];
+          index = partial.length;
+          plan = normalizePlan(restoreValue(event.plan, mapping), index);
+          if (!plan) return jobs;
+          return { ...jobs, [jobId]: { ...jobs[jobId], partial_plans: [...partial, plan] } };
+        });
+        if (plan) publish(jobId, "plan", { index, plan });
+      }
+    });
+  };
+
+  try {
+    const response = await callOrchestrator(job.request, { timeout: policy().timeoutMs, onEvent });
+    await progress;
+
+    // Log a concise summary of the upstream response for observability.
+    console.log("[planner] session:", job.session_id, {
+      job_id: jobId,
+      attempt,
+      duration_ms: Date.now() - startedAt,
+      success: response?.success,
+      plans_returned: Array.isArray(response?.treatment_plans) ? response.treatment_plans.length : 0,
+    });
+
+    // Put the real values back wherever the orchestrator echoed a token, then map the plans to the canonical model.
+    const data = restoreValue(response, mapping);
+    const { plans: returned, warnings } = normalizePlanResponse(data);
+    if (warnings.length > 0) console.warn("[planner] response normalised", { job_id: jobId, warnings: warnings.length });
+    let plans = returned;
+    let changed = returned;
+    let version = { source: "generated", job_id: jobId };
+
+    // A refinement only replaces the targeted plan (or the whole set) within the session's current plans.
+    if (job.refinement) {
+      const targetId = job.refinement.target_plan_id;
+      const session = await getSession(job.session_id);
+      const merged = mergeRefinedPlans(session?.plans || [], returned, targetId);
+      if (!merged) throw new Error(targetId ? `The planner returned no Plan ${targetId}` : "The planner returned no plans");
+      ({ plans, changed } = merged);
+      const instruction = restoreValue(job.request.refinement?.instruction || "", mapping);
+      version = { source: instruction ? "refined" : "regenerated", instruction, job_id: jobId };
+    }
+
+    await persist(
+      updateSession(job.session_id, (session) => ({
+        status: "ready",
+        plans,
+        plan_versions: addPlanVersions(session.plan_versions, changed, version),
+        plan_warnings: warnings,
+        error: null,
+      })),
+      job.session_id
+    );
+    await saveJob(jobId, {
+      status: "succeeded",
+      result: { ...data, treatment_plans: plans, warnings },
+      error: null,
+      finished_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    await progress.catch(() => {});
+    const retryable = isRetryableError(error);
+    console.error("[planner] attempt failed", {
+      session_id: job.session_id,
+      job_id: jobId,
+      attempt,
+      duration_ms: Date.now() - startedAt,
+      code: error.code,
+      status: error.response?.status,
+      message: error.message,
+    });
+
+    const message = error.message || "Failed to generate treatment plans";
+    if (retryable && attempt < job.max_attempts) {
+      const delay = policy().retryDelayMs * 2 ** (attempt - 1);
+      await saveJob(jobId, { status: "queued", error: message, next_attempt_at: new Date(Date.now() + delay).toISOString() });
+      setTimeout(() => enqueue(jobId), delay);
+      return;
+    }
+
+    // A failed refinement leaves the session's existing plans in place.
+    await persist(updateSession(job.session_id, { status: job.refinement ? "ready" : "error", error: message }), job.session_id);
+    await saveJob(jobId, {
+      status: "failed",
+      error: message,
+      error_details: error instanceof PlanResponseError ? error.details : error.response?.data || null,
+      finished_at: new Date().toISOString(),
+    });
+  }
+}
+
+// Jobs left queued or running by a previous server process are picked up again once per process.
+function resumePendingJobs() {
+  if (!state.resumed) {
+    state.resumed = readCollection(COLLECTION)
+      .then((jobs) =>
+        Object.values(jobs)
+          .filter((job) => job.status === "queued" || job.status === "running")
+          .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at))
+          .forEach((job) => enqueue(job.job_id))
+      )
+      .catch((err) => console.error("[planner] failed to resume plan jobs", { message: err.message }));
+  }
+  return state.resumed;
+}
+
+// Stores a new job, refusing it while its user already has the maximum number queued or running. The count and
+// the insert happen in one collection write, so concurrent requests cannot all slip under the cap.
+async function insertJob(job) {
+  const cap = policy().maxActivePerUser;
+  await updateCollection(COLLECTION, (jobs) => {
+    if (cap && job.user_id) {
+      const active = Object.values(jobs).filter(
+        (other) => other.user_id === job.user_id && (other.status === "queued" || other.status === "running")
+      );
+      if (active.length >= cap) {
+        throw new RateLimitError(
+          `You already have ${active.length} treatment plan requests in progress. Wait for one to finish and try again.`,
+          ACTIVE_CAP_RETRY_SECONDS
+        );
+      }
+    }
+    return { ...jobs, [job.job_id]: job };
+  });
+}
+
+// Drops a job that was stored but never queued because setting up its session failed.
+const discardJob = (jobId) =>
+  updateCollection(COLLECTION, (jobs) => {
+    const { [jobId]: discarded, ...rest } = jobs;
+    return rest;
+  });
+
+// Records the session, stores the redaction mapping and queues a generation job; returns the job record.
+export async function createPlanJob({ session_id, user_id, slot_id, treatment_planner_text, transcript_id, patient }) {
+  await resumePendingJobs();
+  const { payload, mapping, counts, entities } = prepareOrchestratorRequest({
+    session_id,
+    user_id,
+    slot_id,
+    treatment_planner_text,
+    patient,
+  });
+
+  // The job is stored first so the active job cap is checked before the session is touched.
+  const job = newJob(session_id, payload, { user_id: user_id || null });
+  await insertJob(job);
+  try {
+    // The session record guards the id against other users, so this write must succeed.
+    await recordSession({ session_id, user_id, slot_id, transcript_id, treatment_planner_text, patient });
+    // Unlike history, the mapping is required to re-identify the result, so this write must succeed.
+    await saveRedaction(session_id, { mapping, counts, entities });
+  } catch (error) {
+    await discardJob(job.job_id);
+    throw error;
+  }
+  await persist(updateSession(session_id, { job_id: job.job_id }), session_id);
+
+  enqueue(job.job_id);
+  return job;
+}
+
+// Queues a refinement of an existing session: plan_id targets one plan, otherwise all plans are regenerated.
+// `plans` are the clinician's current (possibly edited) plans; edits are recorded as versions before the call and
+// audited as `actor`'s, field by field. `actor` is the signed-in user asking, counted against their active job cap;
+// only the user who started the session may refine it (SessionOwnerError otherwise).
+export async function createRefineJob({ session_id, actor = null, plan_id = null, instruction = "", plans = [] }) {
+  await resumePendingJobs();
+  const user_id = actor?.id || null;
+  if (typeof instruction !== "string" || instruction.length > MAX_INSTRUCTION_CHARS) {
+    throw new RefineValidationError(`instruction must be text of at most ${MAX_INSTRUCTION_CHARS} characters`);
+  }
+
+  const session = await getOwnedSession(session_id, user_id);
+  if (!session) throw new RefineValidationError("Session not found", 404);
+  if (session.status === "generating") throw new RefineValidationError("Plans are still being generated for this session", 409);
+  const sessionPlans = session.plans || [];
+  if (sessionPlans.length === 0) throw new RefineValidationError("This session has no plans to refine");
+  if (plan_id && !sessionPlans.some((plan) => plan.plan_id === plan_id)) {
+    throw new RefineValidationError(`Unknown plan: ${plan_id}`);
+  }
+
+  // Edited copies from the client replace the stored plan with the same id; other plans stay as stored.
+  const edited = Array.isArray(plans) ? plans.filter((plan) => plan && typeof plan === "object") : [];
+  const currentPlans = sessionPlans.map((plan) => edited.find((e) => e.plan_id === plan.plan_id) || plan);
+
+  const redaction = await getRedaction(session_id);
+  const { payload, mapping, counts, entities } = prepareOrchestratorRequest({
+    session_id,
+    user_id: session.user_id,
+    slot_id: session.slot_id,
+    treatment_planner_text: session.treatment_planner_text,
+    patient: session.patient,
+    refinement: { target_plan_id: plan_id || null, instruction: instruction.trim(), current_plans: currentPlans },
+    mapping: redaction?.mapping || {},
+  });
+
+  const job = newJob(session_id, payload, { user_id, refinement: { target_plan_id: plan_id || null } });
+  await insertJob(job);
+  try {
+    await saveRedaction(session_id, { mapping, counts: redaction?.counts || counts, entities });
+  } catch (error) {
+    await discardJob(job.job_id);
+    throw error;
+  }
+  // The merge on success reads the session's plans, so this write must succeed.
+  await updateSession(session_id, (current) => {
+    const history = current.plan_versions || {};
+    // Sessions stored before version history get their plans recorded as version 1 first.
+    const baseline = addPlanVersions(
+      history,
+      sessionPlans.filter((plan) => !history[plan.plan_id]?.length),
+      { source: "generated" }
+    );
+    return {
+      status: "generating",
+      job_id: job.job_id,
+      plans: currentPlans,
+      plan_versions: addPlanVersions(baseline, currentPlans, { source: "edited" }),
+      error: null,
+    };
+  });
+
+  enqueue(job.job_id);
+  // The edits are now part of the session's history, so they are audited here whichever route sent them.
+  await recordPlanEdits({ actor, session_id, baselinePlans: sessionPlans, editedPlans: edited });
+  return job;
+}
+
+function newJob(sessionId, payload, extra = {}) {
+  const now = new Date().toISOString();
+  return {
+    job_id: randomUUID(),
+    session_id: sessionId,
+    status: "queued",
+    attempts: 0,
+    max_attempts: policy().maxAttempts,
+    error: null,
+    result: null,
+    request: payload,
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    next_attempt_at: null,
+    stage: { id: "received", label: stageLabel("received"), message: "", at: now },
+    partial_plans: [],
+    refinement: null,
+    updated_at: now,
+    ...extra,
+  };
+}
+
+export async function getPlanJob(jobId) {
+  await resumePendingJobs();
+  const jobs = await readCollection(COLLECTION);
+  return jobs[jobId] || null;
+}
@@ -0,0 +1,144 @@
+import path from "path";
+import PDFDocument from "pdfkit";
+import { getConfig } from "./config.js";
+import { computePlanPricing, formatRupees as rupees, optionLabel } from "./pricing.js";
+
+// Renders a selected (edited) treatment plan as a branded, patient-facing PDF.
+// DejaVu Sans is embedded because the PDF standard fonts have no ₹ glyph.
+const fontDir = path.join(process.cwd(), "node_modules", "dejavu-fonts-ttf", "ttf");
+
+const COLORS = {
+  brown: "#2b1a0f",
+  gold: "#d4af37",
+  text: "#1d1209",
+  muted: "#6b5440",
+};
+
+// Clinic header details, overridable per deployment.
+export const clinicDetails = () => {
+  const { name, address, phone } = getConfig().clinic;
+  return { name, address, phone };
+};
+
+const specEntries = (specs) => {
+  if (!specs) return [];
+  if (typeof specs === "string") return specs.trim() ? [["Specifications", specs]] : [];
+  return Object.entries(specs).filter(([, v]) => v !== null && v !== undefined && v !== "");
+};
+
+const labelize = (key) =>
+  key.replace(/_/g, " ").replace(/\w\S*/g, (w) => w.charAt(0).toUpperCase() + w.slice(1));
+
+export function renderPlanPdf({ plan, patient = null, sessionId = "", generatedAt = new Date() }) {
+  const clinic = clinicDetails();
+  const doc = new PDFDocument({ size: "A4", margin: 48, info: { Title: `${plan.plan_name || "Treatment Plan"} - ${clinic.name}` } });
+  doc.registerFont("Regular", path.join(fontDir, "DejaVuSans.ttf"));
+  doc.registerFont("Bold", path.join(fontDir, "DejaVuSans-Bold.ttf"));
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const rule = (color = COLORS.gold) => {
+    doc.moveDown(0.4);
+    doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).lineWidth(1).strokeColor(color).stroke();
+    doc.moveDown(0.6);
+  };
+  const heading = (text) => {
+    doc.moveDown(0.6);
+    doc.font("Bold").fontSize(13).fillColor(COLORS.brown).text(text);
+    rule("#f0e7d9");
+  };
+  const line = (label, value) => {
+    if (value === null || value === undefined || value === "") return;
+    doc.font("Bold").fontSize(10).fillColor(COLORS.muted).text(`${label}: `, { continued: true });
+    doc.font("Regular").fillColor(COLORS.text).text(String(value));
+  };
+  const priced = (name, price) => {
+    const y = doc.y;
+    doc.font("Bold").fontSize(11).fillColor(COLORS.text).text(name, { width: width - 120 });
+    if (price !== null) {
+      doc.font("Regular").fontSize(11).text(rupees(price), doc.page.margins.left + width - 120, y, { width: 120, align: "right" });
+      doc.x = doc.page.margins.left;
+    }
+  };
+
+  // Clinic header
+  doc.font("Bold").fontSize(20).fillColor(COLORS.brown).text(clinic.name);
+  doc.font("Regular").fontSize(9).fillColor(COLORS.muted);
+  [clinic.address, clinic.phone].filter(Boolean).forEach((detail) => doc.text(detail));
+  rule();
+
+  doc.font("Bold").fontSize(16).fillColor(COLORS.text).text(plan.plan_name || `Plan ${plan.plan_id}`);
+  doc.font("Regular").fontSize(9).fillColor(COLORS.muted).text(`Prepared ${generatedAt.toLocaleDateString("en-IN")} · Session ${sessionId}`);
+
+  heading("Patient");
+  line("Name", patient?.name || "—");
+  line("Age", patient?.age ?? null);
+  line("Sex", patient?.sex ? labelize(patient.sex) : null);
+  line("Skin type", patient?.skin_type ? `Fitzpatrick ${patient.skin_type}` : null);
+  line("Allergies", patient?.allergies?.length ? patient.allergies.join(", ") : "None reported");
+  line("Current medications", patient?.medications?.length ? patient.medications.join(", ") : "None reported");
+
+  const pricing = computePlanPricing(plan);
+
+  const services = plan.services || [];
+  if (services.length > 0) {
+    heading("Services");
+    services.forEach((s, idx) => {
+      const priceLine = pricing.lines.services[idx];
+      priced(s.service_name || "Service", priceLine.amount);
+      specEntries(s.specifications).forEach(([k, v]) => line(labelize(k), v));
+      if (priceLine.optionIndex !== null) {
+        line("Selected option", optionLabel(s.service_cost_variable_options[priceLine.optionIndex]));
+      }
+      doc.moveDown(0.5);
+    });
+  }
+
+  const products = plan.products || [];
+  if (products.length > 0) {
+    heading("Products");
+    products.forEach((p, idx) => {
+      priced(p.product_name || p.name || "Product", pricing.lines.products[idx].amount);
+      line("Composition", p.composition);
+      line("Dosage", p.dosage);
+      line("Frequency", p.frequency);
+      line("Duration", p.duration);
+      line("Route", p.route);
+      line("Instructions", p.instruction);
+      doc.moveDown(0.5);
+    });
+  }
+
+  const labs = plan.lab_tests || [];
+  if (labs.length > 0) {
+    heading("Lab Tests");
+    labs.forEach((l, idx) => {
+      priced(l.lab_test_name || l.name || "Lab Test", pricing.lines.labs[idx].amount);
+      doc.moveDown(0.3);
+    });
+  }
+
+  heading("Estimated Cost");
+  [
+    ["Services", pricing.subtotals.services],
+    ["Products", pricing.subtotals.products],
+    ["Lab tests", pricing.subtotals.labs],
+  ].forEach(([label, amount]) => priced(label, amount));
+  if (pricing.discount > 0) priced("Discount", -pricing.discount);
+  if (pricing.tax > 0) priced(`Tax (${pricing.taxRate}%)`, pricing.tax);
+  rule(COLORS.brown);
+  priced("Total", pricing.total);
+
+  doc.moveDown(1.5);
+  doc.font("Regular").fontSize(8).fillColor(COLORS.muted)
+    .text("All prices in Indian Rupees (₹). Service costs use the selected session option and are estimates; final charges are confirmed by the clinic.", { width });
+
+  doc.end();
+  return done;
+}
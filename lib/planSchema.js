@@ -0,0 +1,211 @@
+// Declared shape of the gateway's treatment plan response and the normaliser that maps it to one canonical model.
+// Each field lists its canonical type, the alternative keys the gateway has used (dotted paths read nested
+// objects, e.g. pricing.MRP_cost) and its default. Unknown fields pass through untouched.
+// Recoverable problems become warnings shown to the clinician; unusable responses throw PlanResponseError.
+export const PLAN_SCHEMA = {
+  services: {
+    service_name: { type: "string", aliases: ["name"], required: true },
+    specifications: { type: "specifications" },
+    service_cost_variable_options: { type: "costOptions" },
+    verified: { type: "boolean" },
+  },
+  products: {
+    product_name: { type: "string", aliases: ["name"], required: true },
+    composition: { type: "string" },
+    dosage: { type: "string" },
+    frequency: { type: "string" },
+    duration: { type: "string" },
+    route: { type: "string" },
+    instruction: { type: "string" },
+    MRP_cost: { type: "number", aliases: ["pricing.MRP_cost", "mrp"] },
+    cost: { type: "number", aliases: ["pricing.cost"] },
+    verified: { type: "boolean" },
+  },
+  lab_tests: {
+    lab_test_name: { type: "string", aliases: ["name", "test_name"], required: true },
+    price: { type: "number", aliases: ["cost"] },
+    verified: { type: "boolean" },
+  },
+};
+
+// Fields of each entry in service_cost_variable_options; grafts and weight may be ranges, so they stay as given.
+const COST_OPTION_SCHEMA = {
+  session: { type: "number" },
+  cost_per_session: { type: "number" },
+};
+
+export class PlanResponseError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+// Value used when a field is missing.
+const DEFAULTS = {
+  string: () => "",
+  number: () => null,
+  boolean: () => false,
+  specifications: () => ({}),
+  costOptions: () => [],
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const describe = (value) => {
+  if (value === null || value === undefined) return "nothing";
+  if (typeof value === "string") return `"${value.slice(0, 40)}"`;
+  return Array.isArray(value) ? "a list" : typeof value;
+};
+
+const readPath = (item, path) => path.split(".").reduce((value, key) => (isObject(value) ? value[key] : undefined), item);
+
+// Converts one value to its declared type; `warn` records anything that had to be discarded.
+const coerce = {
+  string: (value, warn) => {
+    if (typeof value === "string") return value;
+    if (typeof value === "number" || typeof value === "boolean") return String(value);
+    warn(`expected text, got ${describe(value)}`);
+    return "";
+  },
+  number: (value, warn) => {
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+    if (typeof value === "string") {
+      const cleaned = value.replace(/[₹,\s]|rs\.?|inr/gi, "");
+      if (cleaned === "") return null;
+      const number = Number(cleaned);
+      if (Number.isFinite(number)) return number;
+    }
+    warn(`expected a number, got ${describe(value)}`);
+    return null;
+  },
+  boolean: (value, warn) => {
+    if (typeof value === "boolean") return value;
+    const text = String(value).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(text)) return true;
+    if (["false", "no", "0", ""].includes(text)) return false;
+    warn(`expected true/false, got ${describe(value)}`);
+    return false;
+  },
+  // Free-text specifications become { details }, so the planner only ever edits key/value pairs.
+  specifications: (value, warn) => {
+    if (isObject(value)) return { ...value };
+    if (typeof value === "string") return value.trim() ? { details: value } : {};
+    warn(`expected specifications, got ${describe(value)}`);
+    return {};
+  },
+  costOptions: (value, warn) => {
+    if (!Array.isArray(value)) {
+      warn(`expected a list of cost options, got ${describe(value)}`);
+      return [];
+    }
+    return value
+      .map((option, idx) => {
+        if (isObject(option)) return applySchema(option, COST_OPTION_SCHEMA, (message) => warn(`option ${idx + 1}: ${message}`));
+        warn(`option ${idx + 1} is not an object; dropped`);
+        return null;
+      })
+      .filter(Boolean);
+  },
+};
+
+// Maps aliases onto canonical keys, coerces each declared field and keeps everything else as is.
+function applySchema(item, schema, warn) {
+  const result = { ...item };
+  const consumedParents = new Set();
+  Object.entries(schema).forEach(([field, spec]) => {
+    let value = item[field];
+    (spec.aliases || []).forEach((alias) => {
+      const aliasValue = readPath(item, alias);
+      if ((value === undefined || value === null || value === "") && aliasValue !== undefined) value = aliasValue;
+      if (alias.includes(".")) consumedParents.add(alias.split(".")[0]);
+      else if (!(alias in schema)) delete result[alias];
+    });
+
+    if (value === undefined || value === null || (spec.type !== "string" && value === "")) {
+      if (spec.required) warn(`${field} is missing`);
+      result[field] = DEFAULTS[spec.type]();
+      return;
+    }
+    result[field] = coerce[spec.type](value, (message) => warn(`${field}: ${message}`));
+  });
+
+  // Nested alias sources (e.g. pricing) are dropped once every value in them has been mapped.
+  consumedParents.forEach((parent) => {
+    const mapped = Object.values(schema).flatMap((spec) => spec.aliases || []).filter((a) => a.startsWith(`${parent}.`));
+    if (!isObject(item[parent]) || Object.keys(item[parent]).every((key) => mapped.includes(`${parent}.${key}`))) {
+      delete result[parent];
+    }
+  });
+  return result;
+}
+
+const planLetter = (index) => String.fromCharCode(65 + (index % 26));
+
+// Normalises one plan; returns null (with a warning) when it is not an object. `index` names plans without an id.
+export function normalizePlan(raw, index = 0, warnings = [], takenIds = new Set()) {
+  const label = `Plan ${raw?.plan_id ?? planLetter(index)}`;
+  if (!isObject(raw)) {
+    warnings.push({ path: `treatment_plans[${index}]`, message: `expected a plan, got ${describe(raw)}; dropped` });
+    return null;
+  }
+
+  const plan = { ...raw };
+  let planId = raw.plan_id === undefined || raw.plan_id === null || raw.plan_id === "" ? "" : String(raw.plan_id);
+  if (!planId || takenIds.has(planId)) {
+    const fallback = [...Array(26).keys()].map((i) => planLetter(index + i)).find((letter) => !takenIds.has(letter));
+    warnings.push({ path: label, message: `${planId ? `duplicate plan_id ${planId}` : "plan_id is missing"}; using ${fallback}` });
+    planId = fallback;
+  }
+  takenIds.add(planId);
+  plan.plan_id = planId;
+  plan.plan_name = typeof raw.plan_name === "string" && raw.plan_name.trim() ? raw.plan_name : `Plan ${planId}`;
+
+  Object.entries(PLAN_SCHEMA).forEach(([kind, schema]) => {
+    const items = raw[kind];
+    if (items === undefined || items === null) {
+      plan[kind] = [];
+      return;
+    }
+    if (!Array.isArray(items)) {
+      warnings.push({ path: `Plan ${planId} › ${kind}`, message: `expected a list, got ${describe(items)}; ignored` });
+      plan[kind] = [];
+      return;
+    }
+    plan[kind] = items
+      .map((item, idx) => {
+        const path = `Plan ${planId} › ${kind}[${idx + 1}]`;
+        if (!isObject(item)) {
+          warnings.push({ path, message: `expected an item, got ${describe(item)}; dropped` });
+          return null;
+        }
+        return applySchema(item, schema, (message) => warnings.push({ path, message }));
+      })
+      .filter(Boolean);
+  });
+  return plan;
+}
+
+// Validates a gateway response and returns { plans, warnings }; throws PlanResponseError when nothing usable is left.
+export function normalizePlanResponse(response) {
+  if (!isObject(response)) {
+    throw new PlanResponseError(`The planner returned an unreadable response (${describe(response)})`);
+  }
+  if (response.success === false) {
+    throw new PlanResponseError(response.message || response.error || "The planner reported that it could not build plans");
+  }
+  if (!Array.isArray(response.treatment_plans)) {
+    throw new PlanResponseError("The planner response has no treatment_plans list");
+  }
+  if (response.treatment_plans.length === 0) {
+    throw new PlanResponseError("The planner returned no plans");
+  }
+
+  const warnings = [];
+  const takenIds = new Set();
+  const plans = response.treatment_plans.map((raw, index) => normalizePlan(raw, index, warnings, takenIds)).filter(Boolean);
+  if (plans.length === 0) {
+    throw new PlanResponseError("None of the plans in the planner response could be read", warnings);
+  }
+  return { plans, warnings };
+}
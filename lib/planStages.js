@@ -0,0 +1,12 @@
+// Progress stages of a plan generation job, in order; shared by the job runner and the planner page.
+// The gateway reports these ids when it streams progress; otherwise the app emits the ones it can observe.
+export const PLAN_STAGES = [
+  { id: "received", label: "Request received" },
+  { id: "analysing_transcript", label: "Analysing transcript" },
+  { id: "matching_catalogue", label: "Matching catalogue" },
+  { id: "building_plans", label: "Building Plans A/B/C" },
+];
+
+export const stageIndex = (id) => PLAN_STAGES.findIndex((stage) => stage.id === id);
+
+export const stageLabel = (id) => PLAN_STAGES.find((stage) => stage.id === id)?.label || id;
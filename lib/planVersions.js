@@ -0,0 +1,50 @@
+// Version history of each plan in a session, kept on the session as plan_versions: { [plan_id]: [version, ...] }.
+// A version is { version, source, instruction, job_id, created_at, plan }; source is one of VERSION_SOURCES.
+export const VERSION_SOURCES = ["generated", "edited", "refined", "regenerated"];
+
+export const VERSION_LABELS = {
+  generated: "Generated",
+  edited: "Edited",
+  refined: "Refined",
+  regenerated: "Regenerated",
+};
+
+const samePlan = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const latestVersion = (history = {}, planId) => {
+  const versions = history[planId] || [];
+  return versions[versions.length - 1] || null;
+};
+
+// Appends a version for each plan that differs from its latest version; returns the new history.
+export function addPlanVersions(history = {}, plans = [], { source = "generated", instruction = "", job_id = null } = {}) {
+  const next = { ...history };
+  const createdAt = new Date().toISOString();
+  plans.forEach((plan) => {
+    if (!plan || plan.plan_id === undefined || plan.plan_id === null) return;
+    const versions = next[plan.plan_id] || [];
+    if (versions.length > 0 && samePlan(versions[versions.length - 1].plan, plan)) return;
+    next[plan.plan_id] = [
+      ...versions,
+      { version: versions.length + 1, source, instruction: instruction || "", job_id, created_at: createdAt, plan },
+    ];
+  });
+  return next;
+}
+
+// Folds a refinement response into the session's plans. Without a target every returned plan replaces the set;
+// with one, only that plan is swapped (a lone returned plan counts as the target whatever id the gateway gave it).
+// Returns { plans, changed }, or null when the response holds nothing usable.
+export function mergeRefinedPlans(currentPlans = [], returnedPlans = [], targetPlanId = null) {
+  if (!targetPlanId) {
+    return returnedPlans.length > 0 ? { plans: returnedPlans, changed: returnedPlans } : null;
+  }
+  const refined =
+    returnedPlans.find((plan) => plan?.plan_id === targetPlanId) || (returnedPlans.length === 1 ? returnedPlans[0] : null);
+  if (!refined) return null;
+
+  const plan = { ...refined, plan_id: targetPlanId };
+  const index = currentPlans.findIndex((p) => p.plan_id === targetPlanId);
+  const plans = index === -1 ? [...currentPlans, plan] : currentPlans.map((p, i) => (i === index ? plan : p));
+  return { plans, changed: [plan] };
+}
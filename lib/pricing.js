@@ -0,0 +1,93 @@
+// Pricing engine for treatment plans; shared by the planner page and the PDF export.
+// A plan's clinician choices live on the plan itself as `pricing_options`:
+//   { service_options: { [serviceIndex]: optionIndex }, discount: { type: "percent" | "amount", value }, tax_rate }
+
+export const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const formatRupees = (value) => {
+  const number = Number(value || 0);
+  const amount = Math.abs(number).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${number < 0 ? "−" : ""}₹${amount}`;
+};
+
+// Product price: direct MRP_cost/cost fields first, then the nested pricing object.
+export const productPrice = (p) =>
+  toNumber(p.MRP_cost) ?? toNumber(p.cost) ?? toNumber(p.pricing?.MRP_cost) ?? toNumber(p.pricing?.cost);
+
+export const labPrice = (l) => toNumber(l.price);
+
+// Total for one cost option: cost per session x number of sessions (a missing session count means one).
+export const optionCost = (option) => {
+  const perSession = toNumber(option?.cost_per_session);
+  if (perSession === null) return null;
+  return perSession * (toNumber(option.session) ?? 1);
+};
+
+// Human label for a cost option select, e.g. "4 sessions × ₹5,000.00 · 2000 grafts".
+export const optionLabel = (option) =>
+  [
+    toNumber(option.session) !== null ? `${option.session} session${Number(option.session) === 1 ? "" : "s"}` : "",
+    toNumber(option.cost_per_session) !== null ? `× ${formatRupees(option.cost_per_session)}` : "",
+    option.grafts ? `· ${option.grafts} grafts` : "",
+    option.weight ? `· weight ${option.weight}` : "",
+  ]
+    .filter(Boolean)
+    .join(" ") || "Option";
+
+export const defaultPricingOptions = () => ({
+  service_options: {},
+  discount: { type: "percent", value: 0 },
+  tax_rate: 0,
+});
+
+// Computes line items, subtotals, discount, tax and total for a plan using its pricing_options.
+export function computePlanPricing(plan, pricingOptions = plan?.pricing_options) {
+  const options = { ...defaultPricingOptions(), ...(pricingOptions || {}) };
+
+  const services = (plan?.services || []).map((s, idx) => {
+    const choices = s.service_cost_variable_options || [];
+    const optionIndex = Math.min(Number(options.service_options?.[idx] ?? 0), Math.max(choices.length - 1, 0));
+    return {
+      name: s.service_name || "Service",
+      optionIndex: choices.length ? optionIndex : null,
+      amount: choices.length ? optionCost(choices[optionIndex]) : null,
+    };
+  });
+  const products = (plan?.products || []).map((p) => ({
+    name: p.product_name || p.name || "Product",
+    amount: productPrice(p),
+  }));
+  const labs = (plan?.lab_tests || []).map((l) => ({
+    name: l.lab_test_name || l.name || "Lab Test",
+    amount: labPrice(l),
+  }));
+
+  const sum = (lines) => round2(lines.reduce((total, line) => total + (line.amount ?? 0), 0));
+  const subtotals = { services: sum(services), products: sum(products), labs: sum(labs) };
+  const subtotal = round2(subtotals.services + subtotals.products + subtotals.labs);
+
+  const discountValue = Math.max(0, toNumber(options.discount?.value) ?? 0);
+  const discount = round2(
+    Math.min(subtotal, options.discount?.type === "amount" ? discountValue : (subtotal * Math.min(discountValue, 100)) / 100)
+  );
+  const taxable = round2(subtotal - discount);
+  const taxRate = Math.max(0, toNumber(options.tax_rate) ?? 0);
+  const tax = round2((taxable * taxRate) / 100);
+
+  return {
+    lines: { services, products, labs },
+    subtotals,
+    subtotal,
+    discount,
+    taxRate,
+    tax,
+    total: round2(taxable + tax),
+    unpriced: [...services, ...products, ...labs].filter((line) => line.amount === null).length,
+  };
+}
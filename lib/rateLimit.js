@@ -0,0 +1,91 @@
+import { getConfig } from "./config.js";
+
+// Request limits for the routes that spend upstream quota (AssemblyAI, the orchestration gateway) or invite
+// password guessing. Each bucket allows RATE_LIMIT_<BUCKET>_PER_USER requests per signed-in user and
+// RATE_LIMIT_<BUCKET>_PER_IP per client address within RATE_LIMIT_WINDOW_SECONDS (0 turns a limit off).
+// Counters are sliding windows of timestamps kept in memory on globalThis, shared by every API route bundle;
+// they start afresh when the server restarts.
+export const RATE_LIMIT_BUCKETS = {
+  login: "sign-in attempts",
+  upload: "audio uploads",
+  transcribe: "transcription requests",
+  plans: "plan generation requests",
+};
+
+// Past this many tracked keys, keys with no recent requests are dropped on the next check.
+const SWEEP_THRESHOLD = 10000;
+
+const state = globalThis.__rateLimits || (globalThis.__rateLimits = { hits: new Map() });
+
+// Rejected for going over a limit or cap; answered with 429 and Retry-After by sendRateLimited().
+export class RateLimitError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.name = "RateLimitError";
+    this.status = 429;
+    this.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  }
+}
+
+// The client address; X-Forwarded-For is only believed when TRUST_PROXY says a proxy sets it.
+export function clientIp(req) {
+  const forwarded = getConfig().rateLimits.trustProxy ? req.headers["x-forwarded-for"] : null;
+  return (forwarded ? forwarded.split(",")[0].trim() : req.socket?.remoteAddress) || "unknown";
+}
+
+const recentHits = (key, since) => (state.hits.get(key) || []).filter((at) => at > since);
+
+function sweep(since) {
+  if (state.hits.size < SWEEP_THRESHOLD) return;
+  state.hits.forEach((hits, key) => {
+    if (!hits.some((at) => at > since)) state.hits.delete(key);
+  });
+}
+
+// Counts one request from `req` (req.user when signed in) against `bucket`; throws RateLimitError when the user
+// or the address is already at its limit. A rejected request is not counted.
+export function consumeRateLimit(bucket, req) {
+  const { windowMs, [bucket]: limits } = getConfig().rateLimits;
+  const now = Date.now();
+  const since = now - windowMs;
+  sweep(since);
+
+  const checks = [
+    req.user && limits.perUser > 0 && { key: `${bucket}:user:${req.user.id}`, limit: limits.perUser },
+    limits.perIp > 0 && { key: `${bucket}:ip:${clientIp(req)}`, limit: limits.perIp },
+  ]
+    .filter(Boolean)
+    .map((check) => ({ ...check, hits: recentHits(check.key, since) }));
+
+  const blocked = checks.filter(({ hits, limit }) => hits.length >= limit);
+  if (blocked.length > 0) {
+    // Wait until enough of the oldest requests leave the window to make room for one more.
+    const waitMs = Math.max(...blocked.map(({ hits, limit }) => hits[hits.length - limit] + windowMs - now));
+    const seconds = Math.max(1, Math.ceil(waitMs / 1000));
+    const wait = `${seconds} second${seconds === 1 ? "" : "s"}`;
+    throw new RateLimitError(`Too many ${RATE_LIMIT_BUCKETS[bucket]}. Try again in ${wait}.`, seconds);
+  }
+  checks.forEach(({ key, hits }) => state.hits.set(key, [...hits, now]));
+}
+
+// Answers a RateLimitError with 429, a Retry-After header and { error, retry_after } (seconds).
+export function sendRateLimited(res, error) {
+  res.setHeader("Retry-After", String(error.retryAfterSeconds));
+  return res.status(429).json({ error: error.message, retry_after: error.retryAfterSeconds });
+}
+
+// Wraps an API route so `methods` requests count against `bucket` before the handler runs. Put it inside
+// withAuth so per-user limits apply (routes without sign-in, like login, are limited per address only).
+export function withRateLimit(handler, bucket, { methods = ["POST"] } = {}) {
+  return async function rateLimited(req, res) {
+    if (methods.includes(req.method)) {
+      try {
+        consumeRateLimit(bucket, req);
+      } catch (error) {
+        if (error instanceof RateLimitError) return sendRateLimited(res, error);
+        throw error;
+      }
+    }
+    return handler(req, res);
+  };
+}
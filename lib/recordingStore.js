@@ -0,0 +1,121 @@
+// Crash-safe storage for the recorder (browser only). Each MediaRecorder chunk is written to IndexedDB as it
+// arrives, so a refresh or tab crash mid-consultation leaves a recording that can be restored on the next visit.
+// A recording is removed once its transcription has started, or when the clinician discards it.
+const DB_NAME = "treatment-planner";
+const DB_VERSION = 1;
+const RECORDINGS = "recordings";
+const CHUNKS = "chunks";
+
+// How often the recorder hands over (and persists) a chunk.
+export const RECORDING_TIMESLICE_MS = 2000;
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+export const recordingStoreAvailable = () => typeof window !== "undefined" && "indexedDB" in window;
+
+function openDb() {
+  if (!dbPromise) {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECORDINGS)) db.createObjectStore(RECORDINGS, { keyPath: "id" });
+      // Chunks are keyed [recording_id, seq] so one key range returns a recording's chunks in order.
+      if (!db.objectStoreNames.contains(CHUNKS)) db.createObjectStore(CHUNKS, { keyPath: ["recording_id", "seq"] });
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+const chunkRange = (id) => IDBKeyRange.bound([id, 0], [id, Number.MAX_SAFE_INTEGER]);
+
+export async function createRecording({ mimeType = "audio/webm" } = {}) {
+  const now = new Date().toISOString();
+  const recording = {
+    id: `rec-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: "recording", // recording | stopped
+    mime_type: mimeType,
+    chunks: 0,
+    bytes: 0,
+    elapsed_ms: 0,
+    upload_id: null,
+    started_at: now,
+    updated_at: now,
+  };
+  const db = await openDb();
+  const tx = db.transaction(RECORDINGS, "readwrite");
+  tx.objectStore(RECORDINGS).put(recording);
+  await transactionDone(tx);
+  return recording;
+}
+
+// Stores chunk `seq` and updates the recording's totals in one transaction.
+export async function appendRecordingChunk(id, seq, blob, elapsedMs) {
+  const db = await openDb();
+  const tx = db.transaction([RECORDINGS, CHUNKS], "readwrite");
+  tx.objectStore(CHUNKS).put({ recording_id: id, seq, blob });
+  const recordings = tx.objectStore(RECORDINGS);
+  const recording = await promisify(recordings.get(id));
+  if (recording) {
+    recordings.put({
+      ...recording,
+      chunks: Math.max(recording.chunks, seq + 1),
+      bytes: recording.bytes + blob.size,
+      elapsed_ms: Math.max(recording.elapsed_ms, elapsedMs),
+      updated_at: new Date().toISOString(),
+    });
+  }
+  await transactionDone(tx);
+}
+
+export async function updateRecording(id, patch) {
+  const db = await openDb();
+  const tx = db.transaction(RECORDINGS, "readwrite");
+  const recordings = tx.objectStore(RECORDINGS);
+  const recording = await promisify(recordings.get(id));
+  if (recording) recordings.put({ ...recording, ...patch, updated_at: new Date().toISOString() });
+  await transactionDone(tx);
+}
+
+// The most recent recording with audio that was never submitted, or null.
+export async function findUnfinishedRecording() {
+  const db = await openDb();
+  const recordings = await promisify(db.transaction(RECORDINGS).objectStore(RECORDINGS).getAll());
+  const withAudio = recordings.filter((recording) => recording.chunks > 0);
+  withAudio.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  return withAudio[0] || null;
+}
+
+// Reassembles a recording's chunks into one Blob.
+export async function loadRecordingBlob(recording) {
+  const db = await openDb();
+  const chunks = await promisify(db.transaction(CHUNKS).objectStore(CHUNKS).getAll(chunkRange(recording.id)));
+  return new Blob(
+    chunks.map((chunk) => chunk.blob),
+    { type: recording.mime_type }
+  );
+}
+
+export async function deleteRecording(id) {
+  const db = await openDb();
+  const tx = db.transaction([RECORDINGS, CHUNKS], "readwrite");
+  tx.objectStore(RECORDINGS).delete(id);
+  tx.objectStore(CHUNKS).delete(chunkRange(id));
+  await transactionDone(tx);
+}
@@ -0,0 +1,141 @@
+import { getConfig } from "./config.js";
+import { readCollection, updateCollection } from "./store.js";
+
+// PHI redaction applied to transcripts before they are sent to the orchestration gateway.
+// Each detected value is replaced with a stable token such as [NAME_1]; the token -> value
+// mapping stays in the local "redactions" collection so gateway responses can be re-identified.
+const COLLECTION = "redactions";
+
+export const ENTITY_TYPES = ["email", "id", "phone", "address", "name"];
+
+// Entities to mask, from REDACTION_ENTITIES (comma separated, "none" to disable); defaults to all.
+export function configuredEntities(value = getConfig().redactionEntities) {
+  if (!value) return [...ENTITY_TYPES];
+  const requested = value.split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+  if (requested.includes("none")) return [];
+  return ENTITY_TYPES.filter((type) => requested.includes(type));
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Detectors run in ENTITY_TYPES order so e.g. 12-digit Aadhaar numbers are tagged as IDs, not phones.
+// A detector returns the regex; `group` selects the sensitive part when the match includes a label.
+const detectors = {
+  email: () => [{ regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi }],
+  id: () => [
+    { regex: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g },
+    { regex: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+    { regex: /\b(?:MRN|UHID|patient id|passport(?: no\.?)?|aadhaar(?: no\.?)?|PAN(?: no\.?)?)[\s:#-]*([A-Z0-9][A-Z0-9-]{3,})/gi, group: 1 },
+  ],
+  phone: () => [
+    {
+      regex: /\+?\(?\d[\d\s().-]{8,}\d/g,
+      accept: (value) => {
+        const digits = value.replace(/\D/g, "").length;
+        return digits >= 10 && digits <= 13;
+      },
+    },
+  ],
+  address: () => [
+    {
+      regex: /\b\d{1,5}[,\s]+(?:[A-Z][\w.'-]*[,\s]+){0,4}(?:Street|St|Road|Rd|Lane|Ln|Avenue|Ave|Nagar|Colony|Sector|Block|Marg|Layout|Apartments?)\b\.?/g,
+    },
+    { regex: /\b(?:pin ?code|pincode|zip(?: code)?)[\s:]*(\d{5,6})\b/gi, group: 1 },
+  ],
+  name: ({ knownNames }) => [
+    { regex: /\b(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g, group: 1 },
+    { regex: /\b(?:[Mm]y name is|[Nn]ame's)\s+(?!(?:Mr|Mrs|Ms|Miss|Dr)\b)([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g, group: 1 },
+    ...knownNames.map((name) => ({ regex: new RegExp(`\\b${escapeRegExp(name)}\\b`, "gi") })),
+  ],
+};
+
+// Full names plus their individual parts (3+ letters) so "Asha" is caught as well as "Asha Rao".
+const expandNames = (names = []) => {
+  const all = new Set();
+  names
+    .filter((n) => typeof n === "string" && n.trim())
+    .forEach((n) => {
+      all.add(n.trim());
+      n.trim().split(/\s+/).filter((part) => part.length >= 3).forEach((part) => all.add(part));
+    });
+  // Longest first so "Asha Rao" becomes one token rather than two.
+  return [...all].sort((a, b) => b.length - a.length);
+};
+
+// Masks the configured entity types; returns the redacted text, token mapping and per-type counts.
+export function redactText(text, { entities = configuredEntities(), knownNames = [], mapping = {} } = {}) {
+  const tokens = { ...mapping };
+  const byValue = new Map(Object.entries(tokens).map(([token, value]) => [`${token.split("_")[0]}|${value.toLowerCase()}`, token]));
+  const counts = {};
+
+  const tokenFor = (type, value) => {
+    const prefix = `[${type.toUpperCase()}`;
+    const key = `${prefix}|${value.toLowerCase()}`;
+    if (byValue.has(key)) return byValue.get(key);
+    const next = Object.keys(tokens).filter((t) => t.startsWith(`${prefix}_`)).length + 1;
+    const token = `${prefix}_${next}]`;
+    tokens[token] = value;
+    byValue.set(key, token);
+    return token;
+  };
+
+  let result = typeof text === "string" ? text : "";
+  const context = { knownNames: expandNames(knownNames) };
+  ENTITY_TYPES.filter((type) => entities.includes(type)).forEach((type) => {
+    detectors[type](context).forEach(({ regex, group, accept }) => {
+      result = result.replace(regex, (match, ...groups) => {
+        const value = group ? groups[group - 1] : match;
+        if (!value || (accept && !accept(value))) return match;
+        counts[type] = (counts[type] || 0) + 1;
+        return match.replace(value, tokenFor(type, value));
+      });
+    });
+  });
+
+  return { text: result, mapping: tokens, counts };
+}
+
+// Applies redactText to every string inside `value` (string, array or object), sharing one token mapping.
+export function redactValue(value, { entities = configuredEntities(), knownNames = [], mapping = {} } = {}) {
+  let tokens = mapping;
+  const counts = {};
+  const walk = (item) => {
+    if (typeof item === "string") {
+      const redacted = redactText(item, { entities, knownNames, mapping: tokens });
+      tokens = redacted.mapping;
+      Object.entries(redacted.counts).forEach(([type, count]) => {
+        counts[type] = (counts[type] || 0) + count;
+      });
+      return redacted.text;
+    }
+    if (Array.isArray(item)) return item.map(walk);
+    if (item && typeof item === "object") return Object.fromEntries(Object.entries(item).map(([k, v]) => [k, walk(v)]));
+    return item;
+  };
+  const result = walk(value);
+  return { value: result, mapping: tokens, counts };
+}
+
+// Replaces tokens in any string inside `value` (string, array or object) with their original values.
+export function restoreValue(value, mapping = {}) {
+  if (typeof value === "string") {
+    return value.replace(/\[[A-Z]+_\d+\]/g, (token) => (token in mapping ? mapping[token] : token));
+  }
+  if (Array.isArray(value)) return value.map((item) => restoreValue(item, mapping));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restoreValue(v, mapping)]));
+  }
+  return value;
+}
+
+export async function saveRedaction(sessionId, { mapping, counts, entities }) {
+  await updateCollection(COLLECTION, (redactions) => ({
+    ...redactions,
+    [sessionId]: { mapping, counts, entities, updated_at: new Date().toISOString() },
+  }));
+}
+
+export async function getRedaction(sessionId) {
+  const redactions = await readCollection(COLLECTION);
+  return redactions[sessionId] || null;
+}
@@ -0,0 +1,83 @@
+import { readCollection, updateCollection } from "./store.js";
+
+// Planner sessions: one record per callPlanner run, keyed by session_id.
+const COLLECTION = "sessions";
+
+// Refused because the session id already belongs to another user.
+export class SessionOwnerError extends Error {
+  constructor(message = "This session belongs to another user") {
+    super(message);
+    this.status = 403;
+  }
+}
+
+// Creates a session record when plan generation starts. A known id is only reset for the user who created it;
+// anyone else gets SessionOwnerError and the session is left untouched.
+export async function recordSession({ session_id, user_id, slot_id, transcript_id, treatment_planner_text, patient }) {
+  const now = new Date().toISOString();
+  let record = null;
+  await updateCollection(COLLECTION, (sessions) => {
+    if (sessions[session_id] && sessions[session_id].user_id !== (user_id || null)) throw new SessionOwnerError();
+    record = {
+      session_id,
+      user_id: user_id || null,
+      slot_id: slot_id || null,
+      transcript_id: transcript_id || null,
+      patient: patient || null,
+      treatment_planner_text: treatment_planner_text || "",
+      status: "generating",
+      plans: [],
+      plan_versions: {},
+      selected_plan_id: null,
+      error: null,
+      created_at: sessions[session_id]?.created_at || now,
+      updated_at: now,
+    };
+    return { ...sessions, [session_id]: record };
+  });
+  return record;
+}
+
+// Merges fields into an existing session; returns null when the session is unknown.
+// `patch` may be a function of the current record, for changes that build on stored values.
+export async function updateSession(sessionId, patch) {
+  let record = null;
+  await updateCollection(COLLECTION, (sessions) => {
+    if (!sessions[sessionId]) return sessions;
+    const fields = typeof patch === "function" ? patch(sessions[sessionId]) : patch;
+    record = { ...sessions[sessionId], ...fields, updated_at: new Date().toISOString() };
+    return { ...sessions, [sessionId]: record };
+  });
+  return record;
+}
+
+export async function getSession(sessionId) {
+  const sessions = await readCollection(COLLECTION);
+  return sessions[sessionId] || null;
+}
+
+// Loads a session for a change by `userId`; null when unknown, SessionOwnerError when another user created it.
+export async function getOwnedSession(sessionId, userId) {
+  const session = await getSession(sessionId);
+  if (session && session.user_id !== (userId || null)) throw new SessionOwnerError();
+  return session;
+}
+
+// Lists sessions newest first, optionally filtered by patient name or slot id and a created_at date range (YYYY-MM-DD).
+export async function listSessions({ patient, from, to } = {}) {
+  const sessions = Object.values(await readCollection(COLLECTION));
+  const needle = (patient || "").trim().toLowerCase();
+  const fromTime = from ? Date.parse(`${from}T00:00:00`) : null;
+  const toTime = to ? Date.parse(`${to}T23:59:59.999`) : null;
+
+  return sessions
+    .filter((s) => {
+      const created = Date.parse(s.created_at);
+      if (fromTime !== null && !Number.isNaN(fromTime) && created < fromTime) return false;
+      if (toTime !== null && !Number.isNaN(toTime) && created > toTime) return false;
+      if (!needle) return true;
+      const haystack = [s.patient?.name, s.slot_id].filter(Boolean).join(" ").toLowerCase();
+      return haystack.includes(needle);
+    })
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+}
@@ -0,0 +1,44 @@
+import fs from "fs/promises";
+import path from "path";
+import { getConfig } from "./config.js";
+
+// Directory holding the local JSON collections (one file per collection), from DATA_DIR.
+const dataDir = () => getConfig().dataDir;
+
+// Resolves a path inside the data directory (for files stored next to the collections).
+export const dataPath = (...parts) => path.join(dataDir(), ...parts);
+
+// Writes are chained per collection so concurrent requests never interleave.
+const writeQueues = new Map();
+
+const collectionPath = (name) => dataPath(`${name}.json`);
+
+// Reads a collection from disk; returns the fallback when the file does not exist yet.
+export async function readCollection(name, fallback = {}) {
+  try {
+    const raw = await fs.readFile(collectionPath(name), "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+// Applies an updater to a collection and persists the result atomically (temp file + rename).
+export function updateCollection(name, updater, fallback = {}) {
+  const previous = writeQueues.get(name) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const current = await readCollection(name, fallback);
+      const updated = await updater(current);
+      await fs.mkdir(dataDir(), { recursive: true });
+      const target = collectionPath(name);
+      const tempFile = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(updated, null, 2));
+      await fs.rename(tempFile, target);
+      return updated;
+    });
+  writeQueues.set(name, next);
+  return next;
+}
@@ -0,0 +1,44 @@
+// Helpers for speaker-labelled (diarized) AssemblyAI transcripts.
+
+export const SPEAKER_ROLES = ["doctor", "patient", "other"];
+
+// Words the recogniser scored below this are underlined for the clinician to verify.
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+export const isLowConfidence = (word) =>
+  typeof word.confidence === "number" && word.confidence < LOW_CONFIDENCE_THRESHOLD;
+
+// Counts low-confidence words across utterances.
+export const countLowConfidence = (utterances = []) =>
+  utterances.reduce((total, u) => total + (u.words || []).filter(isLowConfidence).length, 0);
+
+// Formats an utterance offset in milliseconds as mm:ss.
+export const formatTimestamp = (ms = 0) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+};
+
+// Assigns a name and role per speaker label: the first voice is assumed to be the doctor, the second the patient.
+export function defaultSpeakers(utterances = []) {
+  const speakers = {};
+  utterances.forEach((u) => {
+    if (speakers[u.speaker]) return;
+    const order = Object.keys(speakers).length;
+    const role = order === 0 ? "doctor" : order === 1 ? "patient" : "other";
+    speakers[u.speaker] = {
+      role,
+      name: role === "other" ? `Speaker ${u.speaker}` : role.charAt(0).toUpperCase() + role.slice(1),
+    };
+  });
+  return speakers;
+}
+
+// Builds planner text from utterances; roleFilter "all" keeps every turn, otherwise only that role's turns.
+export function buildTranscriptText(utterances = [], speakers = {}, roleFilter = "all") {
+  return utterances
+    .filter((u) => roleFilter === "all" || speakers[u.speaker]?.role === roleFilter)
+    .map((u) => `${speakers[u.speaker]?.name || `Speaker ${u.speaker}`}: ${u.text}`)
+    .join("\n");
+}
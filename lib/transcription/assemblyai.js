@@ -0,0 +1,46 @@
+import axios from "axios";
+import { getConfig } from "../config.js";
+
+// AssemblyAI implementation of the transcription provider interface.
+// ASSEMBLYAI_BASE_URL points it at another host, e.g. the stand-in used by the end-to-end tests.
+export function createAssemblyAIProvider() {
+  const { apiKey, baseUrl } = getConfig().transcription.assemblyai;
+  if (!apiKey) {
+    throw new Error("Missing AssemblyAI API key: set ASSEMBLYAI_API_KEY");
+  }
+  const headers = { authorization: apiKey };
+
+  return {
+    name: "assemblyai",
+
+    async upload(buffer) {
+      const response = await axios.post(`${baseUrl}/v2/upload`, buffer, {
+        headers,
+        maxBodyLength: Infinity,
+      });
+      return { uploadUrl: response.data.upload_url };
+    },
+
+    async start(audioUrl, { speakerLabels = true, wordBoost = [], boostParam, customSpelling = [] } = {}) {
+      const data = { audio_url: audioUrl, speech_model: "universal" };
+      if (speakerLabels) {
+        data.speaker_labels = true;
+        data.speakers_expected = 2;
+      }
+      if (wordBoost.length > 0) {
+        data.word_boost = wordBoost;
+        if (boostParam) data.boost_param = boostParam;
+      }
+      if (customSpelling.length > 0) {
+        data.custom_spelling = customSpelling;
+      }
+      const response = await axios.post(`${baseUrl}/v2/transcript`, data, { headers });
+      return { transcriptId: response.data.id };
+    },
+
+    async poll(transcriptId) {
+      const response = await axios.get(`${baseUrl}/v2/transcript/${encodeURIComponent(transcriptId)}`, { headers });
+      return response.data;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { getConfig } from "../config.js";
+import { createAssemblyAIProvider } from "./assemblyai.js";
+import { createLocalProvider } from "./local.js";
+
+// Transcription provider interface shared by the API routes and the CLI:
+//   upload(buffer, { filename }) -> { uploadUrl }
+//   start(audioUrl, { speakerLabels, wordBoost, boostParam, customSpelling }) -> { transcriptId }
+//   poll(transcriptId) -> AssemblyAI-shaped transcript ({ status, text, utterances, words, error })
+//   result(transcriptId, { intervalMs, timeoutMs }) -> completed transcript (polls until done)
+// Select with TRANSCRIPTION_PROVIDER=assemblyai (default) | local.
+const providers = {
+  assemblyai: createAssemblyAIProvider,
+  local: createLocalProvider,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function getTranscriptionProvider(name = getConfig().transcription.provider) {
+  const create = providers[name.toLowerCase()];
+  if (!create) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}" (expected ${Object.keys(providers).join(" | ")})`);
+  }
+  const provider = create();
+
+  return {
+    ...provider,
+    async result(transcriptId, { intervalMs = 3000, timeoutMs = 5 * 60 * 1000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const transcript = await provider.poll(transcriptId);
+        if (transcript.status === "completed") return transcript;
+        if (transcript.status === "error") {
+          throw new Error(`Transcription failed: ${transcript.error}`);
+        }
+        await sleep(intervalMs);
+      }
+      throw new Error("Transcription timeout. Please try again.");
+    },
+  };
+}
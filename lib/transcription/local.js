@@ -0,0 +1,156 @@
+import { spawn } from "child_process";
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { getConfig } from "../config.js";
+import { errorSummary } from "../logging.js";
+import { dataPath, readCollection, updateCollection } from "../store.js";
+
+// Offline transcription provider. Uploads are kept under data/uploads and jobs in the
+// "local-transcripts" collection. When LOCAL_TRANSCRIBE_COMMAND is set (e.g. a whisper.cpp
+// wrapper) it is run with the audio path appended and its stdout becomes the transcript;
+// otherwise a fixture transcript is returned after LOCAL_TRANSCRIBE_DELAY_MS.
+const COLLECTION = "local-transcripts";
+const UPLOAD_SCHEME = "local://uploads/";
+
+const defaultFixture = () => path.join(process.cwd(), "fixtures", "transcripts", "consultation.json");
+
+// Spreads an utterance's words evenly across its time span so word-level consumers have timestamps.
+const toWords = ({ text, start, end, speaker }) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const step = tokens.length ? (end - start) / tokens.length : 0;
+  return tokens.map((token, i) => ({
+    text: token,
+    start: Math.round(start + i * step),
+    end: Math.round(start + (i + 1) * step),
+    confidence: 0.97,
+    speaker,
+  }));
+};
+
+// The file behind a local:// upload URL. Audio URLs come from the client, so only the file name is used and it
+// must resolve directly inside data/uploads; anything else (e.g. "local://uploads/../../etc/passwd") is refused.
+const uploadedFile = (audioUrl) => {
+  const dir = path.resolve(dataPath("uploads"));
+  const file = path.resolve(dir, path.basename(audioUrl.slice(UPLOAD_SCHEME.length)));
+  if (path.dirname(file) !== dir) throw new Error("Audio URL does not name a local upload");
+  return file;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Mirrors AssemblyAI custom_spelling: whole-word, case-insensitive replacement of each `from` term.
+const applySpelling = (text, customSpelling = []) =>
+  customSpelling.reduce(
+    (result, { from, to }) =>
+      from.reduce((acc, term) => acc.replace(new RegExp(`\\b${escapeRegExp(term)}\\b`, "gi"), to), result),
+    text
+  );
+
+// Builds an AssemblyAI-shaped completed transcript from utterances.
+const buildTranscript = (job, utterances) => {
+  const enriched = utterances
+    .map((u) => ({ ...u, text: applySpelling(u.text, job.custom_spelling) }))
+    .map((u) => ({ ...u, confidence: 0.97, words: toWords(u) }));
+  return {
+    id: job.id,
+    status: "completed",
+    audio_url: job.audio_url,
+    text: enriched.map((u) => u.text).join(" "),
+    utterances: enriched,
+    words: enriched.flatMap((u) => u.words),
+    error: null,
+  };
+};
+
+const runEngine = (command, audioFile) =>
+  new Promise((resolve, reject) => {
+    const [bin, ...args] = command.split(/\s+/).filter(Boolean);
+    const child = spawn(bin, [...args, audioFile], { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout.trim());
+      reject(new Error(`Local engine exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+    });
+  });
+
+const saveJob = (job) => updateCollection(COLLECTION, (jobs) => ({ ...jobs, [job.id]: job }));
+
+export function createLocalProvider() {
+  const { command, fixture, delayMs } = getConfig().transcription.local;
+  const fixtureFile = fixture || defaultFixture();
+
+  const transcribeWithEngine = async (job) => {
+    await saveJob({ ...job, status: "processing" });
+    try {
+      const text = await runEngine(command, uploadedFile(job.audio_url));
+      const transcript = buildTranscript(job, [{ speaker: "A", start: 0, end: 0, text }]);
+      await saveJob({ ...job, ...transcript });
+    } catch (error) {
+      console.error("[transcription] local engine failed", { id: job.id, message: error.message });
+      await saveJob({ ...job, status: "error", error: error.message });
+    }
+  };
+
+  return {
+    name: "local",
+
+    async upload(buffer, { filename = "recording.webm" } = {}) {
+      const fileName = `${randomUUID()}${path.extname(filename) || ".webm"}`;
+      await fs.mkdir(dataPath("uploads"), { recursive: true });
+      await fs.writeFile(dataPath("uploads", fileName), buffer);
+      return { uploadUrl: `${UPLOAD_SCHEME}${fileName}` };
+    },
+
+    // Word boost has no offline equivalent; custom spelling is applied to the produced text.
+    async start(audioUrl, { customSpelling = [] } = {}) {
+      const mode = command && audioUrl.startsWith(UPLOAD_SCHEME) ? "engine" : "fixture";
+      if (mode === "engine") uploadedFile(audioUrl);
+      const job = {
+        id: randomUUID(),
+        status: "queued",
+        audio_url: audioUrl,
+        custom_spelling: customSpelling,
+        mode,
+        created_at: new Date().toISOString(),
+      };
+      await saveJob(job);
+      if (job.mode === "engine") {
+        // Runs in the background; poll() reports progress from the stored job. A failure to store the job's
+        // error is only logged, so it cannot surface as an unhandled rejection.
+        transcribeWithEngine(job).catch((error) =>
+          console.error("[transcription] local engine job could not be saved:", { id: job.id, ...errorSummary(error) })
+        );
+      }
+      return { transcriptId: job.id };
+    },
+
+    async poll(transcriptId) {
+      const jobs = await readCollection(COLLECTION);
+      const job = jobs[transcriptId];
+      if (!job) {
+        throw new Error(`Transcript ${transcriptId} not found`);
+      }
+      if (job.mode === "engine" || job.status === "completed" || job.status === "error") {
+        return job;
+      }
+
+      const elapsed = Date.now() - Date.parse(job.created_at);
+      if (elapsed < delayMs / 2) return { ...job, status: "queued" };
+      if (elapsed < delayMs) return { ...job, status: "processing" };
+
+      const fixture = JSON.parse(await fs.readFile(fixtureFile, "utf8"));
+      const transcript = buildTranscript(job, fixture.utterances || []);
+      await saveJob({ ...job, ...transcript });
+      return { ...job, ...transcript };
+    },
+  };
+}
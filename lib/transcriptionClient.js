@@ -0,0 +1,113 @@
+import { responseError } from "./apiErrors.js";
+
+// Browser side of batch transcription: resumable upload (/api/uploads) -> /api/transcribe -> polling /api/transcript/<id>.
+// Shared by the recorder's own recording and by uploaded audio files. Failed requests throw ApiError
+// (lib/apiErrors.js); rate-limited ones carry retryAfterSeconds.
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLLS = 100; // ~5 minutes at 3s intervals
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RETRY_DELAYS_MS = [1000, 2000, 4000, 8000, 15000];
+
+const jsonRequest = (url, method, body) =>
+  fetch(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+// Where the server's copy of an upload ends; null when the upload is unknown (expired or discarded).
+async function uploadStatus(uploadId) {
+  const response = await fetch(`/api/uploads/${uploadId}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw await responseError(response, "Failed to check upload");
+  return response.json();
+}
+
+// Uploads a Blob or File through the resumable /api/uploads protocol and returns the provider's upload URL.
+// Chunks that fail on the network or with a server error are retried with backoff from the offset the server
+// confirms. `uploadId` resumes an earlier attempt (e.g. after a reload); `onUploadId` is told about new uploads
+// so callers can store it, and `onProgress` receives the fraction sent (0-1).
+export async function uploadAudio(blob, filename = blob.name || "recording.webm", { uploadId, onUploadId, onProgress } = {}) {
+  let upload = uploadId ? await uploadStatus(uploadId) : null;
+  if (!upload || upload.size !== blob.size) {
+    const response = await jsonRequest("/api/uploads", "POST", { filename, size: blob.size, mime_type: blob.type });
+    if (!response.ok) throw await responseError(response, "Failed to upload audio");
+    upload = await response.json();
+    onUploadId?.(upload.upload_id);
+  }
+
+  let offset = upload.received;
+  let failures = 0;
+  while (upload.status === "receiving") {
+    onProgress?.(offset / blob.size);
+    try {
+      const response = await fetch(`/api/uploads/${upload.upload_id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) },
+        body: blob.slice(offset, offset + upload.chunk_size),
+      });
+      if (response.ok) {
+        upload = await response.json();
+        offset = upload.received;
+        failures = 0;
+        continue;
+      }
+      if (response.status === 409) {
+        // The server holds a different offset (e.g. a chunk whose response was lost did arrive); continue from there.
+        upload = (await uploadStatus(upload.upload_id)) || upload;
+        offset = upload.received;
+        continue;
+      }
+      if (response.status < 500) throw await responseError(response, "Failed to upload audio");
+      throw Object.assign(new Error(`Upload chunk failed with status ${response.status}`), { retryable: true });
+    } catch (err) {
+      // fetch rejects with a TypeError when the connection drops.
+      const retryable = err.retryable || err instanceof TypeError;
+      if (!retryable || failures >= RETRY_DELAYS_MS.length) throw err;
+      await sleep(RETRY_DELAYS_MS[failures]);
+      failures += 1;
+      const status = await uploadStatus(upload.upload_id).catch(() => null);
+      if (status) {
+        upload = status;
+        offset = status.received;
+      }
+    }
+  }
+  onProgress?.(1);
+
+  const response = await fetch(`/api/uploads/${upload.upload_id}/complete`, { method: "POST" });
+  if (!response.ok) throw await responseError(response, "Failed to upload audio");
+  const { uploadUrl } = await response.json();
+  return uploadUrl;
+}
+
+// Abandons a resumable upload; failures are ignored because the server expires unfinished uploads anyway.
+export async function discardUpload(uploadId) {
+  await fetch(`/api/uploads/${uploadId}`, { method: "DELETE" }).catch(() => {});
+}
+
+// Starts transcription of an uploaded file; returns the transcript id.
+export async function startTranscript(audioUrl) {
+  const response = await fetch("/api/transcribe", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ audioUrl }),
+  });
+  if (!response.ok) throw await responseError(response, "Failed to start transcription");
+  const { transcriptId } = await response.json();
+  return transcriptId;
+}
+
+// Polls until the transcript completes and returns it; throws on a failed transcript or timeout.
+// `onStatus` receives each intermediate status; `isCancelled` stops polling (resolving null) once it returns true.
+export async function waitForTranscript(transcriptId, { onStatus, isCancelled = () => false, intervalMs = POLL_INTERVAL_MS } = {}) {
+  for (let attempt = 0; attempt < MAX_POLLS; attempt += 1) {
+    if (isCancelled()) return null;
+    const response = await fetch(`/api/transcript/${transcriptId}`);
+    if (!response.ok) throw new Error("Failed to get transcription status");
+    const result = await response.json();
+    if (result.status === "completed") return result;
+    if (result.status === "error") throw new Error(result.error || "Transcription failed");
+    onStatus?.(result.status);
+    await sleep(intervalMs);
+  }
+  throw new Error("Transcription timeout. Please try again.");
+}
@@ -0,0 +1,31 @@
+import { readCollection, updateCollection } from "./store.js";
+
+// Transcription jobs started through /api/transcribe, keyed by the provider's transcript id.
+// Each transcript belongs to the user who started it; every other user is told it does not exist.
+const COLLECTION = "transcripts";
+
+// Provider ids are UUID-like tokens; anything else (dots, slashes, query strings) is refused before it reaches a URL.
+export const isTranscriptId = (value) => typeof value === "string" && /^[A-Za-z0-9_-]{1,128}$/.test(value);
+
+// Rejected transcript requests; `status` is the HTTP status the API answers with.
+export class TranscriptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export async function recordTranscript({ transcript_id, user_id, audio_url }) {
+  const record = { transcript_id, user_id, audio_url, created_at: new Date().toISOString() };
+  await updateCollection(COLLECTION, (transcripts) => ({ ...transcripts, [transcript_id]: record }));
+  return record;
+}
+
+// The transcript `transcriptId` if it was started by `userId`; throws 400/404 otherwise.
+export async function getOwnedTranscript(transcriptId, userId) {
+  if (!isTranscriptId(transcriptId)) throw new TranscriptError("Invalid transcript id");
+  const transcripts = await readCollection(COLLECTION);
+  const record = transcripts[transcriptId];
+  if (!record || record.user_id !== userId) throw new TranscriptError("Transcript not found", 404);
+  return record;
+}
@@ -0,0 +1,8 @@
+import { createContext, useContext } from "react";
+
+// The signed-in user ({ id, username, name, role }), provided to every page by components/AuthGate.js.
+export const CurrentUserContext = createContext(null);
+
+export default function useCurrentUser() {
+  return useContext(CurrentUserContext);
+}
@@ -0,0 +1,55 @@
+import { useCallback, useState } from "react";
+
+// Undo/redo history for a piece of editable state (the planner's planEdits).
+// Consecutive edits with the same key inside COALESCE_MS (e.g. typing in one field) become one undo step.
+const LIMIT = 100;
+const COALESCE_MS = 1000;
+
+export default function useEditHistory(initial) {
+  const [history, setHistory] = useState({ past: [], present: initial, future: [], lastKey: null, lastAt: 0 });
+
+  const apply = useCallback((updater, key = null) => {
+    setHistory((h) => {
+      const next = typeof updater === "function" ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      const now = Date.now();
+      const coalesce = key !== null && key === h.lastKey && now - h.lastAt < COALESCE_MS;
+      return {
+        past: coalesce ? h.past : [...h.past, h.present].slice(-LIMIT),
+        present: next,
+        future: [],
+        lastKey: key,
+        lastAt: now,
+      };
+    });
+  }, []);
+
+  // Replaces the state without recording history, e.g. when fresh plans arrive.
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [], lastKey: null, lastAt: 0 });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (h.past.length === 0) return h;
+      return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], lastKey: null, lastAt: 0 };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (h.future.length === 0) return h;
+      return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), lastKey: null, lastAt: 0 };
+    });
+  }, []);
+
+  return {
+    value: history.present,
+    apply,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,22 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Seconds left before a rate-limited request may be retried (0 when it may be retried now).
+// Returns [secondsLeft, start]; start(seconds) begins a new countdown.
+export default function useRetryCountdown() {
+  const [until, setUntil] = useState(0);
+  const [now, setNow] = useState(0);
+
+  useEffect(() => {
+    if (until <= now) return undefined;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(1000, until - now));
+    return () => clearTimeout(timer);
+  }, [until, now]);
+
+  const start = useCallback((seconds) => {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setUntil(startedAt + seconds * 1000);
+  }, []);
+
+  return [Math.max(0, Math.ceil((until - now) / 1000)), start];
+}
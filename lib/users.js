@@ -0,0 +1,149 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { getConfig } from "./config.js";
+import { readCollection, updateCollection } from "./store.js";
+
+// Clinician accounts for sign-in, keyed by user id. Passwords are stored as salted scrypt hashes only.
+const COLLECTION = "users";
+
+// doctor: records, transcribes and generates/refines/selects plans.
+// assistant: records, transcribes and views sessions and plans.
+// admin: everything, plus user accounts, catalogue and vocabulary.
+export const ROLES = ["doctor", "assistant", "admin"];
+
+export const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const KEY_LENGTH = 64;
+
+const scryptAsync = promisify(scrypt);
+
+export class UserValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UserValidationError";
+    this.status = status;
+  }
+}
+
+// Hashes a password as "scrypt$<salt>$<hash>" (base64url parts).
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+// Compares in constant time; a malformed stored hash never matches.
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = await scryptAsync(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// A user record without its password hash, safe to return from the API.
+export const publicUser = ({ password_hash, ...user }) => user;
+
+const normalizeUsername = (value) => String(value || "").trim().toLowerCase();
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new UserValidationError(`role must be one of ${ROLES.join(", ")}`);
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+export async function listUsers() {
+  const users = Object.values(await readCollection(COLLECTION));
+  return users.sort((a, b) => a.username.localeCompare(b.username)).map(publicUser);
+}
+
+// Full record (including password_hash) for sign-in and session checks.
+export async function getUser(id) {
+  const users = await readCollection(COLLECTION);
+  return users[id] || null;
+}
+
+export async function findUserByUsername(username) {
+  const wanted = normalizeUsername(username);
+  const users = await readCollection(COLLECTION);
+  return Object.values(users).find((user) => user.username === wanted) || null;
+}
+
+export async function createUser({ username, name, role, password }) {
+  const cleanUsername = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(cleanUsername)) {
+    throw new UserValidationError("username must be 3-32 characters: letters, numbers, dot, dash or underscore");
+  }
+  validateRole(role);
+  validatePassword(password);
+  const passwordHash = await hashPassword(password);
+
+  let created = null;
+  await updateCollection(COLLECTION, (users) => {
+    if (Object.values(users).some((user) => user.username === cleanUsername)) {
+      throw new UserValidationError(`username ${cleanUsername} is already taken`, 409);
+    }
+    const now = new Date().toISOString();
+    created = {
+      id: `usr-${randomUUID()}`,
+      username: cleanUsername,
+      name: String(name || "").trim() || cleanUsername,
+      role,
+      disabled: false,
+      password_hash: passwordHash,
+      created_at: now,
+      updated_at: now,
+    };
+    return { ...users, [created.id]: created };
+  });
+  return publicUser(created);
+}
+
+// Applies { name, role, password, disabled }; returns null when the user is unknown.
+// The last enabled admin cannot be demoted or disabled, so the clinic is never locked out.
+export async function updateUser(id, { name, role, password, disabled } = {}) {
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+  let updated = null;
+  await updateCollection(COLLECTION, (users) => {
+    const current = users[id];
+    if (!current) return users;
+    const next = {
+      ...current,
+      ...(name !== undefined && { name: String(name).trim() || current.username }),
+      ...(role !== undefined && { role }),
+      ...(disabled !== undefined && { disabled: Boolean(disabled) }),
+      ...(passwordHash && { password_hash: passwordHash }),
+      updated_at: new Date().toISOString(),
+    };
+    const otherAdmins = Object.values(users).filter((user) => user.id !== id && user.role === "admin" && !user.disabled);
+    if (current.role === "admin" && (next.role !== "admin" || next.disabled) && otherAdmins.length === 0) {
+      throw new UserValidationError("At least one enabled admin account is required");
+    }
+    updated = next;
+    return { ...users, [id]: next };
+  });
+  return updated && publicUser(updated);
+}
+
+// Creates the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD while no accounts exist.
+// Returns false when there are no accounts and no bootstrap credentials.
+export async function ensureBootstrapAdmin() {
+  const users = await readCollection(COLLECTION);
+  if (Object.keys(users).length > 0) return true;
+  const { adminUsername: username, adminPassword: password } = getConfig().auth;
+  if (!username || !password) return false;
+  try {
+    await createUser({ username, name: "Administrator", role: "admin", password });
+  } catch (error) {
+    // A concurrent sign-in may have created it first.
+    if (!(error instanceof UserValidationError && error.status === 409)) throw error;
+  }
+  return true;
+}
@@ -0,0 +1,113 @@
+import { getConfig } from "./config.js";
+import { readCollection, updateCollection } from "./store.js";
+
+// Clinic vocabulary used to steer transcription towards product, procedure and drug names.
+// Stored per clinic as an append-only list of versions; the newest version is the active one.
+const COLLECTION = "vocabulary";
+
+// CLINIC_ID, used when a request names no clinic.
+export const defaultClinicId = () => getConfig().clinic.id;
+export const BOOST_LEVELS = ["low", "default", "high"];
+export const TERM_GROUPS = ["products", "procedures", "drugs"];
+
+// AssemblyAI word_boost limits: at most 1000 terms, each at most 6 words.
+const MAX_TERMS = 1000;
+const MAX_WORDS_PER_TERM = 6;
+
+const DEFAULT_VOCABULARY = {
+  products: ["Minoxidil", "Finasteride", "Biotin", "Tretinoin", "Hyaluronic acid", "Kojic acid", "Azelaic acid"],
+  procedures: ["PRP", "GFC", "Microneedling", "HydraFacial", "Q-switched Nd:YAG", "Chemical peel", "Hair transplant", "FUE"],
+  drugs: ["Dutasteride", "Isotretinoin", "Spironolactone", "Tranexamic acid", "Botulinum toxin"],
+  custom_spelling: [{ from: ["minoxidill", "minoxidal"], to: "Minoxidil" }],
+  boost_param: "high",
+};
+
+export class VocabularyValidationError extends Error {}
+
+const cleanTerms = (terms) => {
+  if (!Array.isArray(terms)) return [];
+  const seen = new Set();
+  return terms
+    .map((t) => (typeof t === "string" ? t.trim() : ""))
+    .filter((t) => {
+      const key = t.toLowerCase();
+      if (!t || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const cleanSpelling = (entries) => {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .map((entry) => ({
+      from: cleanTerms(entry?.from),
+      to: typeof entry?.to === "string" ? entry.to.trim() : "",
+    }))
+    .filter((entry) => entry.from.length > 0 && entry.to);
+};
+
+// Validates editor input and returns the canonical vocabulary body (without version metadata).
+export function normalizeVocabulary(input = {}) {
+  const vocabulary = {
+    products: cleanTerms(input.products),
+    procedures: cleanTerms(input.procedures),
+    drugs: cleanTerms(input.drugs),
+    custom_spelling: cleanSpelling(input.custom_spelling),
+    boost_param: BOOST_LEVELS.includes(input.boost_param) ? input.boost_param : "default",
+  };
+
+  const allTerms = TERM_GROUPS.flatMap((group) => vocabulary[group]);
+  const tooLong = allTerms.filter((t) => t.split(/\s+/).length > MAX_WORDS_PER_TERM);
+  if (tooLong.length > 0) {
+    throw new VocabularyValidationError(`Terms must be at most ${MAX_WORDS_PER_TERM} words: ${tooLong.join(", ")}`);
+  }
+  if (allTerms.length > MAX_TERMS) {
+    throw new VocabularyValidationError(`At most ${MAX_TERMS} terms are allowed (got ${allTerms.length})`);
+  }
+  return vocabulary;
+}
+
+// Returns the clinic's version history, oldest first; an unsaved clinic gets the built-in defaults as version 0.
+export async function listVocabularyVersions(clinicId = defaultClinicId()) {
+  const clinics = await readCollection(COLLECTION);
+  const versions = clinics[clinicId]?.versions || [];
+  if (versions.length > 0) return versions;
+  return [{ version: 0, created_at: null, note: "Built-in defaults", ...DEFAULT_VOCABULARY }];
+}
+
+export async function getVocabulary(clinicId = defaultClinicId(), version = null) {
+  const versions = await listVocabularyVersions(clinicId);
+  if (version === null || version === undefined) return versions[versions.length - 1];
+  return versions.find((v) => v.version === Number(version)) || null;
+}
+
+// Appends a new version for the clinic and returns it.
+export async function saveVocabulary(clinicId, input, { note = "", author = null } = {}) {
+  const vocabulary = normalizeVocabulary(input);
+  let saved = null;
+  await updateCollection(COLLECTION, (clinics) => {
+    const versions = clinics[clinicId]?.versions || [];
+    const lastVersion = versions.length ? versions[versions.length - 1].version : 0;
+    saved = {
+      version: lastVersion + 1,
+      created_at: new Date().toISOString(),
+      note: typeof note === "string" ? note.trim() : "",
+      author,
+      ...vocabulary,
+    };
+    return { ...clinics, [clinicId]: { versions: [...versions, saved] } };
+  });
+  return saved;
+}
+
+// Maps a vocabulary version to transcription provider start() options.
+export function toTranscriptionOptions(vocabulary) {
+  if (!vocabulary) return {};
+  return {
+    wordBoost: TERM_GROUPS.flatMap((group) => vocabulary[group] || []),
+    boostParam: vocabulary.boost_param,
+    customSpelling: vocabulary.custom_spelling || [],
+    vocabularyVersion: vocabulary.version,
+  };
+}
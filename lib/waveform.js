@@ -0,0 +1,35 @@
+// Waveform data for the transcript audio player (decoding runs in the browser).
+export const WAVEFORM_BARS = 160;
+
+// Peak amplitude of each of `bars` equal slices of `samples`, scaled so the loudest bar is 1.
+export function computePeaks(samples, bars = WAVEFORM_BARS) {
+  const size = Math.max(Math.floor(samples.length / bars), 1);
+  const peaks = [];
+  for (let bar = 0; bar < bars; bar += 1) {
+    let peak = 0;
+    const end = Math.min((bar + 1) * size, samples.length);
+    for (let i = bar * size; i < end; i += 1) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+    }
+    peaks.push(peak);
+  }
+  const loudest = Math.max(...peaks);
+  return loudest > 0 ? peaks.map((peak) => peak / loudest) : peaks;
+}
+
+// Decodes an audio Blob into { peaks, durationMs }; resolves null when the browser cannot decode it.
+export async function decodeWaveform(blob, bars = WAVEFORM_BARS) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  const context = new AudioContextClass();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    return { peaks: computePeaks(buffer.getChannelData(0), bars), durationMs: buffer.duration * 1000 };
+  } catch (err) {
+    console.warn("Waveform decode failed:", err.message);
+    return null;
+  } finally {
+    context.close().catch(() => {});
+  }
+}
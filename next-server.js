@@ -0,0 +1,24 @@
+import { createServer } from "http";
+import next from "next";
+import { loadConfigOrExit } from "./lib/config.js";
+import { attachLiveTranscription, LIVE_PATH } from "./lib/live/index.js";
+
+// Custom Next.js server: same pages and API routes as `next dev/start`, plus the live
+// transcription WebSocket that API routes cannot host.
+const dev = process.argv.includes("--dev");
+process.env.NODE_ENV ||= dev ? "development" : "production";
+// Fails fast on missing secrets or malformed settings instead of on the first request.
+const { port } = loadConfigOrExit();
+
+const app = next({ dev });
+const handle = app.getRequestHandler();
+
+await app.prepare();
+
+const server = createServer((req, res) => handle(req, res));
+const live = attachLiveTranscription(server, { fallback: app.getUpgradeHandler() });
+
+server.listen(port, () => {
+  console.log(`Server running on http://localhost:${port} (${dev ? "development" : "production"})`);
+  console.log(`Live transcription on ws://localhost:${port}${LIVE_PATH} using "${live.backend}" backend`);
+});
@@ -1,7 +1,11 @@
+import AuthGate from "../components/AuthGate";
 import "../styles/globals.css";
 
-// Next.js custom App to inject global styles.
+// Next.js custom App to inject global styles and require sign-in on every page but /login.
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <AuthGate>
+      <Component {...pageProps} />
+    </AuthGate>
+  );
 }
-
@@ -0,0 +1,51 @@
+import { AUDIT_CSV_HEADER, auditEntries, auditEntryToCsv, listAuditEntries } from "../../lib/audit";
+import { AUDIT_ACTIONS } from "../../lib/auditActions";
+import { withAuth } from "../../lib/auth";
+import { errorSummary } from "../../lib/logging";
+
+// Audit log of transcriptions, plan generation, edits and selections (see lib/audit.js), for admins.
+// Optional query: session_id, actor (username), action, from and to (YYYY-MM-DD).
+// format=csv or format=json streams the filtered log as a download; otherwise answers { entries } newest first.
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { session_id, actor, action, from, to, format } = req.query;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${AUDIT_ACTIONS.join(", ")}` });
+  }
+  if (format && !["csv", "json"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or json" });
+  }
+
+  const filters = { session_id, actor, action, from, to };
+  try {
+    if (!format) {
+      const entries = await listAuditEntries(filters);
+      return res.status(200).json({ entries: entries.reverse() });
+    }
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+    res.status(200);
+    let count = 0;
+    if (format === "csv") res.write(AUDIT_CSV_HEADER);
+    else res.write("[");
+    for await (const entry of auditEntries(filters)) {
+      if (format === "csv") res.write(`\r\n${auditEntryToCsv(entry)}`);
+      else res.write(`${count > 0 ? "," : ""}\n${JSON.stringify(entry, null, 2)}`);
+      count += 1;
+    }
+    if (format === "json") res.write(count > 0 ? "\n]" : "]");
+    return res.end();
+  } catch (error) {
+    console.error("Audit log read error:", errorSummary(error));
+    // Once an export has started streaming, the status is sent; cut the download short instead.
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: "Failed to load audit log", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: ["admin"] });
@@ -0,0 +1,38 @@
+import { AuthError, sessionCookie, signIn } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { withRateLimit } from "../../../lib/rateLimit";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Signs a clinician in. POST { username, password } sets the session cookie and returns { user }.
+// Attempts are limited per client address (RATE_LIMIT_LOGIN_PER_IP) to slow down password guessing.
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: "username and password are required" });
+  }
+
+  try {
+    const { user, token } = await signIn(username, password);
+    res.setHeader("Set-Cookie", sessionCookie(req, token));
+    return res.status(200).json({ user });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Sign-in error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to sign in", details: error.message });
+  }
+}
+
+export default withRateLimit(handler, "login");
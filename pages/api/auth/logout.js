@@ -0,0 +1,18 @@
+import { SESSION_COOKIE, readCookie, sessionCookie, signOut } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+
+// Ends the current session (if any) and clears the cookie.
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    await signOut(readCookie(req, SESSION_COOKIE));
+    res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Sign-out error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to sign out", details: error.message });
+  }
+}
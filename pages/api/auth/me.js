@@ -0,0 +1,11 @@
+import { withAuth } from "../../../lib/auth";
+
+// Returns the signed-in user; 401 when there is no valid session.
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  return res.status(200).json({ user: req.user });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,78 @@
+import { withAuth } from "../../lib/auth";
+import {
+  CatalogueValidationError,
+  deleteCatalogueItem,
+  getCatalogue,
+  saveCatalogueItem,
+} from "../../lib/catalogue";
+import { errorSummary } from "../../lib/logging";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "64kb",
+    },
+  },
+};
+
+// Clinic catalogue of products, services and lab tests.
+// GET returns every kind; POST { kind, item } creates or updates an item; DELETE ?kind=&id= removes one.
+async function handler(req, res) {
+  if (req.method === "GET") {
+    return readCatalogue(req, res);
+  }
+  if (req.method === "POST") {
+    return writeCatalogueItem(req, res);
+  }
+  if (req.method === "DELETE") {
+    return removeCatalogueItem(req, res);
+  }
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+async function readCatalogue(req, res) {
+  try {
+    return res.status(200).json(await getCatalogue());
+  } catch (error) {
+    console.error("Catalogue read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load catalogue", details: error.message });
+  }
+}
+
+async function writeCatalogueItem(req, res) {
+  const { kind, item } = req.body || {};
+
+  try {
+    const saved = await saveCatalogueItem(kind, item || {});
+    return res.status(200).json({ kind, item: saved });
+  } catch (error) {
+    if (error instanceof CatalogueValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Catalogue save error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to save catalogue item", details: error.message });
+  }
+}
+
+async function removeCatalogueItem(req, res) {
+  const { kind, id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: "id is required" });
+  }
+
+  try {
+    const removed = await deleteCatalogueItem(kind, id);
+    if (!removed) {
+      return res.status(404).json({ error: "Catalogue item not found" });
+    }
+    return res.status(200).json({ kind, id, deleted: true });
+  } catch (error) {
+    if (error instanceof CatalogueValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Catalogue delete error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to delete catalogue item", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: { POST: ["admin"], DELETE: ["admin"] } });
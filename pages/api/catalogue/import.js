@@ -0,0 +1,37 @@
+import { withAuth } from "../../../lib/auth";
+import { CatalogueValidationError, importCatalogueCsv } from "../../../lib/catalogue";
+import { errorSummary } from "../../../lib/logging";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "5mb",
+    },
+  },
+};
+
+// CSV import for one catalogue kind.
+// POST { kind, csv, replace } upserts rows by name (replace=true clears the kind first) and reports rejected rows.
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { kind, csv, replace = false } = req.body || {};
+  if (typeof csv !== "string" || !csv.trim()) {
+    return res.status(400).json({ error: "csv text is required" });
+  }
+
+  try {
+    const result = await importCatalogueCsv(kind, csv, { replace: replace === true });
+    return res.status(200).json({ kind, ...result });
+  } catch (error) {
+    if (error instanceof CatalogueValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Catalogue import error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to import catalogue", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: ["admin"] });
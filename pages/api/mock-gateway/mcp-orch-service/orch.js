@@ -0,0 +1,25 @@
+import { errorSummary } from "../../../../lib/logging";
+import { handleMockGatewayRequest, mockGatewayEnabled, withMockGatewayAuth } from "../../../../lib/mockGateway";
+
+// Mock orchestrator endpoint, mirroring the gateway's /mcp-orch-service/orch path (see lib/mockGateway.js).
+export const config = {
+  api: {
+    externalResolver: true,
+  },
+};
+
+async function handler(req, res) {
+  if (!mockGatewayEnabled()) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  try {
+    return await handleMockGatewayRequest(req, res);
+  } catch (error) {
+    console.error("Mock gateway error:", errorSummary(error));
+    if (!res.headersSent) return res.status(500).json({ error: "Mock gateway failed", details: error.message });
+    return res.end();
+  }
+}
+
+export default withMockGatewayAuth(handler);
@@ -0,0 +1,62 @@
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { normalizePlan } from "../../../lib/planSchema";
+import { getSession } from "../../../lib/sessions";
+import { readCollection } from "../../../lib/store";
+
+// Returns one planner session together with its saved plan selection (if any).
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({ error: "Session id is required" });
+  }
+
+  try {
+    const session = await getSession(id);
+    const selections = await readCollection("selections");
+    const selection = selections[id] || null;
+    if (!session && !selection) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    // Selections saved before session history existed have no session record; rebuild a minimal one.
+    const base = session || {
+      session_id: id,
+      user_id: selection.user_id,
+      slot_id: selection.slot_id,
+      transcript_id: null,
+      patient: null,
+      treatment_planner_text: selection.treatment_planner_text,
+      status: "ready",
+      plans: [selection.plan],
+      selected_plan_id: selection.plan_id,
+      error: null,
+      created_at: selection.created_at,
+      updated_at: selection.updated_at,
+    };
+    // Records saved before responses were normalised may hold older plan shapes; map them on the way out.
+    const takenIds = new Set();
+    const plans = (base.plans || []).map((plan, idx) => normalizePlan(plan, idx, [], takenIds)).filter(Boolean);
+    const planVersions = Object.fromEntries(
+      Object.entries(base.plan_versions || {}).map(([planId, versions]) => [
+        planId,
+        versions.map((v) => ({ ...v, plan: normalizePlan(v.plan) || v.plan })),
+      ])
+    );
+    return res.status(200).json({
+      ...base,
+      plans,
+      plan_versions: planVersions,
+      selection: selection && { ...selection, plan: normalizePlan(selection.plan) || selection.plan },
+    });
+  } catch (error) {
+    console.error("Session read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load session", details: error.message });
+  }
+}
+
+export default withAuth(handler);
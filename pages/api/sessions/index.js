@@ -0,0 +1,23 @@
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { listSessions } from "../../../lib/sessions";
+
+// Lists recorded planner sessions for the history page.
+// Optional query: patient (name/id text), from and to (YYYY-MM-DD).
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { patient, from, to } = req.query;
+
+  try {
+    const sessions = await listSessions({ patient, from, to });
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    console.error("Session list error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load sessions", details: error.message });
+  }
+}
+
+export default withAuth(handler);
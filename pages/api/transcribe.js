@@ -1,32 +1,58 @@
-import axios from "axios";
+import { recordAudit } from "../../lib/audit";
+import { withAuth } from "../../lib/auth";
+import { errorSummary } from "../../lib/logging";
+import { withRateLimit } from "../../lib/rateLimit";
+import { getTranscriptionProvider } from "../../lib/transcription";
+import { recordTranscript } from "../../lib/transcripts";
+import { defaultClinicId, getVocabulary, toTranscriptionOptions } from "../../lib/vocabulary";
 
-// Starts a transcription job with AssemblyAI for a given audio URL.
-export default async function handler(req, res) {
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Starts a transcription job with the configured provider for a given audio URL.
+// Speaker labels are enabled so the recorder can show doctor/patient turns, and the clinic's
+// active vocabulary is sent as word boost / custom spelling. The transcript is recorded as the signed-in user's,
+// and only they can poll it.
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ASSEMBLYAI_API_KEY || "dcdc1cd44c08485789174de212de84c6";
-  if (!apiKey) {
-    return res.status(500).json({ error: "Missing AssemblyAI API key" });
+  let provider;
+  try {
+    provider = getTranscriptionProvider();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
   }
 
-  const { audioUrl } = req.body || {};
+  const { audioUrl, clinicId = defaultClinicId() } = req.body || {};
   if (!audioUrl) {
     return res.status(400).json({ error: "Audio URL is required" });
   }
 
   try {
-    const data = { audio_url: audioUrl, speech_model: "universal" };
-    const response = await axios.post("https://api.assemblyai.com/v2/transcript", data, {
-      headers: { authorization: apiKey },
+    const vocabulary = await getVocabulary(clinicId);
+    const { transcriptId } = await provider.start(audioUrl, {
+      speakerLabels: true,
+      ...toTranscriptionOptions(vocabulary),
     });
-
-    return res.status(200).json({ transcriptId: response.data.id });
+    await recordTranscript({ transcript_id: transcriptId, user_id: req.user.id, audio_url: audioUrl });
+    await recordAudit({
+      actor: req.user,
+      action: "transcribe",
+      details: { transcript_id: transcriptId, audio_url: audioUrl, clinic_id: clinicId, vocabulary_version: vocabulary?.version ?? null },
+    });
+    return res.status(200).json({ transcriptId, vocabularyVersion: vocabulary?.version ?? null });
   } catch (error) {
-    console.error("Transcription start error:", error);
+    console.error("Transcription start error:", errorSummary(error));
     const details = error.response?.data || error.message || "Failed to start transcription";
     return res.status(500).json({ error: "Failed to start transcription", details });
   }
 }
 
+export default withAuth(withRateLimit(handler, "transcribe"));
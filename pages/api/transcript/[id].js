@@ -1,14 +1,20 @@
-import axios from "axios";
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { getTranscriptionProvider } from "../../../lib/transcription";
+import { TranscriptError, getOwnedTranscript } from "../../../lib/transcripts";
 
-// Polls AssemblyAI for the status/result of a transcription job.
-export default async function handler(req, res) {
+// Polls the configured transcription provider for the status/result of a job.
+// Only the user who started the transcript can poll it (404 for everyone else).
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ASSEMBLYAI_API_KEY || "dcdc1cd44c08485789174de212de84c6";
-  if (!apiKey) {
-    return res.status(500).json({ error: "Missing AssemblyAI API key" });
+  let provider;
+  try {
+    provider = getTranscriptionProvider();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
   }
 
   const { id } = req.query;
@@ -17,16 +23,17 @@ export default async function handler(req, res) {
   }
 
   try {
-    const pollingEndpoint = `https://api.assemblyai.com/v2/transcript/${id}`;
-    const pollingResponse = await axios.get(pollingEndpoint, {
-      headers: { authorization: apiKey },
-    });
-
-    return res.status(200).json(pollingResponse.data);
+    await getOwnedTranscript(id, req.user.id);
+    const transcript = await provider.poll(id);
+    return res.status(200).json(transcript);
   } catch (error) {
-    console.error("Polling error:", error);
+    if (error instanceof TranscriptError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Polling error:", errorSummary(error));
     const details = error.response?.data || error.message || "Failed to fetch transcription";
     return res.status(500).json({ error: "Failed to get transcription status", details });
   }
 }
 
+export default withAuth(handler);
@@ -1,113 +1,73 @@
-import axios from "axios";
-import https from "https";
-
-// Keep-alive agent to reduce TLS handshake overhead on long calls.
-const httpsAgent = new https.Agent({ keepAlive: true });
-
-// Proxies treatment planner request to external gateway.
-// Expects: session_id (dynamic), user_id, slot_id (hardcoded acceptable), treatment_planner_text.
-export default async function handler(req, res) {
+import { recordAudit } from "../../lib/audit";
+import { withAuth } from "../../lib/auth";
+import { getConfig } from "../../lib/config";
+import { errorSummary } from "../../lib/logging";
+import { normalizePatient } from "../../lib/patient";
+import { createPlanJob } from "../../lib/planJobs";
+import { RateLimitError, sendRateLimited, withRateLimit } from "../../lib/rateLimit";
+import { SessionOwnerError } from "../../lib/sessions";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "512kb",
+    },
+  },
+};
+
+// Starts treatment plan generation as a background job and returns 202 with its job_id at once.
+// Expects: session_id (dynamic), treatment_planner_text, and slot_id (CLINIC_DEFAULT_SLOT_ID when omitted).
+// user_id is the signed-in doctor (see lib/auth.js), never taken from the body.
+// Optional transcript_id is kept in the local session history only (not sent upstream).
+// Optional patient (intake form) is stored with the session and forwarded as patient_context.
+// Text and patient name are PHI-redacted before leaving the app; the job re-identifies the response.
+// Poll GET /api/treatment-plans/jobs/<job_id> for status and the plans. The request is recorded in the audit log.
+// 403 when session_id already belongs to another user.
+// 429 with Retry-After when the doctor is over the plans rate limit or already has too many jobs in progress.
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { session_id, user_id, slot_id, treatment_planner_text } = req.body || {};
+  const { session_id, slot_id, treatment_planner_text, transcript_id, patient: rawPatient } = req.body || {};
 
   if (!session_id || !treatment_planner_text) {
     return res.status(400).json({ error: "session_id and treatment_planner_text are required" });
   }
 
-  // Build and log a reproducible curl for debugging (truncates text for safety).
-  const truncatedText = treatment_planner_text.length > 400
-    ? `${treatment_planner_text.slice(0, 400)}... [truncated ${treatment_planner_text.length - 400} chars]`
-    : treatment_planner_text;
-
-  const curlSnippet = [
-    "curl --location 'https://dev-api-gateway.aesthatiq.com/mcp-orch-service/orch' \\",
-    "--header 'Content-Type: application/json' \\",
-    `--data '${JSON.stringify({
+  try {
+    const slotId = slot_id || getConfig().clinic.defaultSlotId;
+    const job = await createPlanJob({
       session_id,
-      user_id,
-      slot_id,
-      treatment_planner_text: truncatedText,
-    }, null, 2)}'`,
-  ].join("\n");
-
-  console.log("[planner] outgoing request body", {
-    session_id,
-    user_id,
-    slot_id,
-    treatment_planner_text_preview: truncatedText,
-  });
-  console.log("[planner] curl to reproduce:\n", curlSnippet);
-
-  // Simple retry wrapper for transient gateway slowness/timeouts.
-  const maxAttempts = 2;
-  let lastError = null;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const startedAt = Date.now();
-    try {
-      const response = await axios.post(
-        "https://dev-api-gateway.aesthatiq.com/mcp-orch-service/orch",
-        {
-          session_id,
-          user_id,
-          slot_id,
-          treatment_planner_text,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-          timeout: 180000, // allow up to 3 minutes; service may take ~2 minutes
-          maxBodyLength: Infinity,
-          maxContentLength: Infinity,
-          httpsAgent,
-        }
-      );
-
-      // Log a concise summary of the upstream response for observability.
-      console.log("[planner] session:", session_id, {
-        attempt,
-        status: response.status,
-        duration_ms: Date.now() - startedAt,
-        success: response.data?.success,
-        plans_returned: Array.isArray(response.data?.treatment_plans)
-          ? response.data.treatment_plans.length
-          : 0,
-      });
-
-      return res.status(200).json(response.data);
-    } catch (error) {
-      lastError = error;
-      const duration = Date.now() - startedAt;
-      const timeoutLike =
-        error.code === "ECONNABORTED" ||
-        error.code === "ETIMEDOUT" ||
-        error.message?.toLowerCase().includes("timeout");
-
-      console.error("[planner] attempt failed", {
-        session_id,
-        attempt,
-        duration_ms: duration,
-        code: error.code,
-        message: error.message,
-      });
-
-      if (attempt < maxAttempts && timeoutLike) {
-        // Brief backoff then retry.
-        await new Promise((r) => setTimeout(r, 2000));
-        continue;
-      }
-
-      const details = error.response?.data || error.message || "Failed to generate treatment plans";
-      const status = timeoutLike ? 504 : 500;
-      return res.status(status).json({ error: "Failed to generate treatment plans", details });
+      user_id: req.user.id,
+      slot_id: slotId,
+      treatment_planner_text,
+      transcript_id,
+      patient: normalizePatient(rawPatient),
+    });
+    await recordAudit({
+      actor: req.user,
+      action: "generate",
+      session_id,
+      details: { job_id: job.job_id, slot_id: slotId, transcript_id: transcript_id || null },
+    });
+    return res.status(202).json({
+      job_id: job.job_id,
+      session_id,
+      slot_id: slotId,
+      status: job.status,
+      status_url: `/api/treatment-plans/jobs/${job.job_id}`,
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+    if (error instanceof SessionOwnerError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error("Plan job create error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to start treatment plan generation", details: error.message });
   }
-
-  // Fallback (should not reach here).
-  return res.status(500).json({ error: "Failed to generate treatment plans", details: lastError?.message });
 }
 
+export default withAuth(withRateLimit(handler, "plans"), { roles: ["doctor"] });
@@ -0,0 +1,97 @@
+import fs from "fs/promises";
+import path from "path";
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { renderPlanPdf } from "../../../lib/planPdf";
+import { getSession, updateSession } from "../../../lib/sessions";
+import { dataPath, readCollection } from "../../../lib/store";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Exports the session's selected (edited) plan as a PDF.
+// POST { session_id } renders it, keeps a copy in data/exports and references it from the session record.
+// GET ?session_id=...&inline=1 returns the stored copy (inline=1 opens it in the browser instead of downloading);
+// it never renders or writes, so prefetches and refreshes have no side effects.
+async function handler(req, res) {
+  if (req.method === "GET") {
+    return readExport(req, res);
+  }
+  if (req.method === "POST") {
+    return createExport(req, res);
+  }
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+const exportUrl = (sessionId) => `/api/treatment-plans/export?session_id=${encodeURIComponent(sessionId)}`;
+
+async function createExport(req, res) {
+  const { session_id } = req.body || {};
+  if (!session_id) {
+    return res.status(400).json({ error: "session_id is required" });
+  }
+
+  try {
+    const selections = await readCollection("selections");
+    const selection = selections[session_id];
+    if (!selection) {
+      return res.status(404).json({ error: "No selected plan for this session" });
+    }
+
+    const session = await getSession(session_id);
+    const pdf = await renderPlanPdf({
+      plan: selection.plan,
+      patient: session?.patient || null,
+      sessionId: session_id,
+    });
+
+    const fileName = `${session_id}-plan-${selection.plan_id}.pdf`.replace(/[^\w.-]/g, "_");
+    const stored = { file: `exports/${fileName}`, generated_at: new Date().toISOString() };
+    await fs.mkdir(dataPath("exports"), { recursive: true });
+    await fs.writeFile(dataPath("exports", fileName), pdf);
+    await updateSession(session_id, { export: stored });
+
+    return res.status(201).json({ session_id, plan_id: selection.plan_id, ...stored, url: exportUrl(session_id) });
+  } catch (error) {
+    console.error("Plan export error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to export treatment plan", details: error.message });
+  }
+}
+
+async function readExport(req, res) {
+  const { session_id, inline } = req.query;
+  if (!session_id) {
+    return res.status(400).json({ error: "session_id is required" });
+  }
+
+  try {
+    const session = await getSession(session_id);
+    if (!session?.export?.file) {
+      return res.status(404).json({ error: "No exported PDF for this session" });
+    }
+
+    const fileName = path.basename(session.export.file);
+    let pdf;
+    try {
+      pdf = await fs.readFile(dataPath("exports", fileName));
+    } catch (error) {
+      if (error.code === "ENOENT") return res.status(404).json({ error: "No exported PDF for this session" });
+      throw error;
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Length", pdf.length);
+    res.setHeader("Content-Disposition", `${inline ? "inline" : "attachment"}; filename="${fileName}"`);
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error("Plan export read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load exported treatment plan", details: error.message });
+  }
+}
+
+export default withAuth(handler);
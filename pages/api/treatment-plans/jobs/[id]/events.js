@@ -0,0 +1,89 @@
+import { withAuth } from "../../../../../lib/auth";
+import { errorSummary } from "../../../../../lib/logging";
+import { getPlanJob, publicJob, subscribeToJob } from "../../../../../lib/planJobs";
+
+export const config = {
+  api: {
+    // The response stays open after the handler returns; it is ended when the job finishes or the client leaves.
+    externalResolver: true,
+  },
+};
+
+const HEARTBEAT_MS = 15000;
+
+const isFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
+// Server-sent events for a plan generation job.
+// Events: status (job without result), stage ({ id, label, message }), plan ({ index, plan }) and
+// done (the finished job, including result). A snapshot of the current state is sent on connect.
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id } = req.query;
+
+  try {
+    if (!(await getPlanJob(id))) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+  } catch (error) {
+    console.error("Plan job events error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load job", details: error.message });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  let closed = false;
+  let ready = false;
+  const buffered = [];
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === "done") close();
+  };
+
+  // Subscribe before reading the snapshot so nothing published in between is lost.
+  const unsubscribe = subscribeToJob(id, (event) => {
+    if (ready) send(event.type, event.data);
+    else buffered.push(event);
+  });
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_MS);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on("close", close);
+
+  try {
+    const job = await getPlanJob(id);
+    const { result, partial_plans: partialPlans = [], ...status } = publicJob(job);
+    send("status", status);
+    if (job.stage) send("stage", job.stage);
+    partialPlans.forEach((plan, index) => send("plan", { index, plan }));
+    if (isFinished(job)) {
+      send("done", publicJob(job));
+      return;
+    }
+    ready = true;
+    buffered.forEach((event) => send(event.type, event.data));
+  } catch (error) {
+    console.error("Plan job events error:", errorSummary(error));
+    send("error", { message: "Failed to load job" });
+    close();
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,26 @@
+import { withAuth } from "../../../../../lib/auth";
+import { errorSummary } from "../../../../../lib/logging";
+import { getPlanJob, publicJob } from "../../../../../lib/planJobs";
+
+// Status of a plan generation job: queued | running | succeeded | failed.
+// Succeeded jobs include the gateway response (re-identified) as `result`.
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id } = req.query;
+
+  try {
+    const job = await getPlanJob(id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    return res.status(200).json(publicJob(job));
+  } catch (error) {
+    console.error("Plan job read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load job", details: error.message });
+  }
+}
+
+export default withAuth(handler);
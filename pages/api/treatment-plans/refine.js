@@ -0,0 +1,67 @@
+import { recordAudit } from "../../../lib/audit";
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { RefineValidationError, createRefineJob } from "../../../lib/planJobs";
+import { RateLimitError, sendRateLimited, withRateLimit } from "../../../lib/rateLimit";
+import { SessionOwnerError } from "../../../lib/sessions";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "1mb",
+    },
+  },
+};
+
+// Refines the plans of an existing session as a background job and returns 202 with its job_id.
+// Expects: session_id, optional plan_id (regenerate only that plan; all plans otherwise),
+// optional instruction (e.g. "swap oral minoxidil for topical") and optional plans (the clinician's edited copies).
+// Results replace the targeted plans in the same session and are kept as new plan versions.
+// Only the doctor who started the session can refine it; others get 403.
+// Edits to the sent plans are audited field by field when they are stored (lib/planJobs.js), then the refinement.
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { session_id, plan_id, instruction, plans } = req.body || {};
+
+  if (!session_id) {
+    return res.status(400).json({ error: "session_id is required" });
+  }
+
+  try {
+    const job = await createRefineJob({
+      session_id,
+      actor: req.user,
+      plan_id: plan_id || null,
+      instruction: instruction ?? "",
+      plans,
+    });
+    await recordAudit({
+      actor: req.user,
+      action: "refine",
+      session_id,
+      summary: plan_id ? `Refined plan ${plan_id}` : "Regenerated all plans",
+      details: { job_id: job.job_id, plan_id: plan_id || null, instruction: (instruction ?? "").trim() },
+    });
+    return res.status(202).json({
+      job_id: job.job_id,
+      session_id,
+      status: job.status,
+      status_url: `/api/treatment-plans/jobs/${job.job_id}`,
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+    if (error instanceof RefineValidationError || error instanceof SessionOwnerError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Plan refine error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to start plan refinement", details: error.message });
+  }
+}
+
+// Refinements share the plans rate limit with generation.
+export default withAuth(withRateLimit(handler, "plans"), { roles: ["doctor"] });
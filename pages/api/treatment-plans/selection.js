@@ -0,0 +1,114 @@
+import { recordAudit, recordPlanEdits } from "../../../lib/audit";
+import { withAuth } from "../../../lib/auth";
+import { getCatalogue } from "../../../lib/catalogue";
+import { resolvePlanItems } from "../../../lib/catalogueMatch";
+import { errorSummary } from "../../../lib/logging";
+import { SessionOwnerError, getOwnedSession, updateSession } from "../../../lib/sessions";
+import { readCollection, updateCollection } from "../../../lib/store";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "256kb",
+    },
+  },
+};
+
+// Persists the clinician's confirmed plan (with edits) and reloads it by session.
+// POST expects: session_id, plan_id, plan, plus slot_id, treatment_planner_text; user_id is the signed-in user.
+// Only the doctor who started the session can select, and plan_id must be one of the session's plans.
+// Saving audits the selection and, field by field, any edits since the plan was last saved or generated.
+// The planner sends the plan with catalogue prices and stock applied, so both sides of the diff are resolved
+// against the current catalogue first; catalogue lookups are not clinician edits.
+// GET expects: ?session_id=...
+async function handler(req, res) {
+  if (req.method === "GET") {
+    return getSelection(req, res);
+  }
+  if (req.method === "POST") {
+    return saveSelection(req, res);
+  }
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+async function getSelection(req, res) {
+  const { session_id } = req.query;
+  if (!session_id) {
+    return res.status(400).json({ error: "session_id is required" });
+  }
+
+  try {
+    const selections = await readCollection("selections");
+    const selection = selections[session_id];
+    if (!selection) {
+      return res.status(404).json({ error: "No selected plan for this session" });
+    }
+    return res.status(200).json(selection);
+  } catch (error) {
+    console.error("Selection read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load selected plan", details: error.message });
+  }
+}
+
+async function saveSelection(req, res) {
+  const { session_id, slot_id, plan_id, plan, treatment_planner_text } = req.body || {};
+
+  if (!session_id || !plan_id || !plan || typeof plan !== "object") {
+    return res.status(400).json({ error: "session_id, plan_id and plan are required" });
+  }
+
+  try {
+    const session = await getOwnedSession(session_id, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (!(session.plans || []).some((p) => p.plan_id === plan_id)) {
+      return res.status(400).json({ error: `Unknown plan: ${plan_id}` });
+    }
+
+    const now = new Date().toISOString();
+    let saved = null;
+    let previous = null;
+    await updateCollection("selections", (selections) => {
+      previous = selections[session_id] || null;
+      saved = {
+        session_id,
+        user_id: req.user.id,
+        slot_id: slot_id || null,
+        plan_id,
+        plan,
+        treatment_planner_text: treatment_planner_text || "",
+        created_at: selections[session_id]?.created_at || now,
+        updated_at: now,
+      };
+      return { ...selections, [session_id]: saved };
+    });
+    await updateSession(session_id, { selected_plan_id: plan_id });
+
+    const baseline = previous?.plan_id === plan_id ? previous.plan : session.plans.find((p) => p.plan_id === plan_id);
+    const catalogue = await getCatalogue();
+    await recordPlanEdits({
+      actor: req.user,
+      session_id,
+      baselinePlans: baseline ? [resolvePlanItems({ ...baseline, plan_id }, catalogue)] : [],
+      editedPlans: [resolvePlanItems({ ...plan, plan_id }, catalogue)],
+    });
+    await recordAudit({
+      actor: req.user,
+      action: "select",
+      session_id,
+      summary: `Selected ${plan.plan_name || `plan ${plan_id}`}`,
+      details: { plan_id, previous_plan_id: previous?.plan_id || null },
+    });
+
+    return res.status(200).json(saved);
+  } catch (error) {
+    if (error instanceof SessionOwnerError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Selection save error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to save selected plan", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: { POST: ["doctor"] } });
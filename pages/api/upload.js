@@ -1,6 +1,11 @@
-import axios from "axios";
 import formidable from "formidable";
 import fs from "fs/promises";
+import { MAX_AUDIO_BYTES, UPLOAD_EXTENSIONS, validateAudioFile } from "../../lib/audioFiles";
+import { recordAudit } from "../../lib/audit";
+import { withAuth } from "../../lib/auth";
+import { errorSummary } from "../../lib/logging";
+import { withRateLimit } from "../../lib/rateLimit";
+import { getTranscriptionProvider } from "../../lib/transcription";
 
 export const config = {
   api: {
@@ -9,15 +14,18 @@ export const config = {
   },
 };
 
-// Parses multipart form data and uploads the audio file to AssemblyAI.
-export default async function handler(req, res) {
+// Parses multipart form data and uploads the audio file to the transcription provider.
+// Accepts MP3, WAV, M4A, FLAC, OGG and the recorder's WebM up to MAX_AUDIO_BYTES (see lib/audioFiles.js).
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const apiKey = process.env.ASSEMBLYAI_API_KEY || "dcdc1cd44c08485789174de212de84c6";
-  if (!apiKey) {
-    return res.status(500).json({ error: "Missing AssemblyAI API key" });
+  let provider;
+  try {
+    provider = getTranscriptionProvider();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
   }
 
   try {
@@ -28,27 +36,37 @@ export default async function handler(req, res) {
     if (!audioFile || !audioFile.filepath) {
       return res.status(400).json({ error: "No audio file provided" });
     }
+    const invalid = validateAudioFile(
+      { name: audioFile.originalFilename || "", type: audioFile.mimetype, size: audioFile.size },
+      { extensions: UPLOAD_EXTENSIONS }
+    );
+    if (invalid) {
+      await fs.rm(audioFile.filepath, { force: true });
+      return res.status(400).json({ error: invalid });
+    }
 
     const fileBuffer = await fs.readFile(audioFile.filepath);
-    const uploadResponse = await axios.post(
-      "https://api.assemblyai.com/v2/upload",
-      fileBuffer,
-      {
-        headers: { authorization: apiKey },
-        maxBodyLength: Infinity,
-      }
-    );
+    const { uploadUrl } = await provider.upload(fileBuffer, { filename: audioFile.originalFilename });
+    await recordAudit({
+      actor: req.user,
+      action: "upload",
+      summary: `Uploaded ${audioFile.originalFilename || "audio"}`,
+      details: { filename: audioFile.originalFilename || null, size: audioFile.size, upload_url: uploadUrl },
+    });
 
-    return res.status(200).json({ uploadUrl: uploadResponse.data.upload_url });
+    return res.status(200).json({ uploadUrl });
   } catch (error) {
-    console.error("Upload error:", error);
+    if (error.httpCode === 413) {
+      return res.status(413).json({ error: "Audio file is too large", details: error.message });
+    }
+    console.error("Upload error:", errorSummary(error));
     const details = error.response?.data || error.message || "Upload failed";
     return res.status(500).json({ error: "Failed to upload audio", details });
   }
 }
 
 function parseForm(req) {
-  const form = formidable({ maxFileSize: 100 * 1024 * 1024, multiples: false });
+  const form = formidable({ maxFileSize: MAX_AUDIO_BYTES, multiples: false });
   return new Promise((resolve, reject) => {
     form.parse(req, (err, fields, files) => {
       if (err) return reject(err);
@@ -58,3 +76,4 @@ function parseForm(req) {
   });
 }
 
+export default withAuth(withRateLimit(handler, "upload"));
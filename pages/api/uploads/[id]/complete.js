@@ -0,0 +1,42 @@
+import { recordAudit } from "../../../../lib/audit";
+import { withAuth } from "../../../../lib/auth";
+import { UploadError, completeUpload } from "../../../../lib/chunkedUploads";
+import { errorSummary } from "../../../../lib/logging";
+import { getTranscriptionProvider } from "../../../../lib/transcription";
+
+// Hands a fully received upload to the transcription provider; answers { uploadUrl } like /api/upload.
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let provider;
+  try {
+    provider = getTranscriptionProvider();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    // Repeat calls answer with the same URL; only the first hand-over is audited.
+    const { upload, handedOver } = await completeUpload(req.query.id, req.user.id, provider);
+    if (handedOver) {
+      await recordAudit({
+        actor: req.user,
+        action: "upload",
+        summary: `Uploaded ${upload.filename}`,
+        details: { filename: upload.filename, size: upload.size, upload_id: upload.upload_id, upload_url: upload.upload_url },
+      });
+    }
+    return res.status(200).json({ uploadUrl: upload.upload_url });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message, received: error.received });
+    }
+    console.error("Upload complete error:", errorSummary(error));
+    const details = error.response?.data || error.message || "Upload failed";
+    return res.status(500).json({ error: "Failed to upload audio", details });
+  }
+}
+
+export default withAuth(handler);
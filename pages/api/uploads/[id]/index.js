@@ -0,0 +1,62 @@
+import { withAuth } from "../../../../lib/auth";
+import { MAX_CHUNK_BYTES, UploadError, appendChunk, deleteUpload, getUpload, uploadView } from "../../../../lib/chunkedUploads";
+import { errorSummary } from "../../../../lib/logging";
+
+export const config = {
+  api: {
+    // Chunks arrive as raw bytes.
+    bodyParser: false,
+  },
+};
+
+// One resumable upload. GET reports received bytes; PATCH appends the raw request body at the Upload-Offset
+// header (409 with `received` when the offset is stale); DELETE abandons the upload. Only the user who started
+// the upload can reach it (404 for everyone else).
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const upload = await getUpload(id, req.user.id);
+      return res.status(200).json(uploadView(upload));
+    }
+    if (req.method === "PATCH") {
+      const offset = Number(req.headers["upload-offset"]);
+      const chunk = await readChunk(req);
+      if (!chunk) {
+        return res.status(413).json({ error: `Chunks are limited to ${MAX_CHUNK_BYTES} bytes` });
+      }
+      const upload = await appendChunk(id, req.user.id, offset, chunk);
+      return res.status(200).json(uploadView(upload));
+    }
+    if (req.method === "DELETE") {
+      await deleteUpload(id, req.user.id);
+      return res.status(204).end();
+    }
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message, received: error.received });
+    }
+    console.error("Upload chunk error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to store upload chunk", details: error.message });
+  }
+}
+
+// Reads the request body; resolves null once it exceeds MAX_CHUNK_BYTES.
+function readChunk(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    let tooLarge = false;
+    req.on("data", (data) => {
+      length += data.length;
+      if (length > MAX_CHUNK_BYTES) tooLarge = true;
+      else chunks.push(data);
+    });
+    req.on("end", () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,36 @@
+import { withAuth } from "../../../lib/auth";
+import { UploadError, createUpload, uploadView } from "../../../lib/chunkedUploads";
+import { errorSummary } from "../../../lib/logging";
+import { withRateLimit } from "../../../lib/rateLimit";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Starts a resumable audio upload. Expects: filename, size (bytes) and mime_type.
+// Returns 201 with upload_id, chunk_size and status_url; send the file with PATCH <status_url> (see lib/chunkedUploads.js).
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { filename, size, mime_type } = req.body || {};
+
+  try {
+    const upload = await createUpload({ filename, size, mime_type, user_id: req.user.id });
+    return res.status(201).json({ ...uploadView(upload), status_url: `/api/uploads/${upload.upload_id}` });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Upload create error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to start upload", details: error.message });
+  }
+}
+
+// Counted when an upload starts; its chunks and completion are not counted again.
+export default withAuth(withRateLimit(handler, "upload"));
@@ -0,0 +1,37 @@
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { UserValidationError, updateUser } from "../../../lib/users";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Updates one account (admin only). PATCH { name?, role?, password?, disabled? }.
+// Accounts are disabled rather than deleted so sessions and plans keep a valid user_id.
+async function handler(req, res) {
+  if (req.method !== "PATCH") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { name, role, password, disabled } = req.body || {};
+
+  try {
+    const user = await updateUser(req.query.id, { name, role, password, disabled });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    return res.status(200).json({ user });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("User update error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to update user", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: ["admin"] });
@@ -0,0 +1,49 @@
+import { withAuth } from "../../../lib/auth";
+import { errorSummary } from "../../../lib/logging";
+import { UserValidationError, createUser, listUsers } from "../../../lib/users";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "16kb",
+    },
+  },
+};
+
+// Clinician accounts (admin only).
+// GET lists users; POST { username, name, role, password } creates one.
+async function handler(req, res) {
+  if (req.method === "GET") {
+    return readUsers(req, res);
+  }
+  if (req.method === "POST") {
+    return addUser(req, res);
+  }
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+async function readUsers(req, res) {
+  try {
+    return res.status(200).json({ users: await listUsers() });
+  } catch (error) {
+    console.error("User list error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load users", details: error.message });
+  }
+}
+
+async function addUser(req, res) {
+  const { username, name, role, password } = req.body || {};
+
+  try {
+    const user = await createUser({ username, name, role, password });
+    return res.status(201).json({ user });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("User create error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to create user", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: ["admin"] });
@@ -0,0 +1,69 @@
+import { withAuth } from "../../lib/auth";
+import { errorSummary } from "../../lib/logging";
+import {
+  VocabularyValidationError,
+  defaultClinicId,
+  getVocabulary,
+  listVocabularyVersions,
+  saveVocabulary,
+} from "../../lib/vocabulary";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "256kb",
+    },
+  },
+};
+
+// Clinic vocabulary used for transcription word boost / custom spelling.
+// GET ?clinic_id=&version= returns the active (or requested) version plus the version list.
+// POST { clinic_id, products, procedures, drugs, custom_spelling, boost_param, note } saves a new version.
+async function handler(req, res) {
+  if (req.method === "GET") {
+    return readVocabulary(req, res);
+  }
+  if (req.method === "POST") {
+    return writeVocabulary(req, res);
+  }
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+async function readVocabulary(req, res) {
+  const clinicId = req.query.clinic_id || defaultClinicId();
+  const { version } = req.query;
+
+  try {
+    const vocabulary = await getVocabulary(clinicId, version ?? null);
+    if (!vocabulary) {
+      return res.status(404).json({ error: `Vocabulary version ${version} not found` });
+    }
+    const versions = (await listVocabularyVersions(clinicId)).map((v) => ({
+      version: v.version,
+      created_at: v.created_at,
+      note: v.note,
+      author: v.author || null,
+    }));
+    return res.status(200).json({ clinic_id: clinicId, vocabulary, versions });
+  } catch (error) {
+    console.error("Vocabulary read error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to load vocabulary", details: error.message });
+  }
+}
+
+async function writeVocabulary(req, res) {
+  const { clinic_id: clinicId = defaultClinicId(), note, ...input } = req.body || {};
+
+  try {
+    const saved = await saveVocabulary(clinicId, input, { note, author: req.user.username });
+    return res.status(200).json({ clinic_id: clinicId, vocabulary: saved });
+  } catch (error) {
+    if (error instanceof VocabularyValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Vocabulary save error:", errorSummary(error));
+    return res.status(500).json({ error: "Failed to save vocabulary", details: error.message });
+  }
+}
+
+export default withAuth(handler, { roles: { POST: ["admin"] } });
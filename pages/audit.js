@@ -0,0 +1,208 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { AUDIT_ACTIONS, AUDIT_ACTION_LABELS } from "../lib/auditActions";
+
+const EMPTY_FILTERS = { session_id: "", actor: "", action: "", from: "", to: "" };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+const queryString = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+// Admin view of the audit log: who uploaded, transcribed, generated, edited and selected what, with exports.
+export default function Audit() {
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | error
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Exports use the filters of the last search, so the file matches what is on screen.
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+
+  const loadEntries = async (nextFilters = filters) => {
+    try {
+      setError("");
+      setStatus("loading");
+      const response = await fetch(`/api/audit?${queryString(nextFilters)}`);
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to load audit log");
+      }
+
+      const data = await response.json();
+      setEntries(data.entries || []);
+      setApplied(nextFilters);
+      setStatus("ready");
+    } catch (err) {
+      console.error("Audit load error:", err);
+      setError(err.message || "Failed to load audit log");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    loadEntries(EMPTY_FILTERS);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Audit Log | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">Admin</div>
+                <h1>Audit Log</h1>
+              </div>
+              <p className="subtitle">Every upload, transcription, plan generation, edit and selection, by whom and when.</p>
+            </div>
+            <Link href="/" legacyBehavior>
+              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                Back to Recorder
+              </a>
+            </Link>
+          </div>
+        </div>
+
+        <div className="card">
+          <form
+            className="form-grid history-filters"
+            onSubmit={(e) => {
+              e.preventDefault();
+              loadEntries();
+            }}
+          >
+            <label className="form-field">
+              <span className="form-label">Session</span>
+              <input
+                className="form-input"
+                placeholder="Session ID"
+                value={filters.session_id}
+                onChange={(e) => updateFilter("session_id", e.target.value)}
+              />
+            </label>
+            <label className="form-field">
+              <span className="form-label">User</span>
+              <input
+                className="form-input"
+                placeholder="Username"
+                value={filters.actor}
+                onChange={(e) => updateFilter("actor", e.target.value)}
+              />
+            </label>
+            <label className="form-field">
+              <span className="form-label">Action</span>
+              <select className="form-input" value={filters.action} onChange={(e) => updateFilter("action", e.target.value)}>
+                <option value="">All actions</option>
+                {AUDIT_ACTIONS.map((action) => (
+                  <option key={action} value={action}>
+                    {AUDIT_ACTION_LABELS[action]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="form-field">
+              <span className="form-label">From</span>
+              <input className="form-input" type="date" value={filters.from} onChange={(e) => updateFilter("from", e.target.value)} />
+            </label>
+            <label className="form-field">
+              <span className="form-label">To</span>
+              <input className="form-input" type="date" value={filters.to} onChange={(e) => updateFilter("to", e.target.value)} />
+            </label>
+            <div style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
+              <button className="btn-back" type="submit">Search</button>
+              <button className="btn-back" type="button" onClick={clearFilters}>Clear</button>
+            </div>
+          </form>
+
+          <div className="item-actions" style={{ marginBottom: 16 }}>
+            <a className="btn-back" href={`/api/audit?${queryString(applied, { format: "csv" })}`} download>
+              Export CSV
+            </a>
+            <a className="btn-back" href={`/api/audit?${queryString(applied, { format: "json" })}`} download>
+              Export JSON
+            </a>
+          </div>
+
+          {status === "loading" && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading audit log...</p>
+            </div>
+          )}
+
+          {status === "error" && <div className="error">{error}</div>}
+
+          {status === "ready" && entries.length === 0 && <p className="muted">No audit entries match these filters.</p>}
+
+          {status === "ready" && entries.length > 0 && (
+            <table className="audit-table">
+              <thead>
+                <tr>
+                  <th scope="col">When</th>
+                  <th scope="col">User</th>
+                  <th scope="col">Action</th>
+                  <th scope="col">Session</th>
+                  <th scope="col">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{formatDate(entry.at)}</td>
+                    <td>
+                      {entry.actor?.username || "-"}
+                      {entry.actor && <span className="muted"> ({entry.actor.role})</span>}
+                    </td>
+                    <td>
+                      <span className="pill">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</span>
+                    </td>
+                    <td>
+                      {entry.session_id ? (
+                        <Link href={`/planner?session=${encodeURIComponent(entry.session_id)}`}>{entry.session_id}</Link>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                    <td>
+                      <div>{entry.summary}</div>
+                      {entry.changes?.length > 0 && (
+                        <ul className="audit-changes">
+                          {entry.changes.map((change) => (
+                            <li key={change.field}>
+                              <code>{change.field}</code>: {formatValue(change.from)} → {formatValue(change.to)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,294 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+
+// Mirrors CATALOGUE_FIELDS in lib/catalogue.js (the server validates and coerces the values).
+const KINDS = [
+  { key: "products", label: "Products", fields: ["name", "composition", "stock_quantity", "MRP_cost", "cost", "unit"] },
+  { key: "services", label: "Services", fields: ["name", "cost_per_session", "description"] },
+  { key: "lab_tests", label: "Lab Tests", fields: ["name", "price"] },
+];
+
+const FIELD_LABELS = {
+  name: "Name",
+  composition: "Composition",
+  stock_quantity: "Stock",
+  MRP_cost: "MRP (₹)",
+  cost: "Cost (₹)",
+  unit: "Unit",
+  cost_per_session: "Cost per session (₹)",
+  description: "Description",
+  price: "Price (₹)",
+};
+
+const emptyDraft = (fields) => Object.fromEntries(fields.map((f) => [f, ""]));
+
+const display = (value) => (value === null || value === undefined || value === "" ? "—" : String(value));
+
+// Catalogue admin: maintain products (with stock), services and lab tests, or import them from CSV.
+export default function Catalogue() {
+  const [catalogue, setCatalogue] = useState({ products: [], services: [], lab_tests: [] });
+  const [kind, setKind] = useState("products");
+  const [draft, setDraft] = useState(emptyDraft(KINDS[0].fields));
+  const [editingId, setEditingId] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | saving | error
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [csvFile, setCsvFile] = useState(null);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const activeKind = KINDS.find((k) => k.key === kind);
+  const items = catalogue[kind] || [];
+
+  const loadCatalogue = async () => {
+    try {
+      setError("");
+      setStatus("loading");
+      const response = await fetch("/api/catalogue");
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to load catalogue");
+      }
+      setCatalogue(await response.json());
+      setStatus("ready");
+    } catch (err) {
+      console.error("Catalogue load error:", err);
+      setError(err.message || "Failed to load catalogue");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadCatalogue();
+  }, []);
+
+  const switchKind = (nextKind) => {
+    setKind(nextKind);
+    setDraft(emptyDraft(KINDS.find((k) => k.key === nextKind).fields));
+    setEditingId(null);
+    setMessage("");
+    setImportErrors([]);
+  };
+
+  const editItem = (item) => {
+    setEditingId(item.id);
+    setDraft(Object.fromEntries(activeKind.fields.map((f) => [f, item[f] ?? ""])));
+  };
+
+  const resetDraft = () => {
+    setEditingId(null);
+    setDraft(emptyDraft(activeKind.fields));
+  };
+
+  // Sends a JSON request and returns the parsed body, throwing the API error message on failure.
+  const send = async (url, options, fallbackError) => {
+    const response = await fetch(url, { headers: { "Content-Type": "application/json" }, ...options });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error || fallbackError);
+    return body;
+  };
+
+  const saveItem = async () => {
+    try {
+      setError("");
+      setMessage("");
+      setStatus("saving");
+      const data = await send(
+        "/api/catalogue",
+        { method: "POST", body: JSON.stringify({ kind, item: { ...draft, id: editingId || undefined } }) },
+        "Failed to save item"
+      );
+      setMessage(`Saved ${data.item.name}.`);
+      resetDraft();
+      await loadCatalogue();
+    } catch (err) {
+      console.error("Catalogue save error:", err);
+      setError(err.message || "Failed to save item");
+      setStatus("ready");
+    }
+  };
+
+  const deleteItem = async (item) => {
+    if (!window.confirm(`Remove ${item.name} from the catalogue?`)) return;
+    try {
+      setError("");
+      await send(`/api/catalogue?kind=${kind}&id=${encodeURIComponent(item.id)}`, { method: "DELETE" }, "Failed to delete item");
+      if (editingId === item.id) resetDraft();
+      setMessage(`Removed ${item.name}.`);
+      await loadCatalogue();
+    } catch (err) {
+      console.error("Catalogue delete error:", err);
+      setError(err.message || "Failed to delete item");
+    }
+  };
+
+  const importCsv = async () => {
+    if (!csvFile) return;
+    try {
+      setError("");
+      setMessage("");
+      setImportErrors([]);
+      setStatus("saving");
+      const csv = await csvFile.text();
+      const data = await send(
+        "/api/catalogue/import",
+        { method: "POST", body: JSON.stringify({ kind, csv, replace: replaceOnImport }) },
+        "Failed to import CSV"
+      );
+      setMessage(`Imported ${data.created} new and ${data.updated} updated ${activeKind.label.toLowerCase()}.`);
+      setImportErrors(data.errors || []);
+      setCsvFile(null);
+      await loadCatalogue();
+    } catch (err) {
+      console.error("Catalogue import error:", err);
+      setError(err.message || "Failed to import CSV");
+      setStatus("ready");
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Catalogue | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">Catalogue</div>
+                <h1>Clinic Catalogue</h1>
+              </div>
+              <p className="subtitle">
+                Products with stock levels, services and lab tests. Planner cards take prices and stock from here.
+              </p>
+            </div>
+            <Link href="/" legacyBehavior>
+              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                Back to Recorder
+              </a>
+            </Link>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="edit-toolbar">
+            {KINDS.map((k) => (
+              <button
+                key={k.key}
+                className="btn-back"
+                onClick={() => switchKind(k.key)}
+                style={k.key === kind ? { background: "#2b1a0f", color: "#fff" } : undefined}
+              >
+                {k.label} ({(catalogue[k.key] || []).length})
+              </button>
+            ))}
+          </div>
+
+          {status === "loading" && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading catalogue...</p>
+            </div>
+          )}
+
+          {error && <div className="error" style={{ marginBottom: 12 }}>{error}</div>}
+          {message && <p className="muted">{message}</p>}
+          {importErrors.length > 0 && (
+            <div className="error" style={{ marginBottom: 12 }}>
+              {importErrors.length} row(s) skipped:
+              <ul>
+                {importErrors.map((e) => (
+                  <li key={e.line}>Row {e.line}: {e.error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="grid" style={{ gridTemplateColumns: "2fr 1fr" }}>
+            <div className="section">
+              <div className="section-head">
+                <div className="section-title">{activeKind.label}</div>
+              </div>
+              {items.length === 0 ? (
+                <p className="muted">No {activeKind.label.toLowerCase()} yet. Add one or import a CSV.</p>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table className="compare-table catalogue-table">
+                    <thead>
+                      <tr>
+                        {activeKind.fields.map((f) => (
+                          <th key={f} scope="col">{FIELD_LABELS[f]}</th>
+                        ))}
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {items.map((item) => (
+                        <tr key={item.id}>
+                          {activeKind.fields.map((f) => (
+                            <td key={f}>{display(item[f])}</td>
+                          ))}
+                          <td>
+                            <div className="item-actions">
+                              <button className="btn-back" onClick={() => editItem(item)}>Edit</button>
+                              <button className="btn-back" onClick={() => deleteItem(item)}>Delete</button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <div className="section">
+                <div className="section-head">
+                  <div className="section-title">{editingId ? "Edit Item" : "Add Item"}</div>
+                </div>
+                <div className="form-grid" style={{ gridTemplateColumns: "1fr" }}>
+                  {activeKind.fields.map((f) => (
+                    <label key={f} className="form-field">
+                      <span className="form-label">{FIELD_LABELS[f]}</span>
+                      <input
+                        className="form-input"
+                        value={draft[f]}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, [f]: e.target.value }))}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="edit-toolbar" style={{ marginTop: 12 }}>
+                  <button className="btn-submit" onClick={saveItem} disabled={status === "saving" || !draft.name?.trim()}>
+                    {editingId ? "Update" : "Add"}
+                  </button>
+                  {editingId && (
+                    <button className="btn-back" onClick={resetDraft}>Cancel</button>
+                  )}
+                </div>
+              </div>
+
+              <div className="section">
+                <div className="section-head">
+                  <div className="section-title">Import CSV</div>
+                </div>
+                <p className="muted">Header row: {activeKind.fields.join(", ")}. Rows are matched by name.</p>
+                <input type="file" accept=".csv,text/csv" onChange={(e) => setCsvFile(e.target.files?.[0] || null)} />
+                <label className="live-toggle">
+                  <input type="checkbox" checked={replaceOnImport} onChange={(e) => setReplaceOnImport(e.target.checked)} />
+                  Replace all {activeKind.label.toLowerCase()}
+                </label>
+                <button className="btn-submit" onClick={importCsv} disabled={!csvFile || status === "saving"} style={{ marginTop: 12 }}>
+                  Import
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+
+// Encounter history: past planner sessions with transcript, plans and the chosen plan.
+export default function History() {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | error
+  const [error, setError] = useState("");
+  const [filters, setFilters] = useState({ patient: "", from: "", to: "" });
+
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+
+  const loadSessions = async (nextFilters = filters) => {
+    try {
+      setError("");
+      setStatus("loading");
+      const params = new URLSearchParams();
+      Object.entries(nextFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await fetch(`/api/sessions?${params.toString()}`);
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to load sessions");
+      }
+
+      const data = await response.json();
+      setSessions(data.sessions || []);
+      setStatus("ready");
+    } catch (err) {
+      console.error("History load error:", err);
+      setError(err.message || "Failed to load sessions");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const clearFilters = () => {
+    const empty = { patient: "", from: "", to: "" };
+    setFilters(empty);
+    loadSessions(empty);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Encounter History | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">History</div>
+                <h1>Encounter History</h1>
+              </div>
+              <p className="subtitle">Past recordings, transcripts and the treatment plans chosen for them.</p>
+            </div>
+            <Link href="/" legacyBehavior>
+              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                Back to Recorder
+              </a>
+            </Link>
+          </div>
+        </div>
+
+        <div className="card">
+          <form
+            className="form-grid history-filters"
+            onSubmit={(e) => {
+              e.preventDefault();
+              loadSessions();
+            }}
+          >
+            <label className="form-field">
+              <span className="form-label">Patient</span>
+              <input
+                className="form-input"
+                placeholder="Name or slot ID"
+                value={filters.patient}
+                onChange={(e) => updateFilter("patient", e.target.value)}
+              />
+            </label>
+            <label className="form-field">
+              <span className="form-label">From</span>
+              <input className="form-input" type="date" value={filters.from} onChange={(e) => updateFilter("from", e.target.value)} />
+            </label>
+            <label className="form-field">
+              <span className="form-label">To</span>
+              <input className="form-input" type="date" value={filters.to} onChange={(e) => updateFilter("to", e.target.value)} />
+            </label>
+            <div style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
+              <button className="btn-back" type="submit">Search</button>
+              <button className="btn-back" type="button" onClick={clearFilters}>Clear</button>
+            </div>
+          </form>
+
+          {status === "loading" && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading sessions...</p>
+            </div>
+          )}
+
+          {status === "error" && <div className="error">{error}</div>}
+
+          {status === "ready" && sessions.length === 0 && (
+            <p className="muted">No sessions match these filters yet.</p>
+          )}
+
+          {status === "ready" && sessions.length > 0 && (
+            <div className="history-list">
+              {sessions.map((session) => {
+                const plans = session.plans || [];
+                return (
+                  <div key={session.session_id} className="plan-card">
+                    <div className="plan-head">
+                      <div>
+                        <div className="plan-title">{session.patient?.name || "Unnamed patient"}</div>
+                        <div className="plan-sub">
+                          {formatDate(session.created_at)} · Session {session.session_id}
+                        </div>
+                      </div>
+                      <Link href={`/planner?session=${encodeURIComponent(session.session_id)}`} legacyBehavior>
+                        <a className="btn-back" style={{ background: "#2b1a0f" }}>Reopen in Planner</a>
+                      </Link>
+                    </div>
+
+                    <div className="plan-meta">
+                      <span className="pill">Status: {session.status}</span>
+                      {session.transcript_id && <span className="pill">Transcript: {session.transcript_id}</span>}
+                      {plans.map((plan) => (
+                        <span
+                          key={plan.plan_id}
+                          className={`pill ${plan.plan_id === session.selected_plan_id ? "history-selected" : ""}`}
+                        >
+                          {plan.plan_name || `Plan ${plan.plan_id}`}
+                          {plan.plan_id === session.selected_plan_id ? " ✓ selected" : ""}
+                        </span>
+                      ))}
+                    </div>
+
+                    {session.error && <div className="error">{session.error}</div>}
+
+                    <details className="section">
+                      <summary className="section-title">Transcript</summary>
+                      <p className="history-transcript">{session.treatment_planner_text || "No transcript stored."}</p>
+                    </details>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
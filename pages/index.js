@@ -1,39 +1,113 @@
 import { useEffect, useRef, useState } from "react";
 import Head from "next/head";
+import Link from "next/link";
 import { useRouter } from "next/router";
+import AudioFileUpload from "../components/AudioFileUpload";
+import LiveTranscript from "../components/LiveTranscript";
+import PatientIntake from "../components/PatientIntake";
+import RecordingRecovery from "../components/RecordingRecovery";
+import SpeakerTranscript from "../components/SpeakerTranscript";
+import TranscriptAudioPlayer from "../components/TranscriptAudioPlayer";
+import { startLiveTranscription } from "../lib/liveTranscriptionClient";
+import { emptyPatient } from "../lib/patient";
+import {
+  RECORDING_TIMESLICE_MS,
+  appendRecordingChunk,
+  createRecording,
+  deleteRecording,
+  findUnfinishedRecording,
+  loadRecordingBlob,
+  recordingStoreAvailable,
+  updateRecording,
+} from "../lib/recordingStore";
+import { buildTranscriptText, defaultSpeakers } from "../lib/transcript";
+import { discardUpload, startTranscript, uploadAudio, waitForTranscript } from "../lib/transcriptionClient";
+import useCurrentUser from "../lib/useCurrentUser";
+import useRetryCountdown from "../lib/useRetryCountdown";
 
 // Main UI for recording and transcription with brown/gold/white theme.
 export default function Home() {
   const router = useRouter();
+  const currentUser = useCurrentUser();
+  // Assistants record and transcribe; plans are generated by doctors (see lib/users.js).
+  const canPlan = currentUser?.role !== "assistant";
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const audioBlobRef = useRef(null);
   const timerRef = useRef(null);
   const startTimeRef = useRef(null);
-  const pollTimeoutRef = useRef(null);
+  const elapsedRef = useRef(0);
+  // The current recording's IndexedDB record ({ id, upload_id }) and the queue of writes to it.
+  const recordingRef = useRef(null);
+  const persistRef = useRef(Promise.resolve());
+  // Incremented to abandon the transcript being polled (new submission, reset or unmount).
+  const pollRunRef = useRef(0);
+  const liveRef = useRef(null);
+  const reviewAudioRef = useRef(null);
 
   const [recordingState, setRecordingState] = useState("idle"); // idle | recording | paused | stopped
   const [elapsedMs, setElapsedMs] = useState(0);
   const [error, setError] = useState("");
   const [canSubmit, setCanSubmit] = useState(false);
+  const [recoveredRecording, setRecoveredRecording] = useState(null);
+  const [recovering, setRecovering] = useState(false);
 
   const [transcriptionStatus, setTranscriptionStatus] = useState("idle"); // idle | uploading | processing | completed | error
   const [transcriptionText, setTranscriptionText] = useState("");
   const [transcriptionMessage, setTranscriptionMessage] = useState("Processing transcription...");
+  const [transcriptId, setTranscriptId] = useState("");
+  // Set when the upload or transcription was rate limited; the recording is kept for a retry after the countdown.
+  const [rateLimited, setRateLimited] = useState(false);
+  const [retryIn, startRetryCountdown] = useRetryCountdown();
+  // Diarized turns from AssemblyAI plus per-speaker name/role and which turns go to the planner.
+  const [utterances, setUtterances] = useState([]);
+  const [speakers, setSpeakers] = useState({});
+  const [plannerScope, setPlannerScope] = useState("all"); // all | doctor | patient
+  // Set once the clinician types in the transcript; speaker and scope changes then leave the text alone.
+  const [textEdited, setTextEdited] = useState(false);
+  // Audio behind the transcript under review (recording or uploaded file) and its playback position in ms.
+  const [reviewAudio, setReviewAudio] = useState(null);
+  const [playbackMs, setPlaybackMs] = useState(0);
 
   // Treatment planning state (now handled in dedicated planner page; kept for compatibility)
   const [planError, setPlanError] = useState("");
 
+  // Live mode streams audio over /api/live while recording and shows partial/final text as it arrives.
+  const [liveMode, setLiveMode] = useState(false);
+  const [liveStatus, setLiveStatus] = useState("idle"); // idle | connecting | streaming | closed | error
+  const [liveFinals, setLiveFinals] = useState([]);
+  const [livePartial, setLivePartial] = useState("");
+  const [liveError, setLiveError] = useState("");
+  const [patient, setPatient] = useState(emptyPatient);
+
+  useEffect(() => {
+    // Restore the intake form so "Record Again" and back-navigation keep the same patient.
+    const stored = window.sessionStorage.getItem("planner:patient");
+    if (!stored) return;
+    try {
+      setPatient({ ...emptyPatient(), ...JSON.parse(stored) });
+    } catch (err) {
+      console.error("Failed to restore patient context:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    // A recording left on this device by a refresh or crash is offered for recovery.
+    if (!recordingStoreAvailable()) return;
+    findUnfinishedRecording()
+      .then(setRecoveredRecording)
+      .catch((err) => console.warn("Recording recovery failed:", err));
+  }, []);
+
   useEffect(() => {
     // Cleanup timers and polling on unmount so we don't leak handles.
     return () => {
       stopTimer();
-      if (pollTimeoutRef.current) {
-        clearTimeout(pollTimeoutRef.current);
-      }
+      pollRunRef.current += 1;
       if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
         mediaRecorderRef.current.stop();
       }
+      liveRef.current?.stop();
     };
   }, []);
 
@@ -48,7 +122,8 @@ export default function Home() {
     startTimeRef.current = Date.now();
     setElapsedMs(0);
     timerRef.current = setInterval(() => {
-      setElapsedMs(Date.now() - startTimeRef.current);
+      elapsedRef.current = Date.now() - startTimeRef.current;
+      setElapsedMs(elapsedRef.current);
     }, 100);
   };
 
@@ -59,23 +134,56 @@ export default function Home() {
     }
   };
 
+  // Runs IndexedDB writes in order; a failure only costs crash safety, so it is logged rather than shown.
+  const persist = (task) => {
+    persistRef.current = persistRef.current.then(task).catch((err) => console.warn("Recording persistence failed:", err));
+    return persistRef.current;
+  };
+
+  // Drops the current recording's saved copy (after submission, or when the clinician starts over).
+  const forgetRecording = () => {
+    const recording = recordingRef.current;
+    recordingRef.current = null;
+    if (!recording) return;
+    persist(() => deleteRecording(recording.id));
+    if (recording.upload_id) discardUpload(recording.upload_id);
+  };
+
   const startRecording = async () => {
     try {
       setError("");
+      forgetRecording();
       setTranscriptionStatus("idle");
       setTranscriptionText("");
+      setTextEdited(false);
       setTranscriptionMessage("Processing transcription...");
+      setUtterances([]);
+      setSpeakers({});
+      setPlannerScope("all");
       audioChunksRef.current = [];
       audioBlobRef.current = null;
       setCanSubmit(false);
+      resetLive();
 
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
       const recorder = new MediaRecorder(stream);
       mediaRecorderRef.current = recorder;
+      elapsedRef.current = 0;
+      if (recordingStoreAvailable()) {
+        persist(async () => {
+          recordingRef.current = await createRecording({ mimeType: "audio/webm" });
+        });
+      }
 
+      // Chunks arrive every RECORDING_TIMESLICE_MS and are saved to IndexedDB as well as kept in memory.
+      let seq = 0;
       recorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           audioChunksRef.current.push(event.data);
+          const chunkSeq = seq;
+          const elapsed = recorder.state === "recording" ? Date.now() - startTimeRef.current : elapsedRef.current;
+          seq += 1;
+          persist(() => recordingRef.current && appendRecordingChunk(recordingRef.current.id, chunkSeq, event.data, elapsed));
         }
       };
 
@@ -83,9 +191,13 @@ export default function Home() {
         audioBlobRef.current = new Blob(audioChunksRef.current, { type: "audio/webm" });
         setCanSubmit(true);
         stream.getTracks().forEach((track) => track.stop());
+        persist(() => recordingRef.current && updateRecording(recordingRef.current.id, { status: "stopped" }));
       };
 
-      recorder.start();
+      recorder.start(RECORDING_TIMESLICE_MS);
+      if (liveMode) {
+        startLive(stream);
+      }
       setRecordingState("recording");
       startTimer();
     } catch (err) {
@@ -100,12 +212,14 @@ export default function Home() {
 
     if (recorder.state === "recording") {
       recorder.pause();
+      liveRef.current?.pause();
       setRecordingState("paused");
       stopTimer();
     } else if (recorder.state === "paused") {
       // Resume while maintaining elapsed time.
       startTimeRef.current = Date.now() - elapsedMs;
       recorder.resume();
+      liveRef.current?.resume();
       setRecordingState("recording");
       startTimer();
     }
@@ -116,25 +230,77 @@ export default function Home() {
     if (!recorder || recorder.state === "inactive") return;
 
     recorder.stop();
+    liveRef.current?.stop();
     setRecordingState("stopped");
     stopTimer();
   };
 
+  const resetLive = () => {
+    liveRef.current?.stop();
+    liveRef.current = null;
+    setLiveStatus("idle");
+    setLiveFinals([]);
+    setLivePartial("");
+    setLiveError("");
+  };
+
+  const startLive = (stream) => {
+    setLiveStatus("connecting");
+    liveRef.current = startLiveTranscription(stream, {
+      onReady: () => setLiveStatus("streaming"),
+      onPartial: ({ text }) => setLivePartial(text),
+      onFinal: ({ text, start }) => {
+        setLivePartial("");
+        if (text) setLiveFinals((prev) => [...prev, { text, start }]);
+      },
+      onError: (err) => {
+        setLiveStatus("error");
+        setLiveError(err.message);
+      },
+      onClose: () => {
+        liveRef.current = null;
+        setLiveStatus((prev) => (prev === "error" ? prev : "closed"));
+      },
+    });
+  };
+
+  // Promotes the live transcript to the editable transcription without a batch upload.
+  const acceptLiveTranscript = () => {
+    const text = [...liveFinals.map((line) => line.text), livePartial].filter(Boolean).join("\n");
+    setTranscriptId("");
+    setUtterances([]);
+    setSpeakers({});
+    setTranscriptionText(text);
+    setTextEdited(false);
+    setTranscriptionStatus("completed");
+    setTranscriptionMessage("Live transcription completed.");
+    setReviewAudio(audioBlobRef.current);
+    setPlaybackMs(0);
+  };
+
   const resetView = () => {
     stopTimer();
-    if (pollTimeoutRef.current) {
-      clearTimeout(pollTimeoutRef.current);
-    }
+    pollRunRef.current += 1;
+    forgetRecording();
     setRecordingState("idle");
     setElapsedMs(0);
     setError("");
     setCanSubmit(false);
     audioChunksRef.current = [];
     audioBlobRef.current = null;
+    resetLive();
     setTranscriptionStatus("idle");
     setTranscriptionText("");
+    setTextEdited(false);
     setTranscriptionMessage("Processing transcription...");
+    setTranscriptId("");
+    setUtterances([]);
+    setSpeakers({});
+    setPlannerScope("all");
+    setReviewAudio(null);
+    setPlaybackMs(0);
     setPlanError("");
+    setRateLimited(false);
   };
 
   const submitTranscription = async () => {
@@ -143,81 +309,135 @@ export default function Home() {
       return;
     }
 
+    const run = (pollRunRef.current += 1);
+    const blob = audioBlobRef.current;
     try {
       setError("");
+      setRateLimited(false);
       setTranscriptionStatus("uploading");
       setTranscriptionText("");
       setTranscriptionMessage("Uploading audio and processing transcription...");
 
-      const formData = new FormData();
-      formData.append("audio", audioBlobRef.current, "recording.webm");
-
-      const uploadResponse = await fetch("/api/upload", { method: "POST", body: formData });
-      if (!uploadResponse.ok) {
-        const errBody = await uploadResponse.json().catch(() => ({}));
-        throw new Error(errBody.error || "Failed to upload audio");
-      }
-      const { uploadUrl } = await uploadResponse.json();
-
-      const transcribeResponse = await fetch("/api/transcribe", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ audioUrl: uploadUrl }),
+      // The upload id is saved with the recording so a reload mid-upload resumes where the server left off.
+      const recording = recordingRef.current;
+      const uploadUrl = await uploadAudio(blob, "recording.webm", {
+        uploadId: recording?.upload_id,
+        onUploadId: (uploadId) => {
+          if (!recording) return;
+          recording.upload_id = uploadId;
+          persist(() => updateRecording(recording.id, { upload_id: uploadId }));
+        },
+        onProgress: (fraction) => setTranscriptionMessage(`Uploading audio... ${Math.round(fraction * 100)}%`),
       });
-
-      if (!transcribeResponse.ok) {
-        const errBody = await transcribeResponse.json().catch(() => ({}));
-        throw new Error(errBody.error || "Failed to start transcription");
-      }
-
-      const { transcriptId } = await transcribeResponse.json();
-      pollTranscription(transcriptId, 0);
+      const nextTranscriptId = await startTranscript(uploadUrl);
+      setTranscriptId(nextTranscriptId);
+      if (recordingRef.current === recording) forgetRecording();
+
+      const result = await waitForTranscript(nextTranscriptId, {
+        onStatus: (status) => {
+          setTranscriptionStatus("processing");
+          setTranscriptionMessage(`Processing transcription... (${status})`);
+        },
+        isCancelled: () => pollRunRef.current !== run,
+      });
+      if (result && pollRunRef.current === run) showTranscript(result, undefined, blob);
     } catch (err) {
+      if (pollRunRef.current !== run) return;
       console.error("Transcription error:", err);
       setTranscriptionStatus("error");
       setTranscriptionMessage(err.message || "Failed to process transcription");
+      if (err.retryAfterSeconds) {
+        setRateLimited(true);
+        startRetryCountdown(err.retryAfterSeconds);
+      }
     }
   };
 
-  const pollTranscription = (transcriptId, attempt) => {
-    const maxAttempts = 100; // ~5 minutes at 3s intervals
-    const delay = 3000;
+  // Loads a recovered recording as if it had just been stopped, ready to submit.
+  const restoreRecording = async () => {
+    const recording = recoveredRecording;
+    setRecovering(true);
+    try {
+      const blob = await loadRecordingBlob(recording);
+      resetView();
+      recordingRef.current = recording;
+      audioBlobRef.current = blob;
+      elapsedRef.current = recording.elapsed_ms;
+      setElapsedMs(recording.elapsed_ms);
+      setRecordingState("stopped");
+      setCanSubmit(true);
+      setRecoveredRecording(null);
+      persist(() => updateRecording(recording.id, { status: "stopped" }));
+    } catch (err) {
+      console.error("Recording restore error:", err);
+      setError("The saved recording could not be restored.");
+    } finally {
+      setRecovering(false);
+    }
+  };
 
-    const executePoll = async () => {
-      try {
-        const response = await fetch(`/api/transcript/${transcriptId}`);
-        if (!response.ok) {
-          throw new Error("Failed to get transcription status");
-        }
+  const discardRecoveredRecording = () => {
+    const recording = recoveredRecording;
+    setRecoveredRecording(null);
+    persist(() => deleteRecording(recording.id));
+    if (recording.upload_id) discardUpload(recording.upload_id);
+  };
 
-        const result = await response.json();
-        if (result.status === "completed") {
-          setTranscriptionStatus("completed");
-          setTranscriptionText(result.text || "No transcription text available.");
-          setTranscriptionMessage("Transcription completed.");
-          return;
-        }
+  // Shows a completed batch transcript in the editable panel, split into speaker turns when diarized,
+  // with the audio it came from (when the browser still has it) for playback review.
+  const showTranscript = (result, message = "Transcription completed.", audio = null) => {
+    setTranscriptionStatus("completed");
+    setReviewAudio(audio);
+    setPlaybackMs(0);
+    setTextEdited(false);
+    if (Array.isArray(result.utterances) && result.utterances.length > 0) {
+      const nextSpeakers = defaultSpeakers(result.utterances);
+      setUtterances(result.utterances);
+      setSpeakers(nextSpeakers);
+      setPlannerScope("all");
+      setTranscriptionText(buildTranscriptText(result.utterances, nextSpeakers, "all"));
+    } else {
+      setUtterances([]);
+      setSpeakers({});
+      setTranscriptionText(result.text || "No transcription text available.");
+    }
+    setTranscriptionMessage(message);
+  };
 
-        if (result.status === "error") {
-          throw new Error(result.error || "Transcription failed");
-        }
+  // Opens a transcript from an uploaded audio file in place of whatever the panel shows.
+  const openUploadedTranscript = ({ name, transcriptId: uploadedId, transcript, file }) => {
+    pollRunRef.current += 1;
+    setError("");
+    setPlanError("");
+    setTranscriptId(uploadedId);
+    showTranscript(transcript, `Transcription of ${name} completed.`, file);
+  };
 
-        setTranscriptionStatus("processing");
-        setTranscriptionMessage(`Processing transcription... (${result.status})`);
+  // Clicking a transcript word plays the recording from that word.
+  const seekReviewAudio = (ms) => {
+    const audio = reviewAudioRef.current;
+    if (!audio) return;
+    audio.currentTime = ms / 1000;
+    setPlaybackMs(ms);
+    audio.play().catch(() => {});
+  };
 
-        if (attempt + 1 >= maxAttempts) {
-          throw new Error("Transcription timeout. Please try again.");
-        }
+  // Renaming speakers or narrowing the scope rebuilds the planner text from the diarized turns, unless the
+  // clinician has edited it; then the edits stay until they choose to rebuild.
+  const updateSpeakers = (nextSpeakers) => {
+    setSpeakers(nextSpeakers);
+    if (!textEdited) setTranscriptionText(buildTranscriptText(utterances, nextSpeakers, plannerScope));
+  };
 
-        pollTimeoutRef.current = setTimeout(() => pollTranscription(transcriptId, attempt + 1), delay);
-      } catch (err) {
-        console.error("Polling error:", err);
-        setTranscriptionStatus("error");
-        setTranscriptionMessage(err.message || "Failed to get transcription");
-      }
-    };
+  const updatePlannerScope = (nextScope) => {
+    setPlannerScope(nextScope);
+    if (!textEdited) setTranscriptionText(buildTranscriptText(utterances, speakers, nextScope));
+  };
 
-    executePoll();
+  const rebuildTranscriptText = () => {
+    if (!window.confirm("Rebuild the text from the conversation? Your edits to it will be lost.")) return;
+    setTranscriptionText(buildTranscriptText(utterances, speakers, plannerScope));
+    setTextEdited(false);
   };
 
   const isRecording = recordingState === "recording";
@@ -236,6 +456,8 @@ export default function Home() {
       // Persist the editable transcription so planner page can read it.
       if (typeof window !== "undefined") {
         window.sessionStorage.setItem("planner:transcription", transcriptionText);
+        window.sessionStorage.setItem("planner:transcriptId", transcriptId);
+        window.sessionStorage.setItem("planner:patient", JSON.stringify(patient));
       }
       router.push("/planner");
     } catch (err) {
@@ -264,9 +486,20 @@ export default function Home() {
                 Crafted for clinicians, researchers, and note-takers who value precision.
               </p>
             </div>
-            <div className="status-chip">
-              <span className="status-dot" />
-              Secure connection ready
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <Link href="/history" legacyBehavior>
+                <a className="btn-back" style={{ textDecoration: "none" }}>History</a>
+              </Link>
+              <Link href="/catalogue" legacyBehavior>
+                <a className="btn-back" style={{ textDecoration: "none" }}>Catalogue</a>
+              </Link>
+              <Link href="/settings" legacyBehavior>
+                <a className="btn-back" style={{ textDecoration: "none" }}>Settings</a>
+              </Link>
+              <div className="status-chip">
+                <span className="status-dot" />
+                Secure connection ready
+              </div>
             </div>
           </div>
         </div>
@@ -274,6 +507,13 @@ export default function Home() {
         <div className="card">
           <div className="grid">
             <div className="panel">
+              <RecordingRecovery
+                recording={recoveredRecording}
+                onRestore={restoreRecording}
+                onDiscard={discardRecoveredRecording}
+                busy={recovering || isRecording || isPaused}
+              />
+
               <div className="info-bar">
                 <div className="stat-group">
                   <span className="pill">High fidelity</span>
@@ -301,8 +541,27 @@ export default function Home() {
                 <button className="btn-submit" onClick={submitTranscription} disabled={!canSubmit}>
                   Submit for Transcription
                 </button>
+                {liveMode && (
+                  <button
+                    className="btn-submit"
+                    onClick={acceptLiveTranscript}
+                    disabled={!canSubmit || liveFinals.length === 0 || transcriptionStatus !== "idle"}
+                  >
+                    Use Live Transcript
+                  </button>
+                )}
               </div>
 
+              <label className="live-toggle">
+                <input
+                  type="checkbox"
+                  checked={liveMode}
+                  onChange={(e) => setLiveMode(e.target.checked)}
+                  disabled={isRecording || isPaused}
+                />
+                <span>Live transcription — stream audio and show text while recording</span>
+              </label>
+
               <div
                 className={`recording-status ${
                   isRecording ? "recording" : isPaused ? "paused" : ""
@@ -312,6 +571,10 @@ export default function Home() {
               </div>
               {error && <div className="error" style={{ marginTop: 12 }}>{error}</div>}
 
+              <AudioFileUpload onOpen={openUploadedTranscript} disabled={isRecording || isPaused} />
+
+              <PatientIntake patient={patient} onChange={setPatient} />
+
               <div className="timeline">
                 <div className="step">
                   <h3>① Capture</h3>
@@ -338,7 +601,10 @@ export default function Home() {
               </div>
 
               <div className="transcription-content">
-                {transcriptionStatus === "idle" && (
+                {transcriptionStatus === "idle" && liveMode && liveStatus !== "idle" && (
+                  <LiveTranscript status={liveStatus} finals={liveFinals} partial={livePartial} error={liveError} />
+                )}
+                {transcriptionStatus === "idle" && !(liveMode && liveStatus !== "idle") && (
                   <div className="muted">Submit a recording to see your transcript.</div>
                 )}
                 {transcriptionStatus === "uploading" || transcriptionStatus === "processing" ? (
@@ -349,6 +615,49 @@ export default function Home() {
                 ) : null}
                 {transcriptionStatus === "completed" && (
                   <div className="transcription-content" style={{ padding: 0, border: "none", boxShadow: "none", background: "transparent" }}>
+                    <p className="muted">{transcriptionMessage}</p>
+                    {reviewAudio && (
+                      <TranscriptAudioPlayer
+                        audio={reviewAudio}
+                        audioRef={reviewAudioRef}
+                        currentMs={playbackMs}
+                        onTimeChange={setPlaybackMs}
+                        fallbackDurationMs={utterances.at(-1)?.end || 0}
+                      />
+                    )}
+                    {utterances.length > 0 && (
+                      <>
+                        <SpeakerTranscript
+                          utterances={utterances}
+                          speakers={speakers}
+                          onSpeakersChange={updateSpeakers}
+                          currentMs={reviewAudio ? playbackMs : null}
+                          onSeek={reviewAudio ? seekReviewAudio : undefined}
+                        />
+                        <label className="form-field" style={{ margin: "14px 0 10px" }}>
+                          <span className="form-label">Send to planner</span>
+                          <select
+                            className="form-input"
+                            value={plannerScope}
+                            onChange={(e) => updatePlannerScope(e.target.value)}
+                          >
+                            <option value="all">All turns</option>
+                            <option value="doctor">Doctor turns only</option>
+                            <option value="patient">Patient turns only</option>
+                          </select>
+                          <span className="muted" style={{ marginBottom: 0 }}>
+                            {textEdited
+                              ? "The text below has your edits, so speaker and scope changes are not applied to it."
+                              : "Changing speakers or this option rebuilds the text below."}
+                          </span>
+                        </label>
+                        {textEdited && (
+                          <button className="btn-back" style={{ marginBottom: 10 }} onClick={rebuildTranscriptText}>
+                            Rebuild Text
+                          </button>
+                        )}
+                      </>
+                    )}
                     <textarea
                       aria-label="Editable transcription"
                       style={{
@@ -364,14 +673,22 @@ export default function Home() {
                         resize: "vertical",
                       }}
                       value={transcriptionText}
-                      onChange={(e) => setTranscriptionText(e.target.value)}
+                      onChange={(e) => {
+                        setTranscriptionText(e.target.value);
+                        setTextEdited(true);
+                      }}
                     />
                   </div>
                 )}
                 {transcriptionStatus === "error" && (
                   <div className="error">
                     {transcriptionMessage}
-                    <div style={{ marginTop: 12 }}>
+                    <div style={{ marginTop: 12, display: "flex", gap: 10, flexWrap: "wrap" }}>
+                      {rateLimited && (
+                        <button className="btn-back" onClick={submitTranscription} disabled={retryIn > 0}>
+                          {retryIn > 0 ? `Retry in ${retryIn}s` : "Retry Upload"}
+                        </button>
+                      )}
                       <button className="btn-back" onClick={resetView}>Try Again</button>
                     </div>
                   </div>
@@ -383,10 +700,14 @@ export default function Home() {
                   <div className="info-bar" style={{ background: "#fff3d9", borderColor: "#f0d59a" }}>
                     <div className="stat-group">
                       <span className="pill">Treatment Planner</span>
-                      <span className="stat-label">Send transcript to planner (opens dedicated page).</span>
+                      <span className="stat-label">
+                        {canPlan
+                          ? "Send transcript to planner (opens dedicated page)."
+                          : "Treatment plans are generated by a doctor."}
+                      </span>
                     </div>
                   </div>
-                  <button className="btn-submit" onClick={generatePlans}>
+                  <button className="btn-submit" onClick={generatePlans} disabled={!canPlan}>
                     Generate Treatment Plans
                   </button>
                   {planError && <div className="error">{planError}</div>}
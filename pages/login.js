@@ -0,0 +1,85 @@
+import { useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+
+// Only same-site paths are followed after sign-in.
+const safeNext = (next) => (typeof next === "string" && next.startsWith("/") && !next.startsWith("//") ? next : "/");
+
+// Sign-in page for clinicians; AuthGate sends signed-out visitors here with ?next=<page>.
+export default function Login() {
+  const router = useRouter();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      setSubmitting(true);
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to sign in");
+      }
+      router.replace(safeNext(router.query.next));
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Sign in | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell login-shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">Clinic</div>
+                <h1>Sign in</h1>
+              </div>
+              <p className="subtitle">Use the account your clinic administrator created for you.</p>
+            </div>
+          </div>
+        </div>
+
+        <form className="card section" onSubmit={submit}>
+          <label className="form-field">
+            <span className="form-label">Username</span>
+            <input
+              className="form-input"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+            />
+          </label>
+          <label className="form-field">
+            <span className="form-label">Password</span>
+            <input
+              className="form-input"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </label>
+          {error && <div className="error">{error}</div>}
+          <button className="btn-submit" type="submit" disabled={submitting}>
+            {submitting ? "Signing in..." : "Sign in"}
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -1,78 +1,74 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import Head from "next/head";
 import Link from "next/link";
+import { useRouter } from "next/router";
+import CataloguePicker from "../components/CataloguePicker";
+import ItemControls from "../components/ItemControls";
+import PlanComparison from "../components/PlanComparison";
+import PlanPricing from "../components/PlanPricing";
+import PlanProgress from "../components/PlanProgress";
+import PlanVersions from "../components/PlanVersions";
+import RefinePanel from "../components/RefinePanel";
+import SpecFieldAdder from "../components/SpecFieldAdder";
+import { responseError } from "../lib/apiErrors";
+import { normalizePatient } from "../lib/patient";
+import { pickerCatalogue, resolvePlanItems, stockStatus } from "../lib/catalogueMatch";
+import {
+  addItem,
+  moveItem,
+  removeItem,
+  removeSpecification,
+  setSpecification,
+  updateItem,
+} from "../lib/planItems";
+import { latestVersion } from "../lib/planVersions";
+import { defaultPricingOptions, optionLabel } from "../lib/pricing";
+import useEditHistory from "../lib/useEditHistory";
+import useRetryCountdown from "../lib/useRetryCountdown";
+
+const JOB_POLL_INTERVAL_MS = 3000;
 
 // Dedicated planner page: shows loading then Plan A/B/C cards with editable text.
 export default function Planner() {
+  const router = useRouter();
   const [transcriptionText, setTranscriptionText] = useState("");
   const [sessionId, setSessionId] = useState("");
   const [status, setStatus] = useState("idle"); // idle | loading | ready | selected | error
   const [plans, setPlans] = useState([]);
-  const [planEdits, setPlanEdits] = useState({});
+  const {
+    value: planEdits,
+    apply: applyEdit,
+    reset: resetPlanEdits,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useEditHistory({});
+  const dragItem = useRef(null);
+  const [clinicCatalogue, setClinicCatalogue] = useState(null);
+  const [job, setJob] = useState(null);
+  const [stage, setStage] = useState(null);
+  const [partialPlans, setPartialPlans] = useState([]);
+  const [planVersions, setPlanVersions] = useState({});
+  const [warnings, setWarnings] = useState([]);
+  const jobPoll = useRef(null);
+  const jobSource = useRef(null);
   const [selectedPlanId, setSelectedPlanId] = useState("");
   const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  // Counts down after a 429 from generate/refine; retry and refine controls stay disabled until it ends.
+  const [retryIn, startRetryCountdown] = useRetryCountdown();
+  const [savedAt, setSavedAt] = useState("");
+  const [exporting, setExporting] = useState(false);
 
-  const slotId = "b553d02b-102c-457b-b525-0bfca777b191"; // provided constant slot id
-  const userId = "user-123";
+  const [patient, setPatient] = useState(null);
+  const [slotId, setSlotId] = useState("");
 
   const createSessionId = () => {
     if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
     return `session-${Date.now()}`;
   };
 
-  const formatSpecs = (specs = {}) =>
-    Object.entries(specs)
-      .map(([k, v]) => `    - ${k}: ${v}`)
-      .join("\n");
-
-  const formatCostVars = (options = []) =>
-    options
-      .map(
-        (o) =>
-          `    - session: ${o.session ?? "-"}, cost_per_session: ${o.cost_per_session ?? "-"}, grafts: ${o.grafts ?? "-"}, weight: ${o.weight ?? "-"}`
-      )
-      .join("\n");
-
-  const formatPlanNotes = (plan) => {
-    const services =
-      plan.services
-        ?.map((s) => {
-          const specText = s.specifications ? formatSpecs(s.specifications) : "";
-          const costText = s.service_cost_variable_options ? formatCostVars(s.service_cost_variable_options) : "";
-          return [
-            `• Service: ${s.service_name || "Service"}`,
-            specText,
-            costText ? "    - cost options:" : "",
-            costText,
-          ]
-            .filter(Boolean)
-            .join("\n");
-        })
-        .join("\n") || "";
-
-    const products =
-      plan.products
-        ?.map((p) => {
-          const details = [
-            p.composition ? `    - composition: ${p.composition}` : "",
-            p.dosage ? `    - dosage: ${p.dosage}` : "",
-            p.frequency ? `    - frequency: ${p.frequency}` : "",
-            p.duration ? `    - duration: ${p.duration}` : "",
-            p.route ? `    - route: ${p.route}` : "",
-            p.instruction ? `    - instruction: ${p.instruction}` : "",
-          ]
-            .filter(Boolean)
-            .join("\n");
-          return [`• Product: ${p.product_name || p.name || "Product"}`, details].filter(Boolean).join("\n");
-        })
-        .join("\n") || "";
-
-    const labs =
-      plan.lab_tests?.map((l) => `• Lab: ${l.lab_test_name || l.name || "Lab Test"}`).join("\n") || "";
-
-    return `${plan.plan_name || `Plan ${plan.plan_id}`}\n${[services, products, labs].filter(Boolean).join("\n")}`;
-  };
-
   const labelize = (key) =>
     key
       .replace(/_/g, " ")
@@ -85,22 +81,44 @@ export default function Planner() {
     return window.sessionStorage.getItem("planner:transcription") || "";
   };
 
-  const callPlanner = async (text) => {
+  // Patient context from the recorder intake panel; null when nothing was filled in.
+  const loadPatient = () => {
+    if (typeof window === "undefined") return null;
+    try {
+      return normalizePatient(JSON.parse(window.sessionStorage.getItem("planner:patient") || "null"));
+    } catch (err) {
+      console.error("Failed to read patient context:", err);
+      return null;
+    }
+  };
+
+  const loadTranscriptId = () => {
+    if (typeof window === "undefined") return "";
+    return window.sessionStorage.getItem("planner:transcriptId") || "";
+  };
+
+  const callPlanner = async (text, patientContext = patient) => {
     try {
       setError("");
       setStatus("loading");
+      setJob(null);
       const sid = createSessionId();
       setSessionId(sid);
-
       const payload = {
         session_id: sid,
-        user_id: userId,
-        slot_id: slotId,
+        slot_id: patientContext?.slot_id || undefined,
         treatment_planner_text: text,
+        transcript_id: loadTranscriptId() || undefined,
+        patient: patientContext || undefined,
       };
 
-      // Client-side console log for debugging the outgoing request.
-      console.log("[planner] sending request", payload);
+      // Client-side console log for debugging the outgoing request (no transcript or patient details).
+      console.log("[planner] sending request", {
+        session_id: payload.session_id,
+        slot_id: payload.slot_id,
+        treatment_planner_text_chars: text.length,
+        has_patient_context: Boolean(payload.patient),
+      });
 
       const response = await fetch("/api/treatment-plans", {
         method: "POST",
@@ -108,93 +126,397 @@ export default function Planner() {
         body: JSON.stringify(payload),
       });
 
+      if (!response.ok) throw await responseError(response, "Failed to generate treatment plans");
+
+      // Generation runs as a server-side job; keep the session in the URL so a reload resumes it.
+      const data = await response.json();
+      setSlotId(data.slot_id || "");
+      router.replace({ pathname: "/planner", query: { session: sid } }, undefined, { shallow: true });
+      watchJob(data.job_id);
+    } catch (err) {
+      console.error("Planner error:", err);
+      if (err.retryAfterSeconds) startRetryCountdown(err.retryAfterSeconds);
+      setError(err.message || "Failed to generate treatment plans");
+      setStatus("error");
+    }
+  };
+
+  // Re-runs the planner within this session for one plan (planId) or all plans, steered by an optional instruction.
+  // The current edits go along so the planner refines what the clinician sees; the result arrives as a new version.
+  const refinePlans = async ({ planId = null, instruction = "" }) => {
+    try {
+      setError("");
+      setStatus("loading");
+      setJob(null);
+      const response = await fetch("/api/treatment-plans/refine", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          session_id: sessionId,
+          plan_id: planId || undefined,
+          instruction,
+          plans: plans.map((plan) => planEdits[plan.plan_id] || plan),
+        }),
+      });
+
+      if (!response.ok) throw await responseError(response, "Failed to refine treatment plans");
+
+      const data = await response.json();
+      watchJob(data.job_id);
+    } catch (err) {
+      console.error("Plan refine error:", err);
+      if (err.retryAfterSeconds) startRetryCountdown(err.retryAfterSeconds);
+      setError(err.message || "Failed to refine treatment plans");
+      setStatus("ready");
+    }
+  };
+
+  // Version history lives on the session record; refreshed whenever a job finishes.
+  const loadVersions = async (sid) => {
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sid)}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const session = await response.json();
+      setPlanVersions(session.plan_versions || {});
+    } catch (err) {
+      console.error("Plan versions load error:", err);
+    }
+  };
+
+  const showPlans = (nextPlans) => {
+    const nextEdits = {};
+    nextPlans.forEach((plan) => {
+      // Clone to allow local edits without mutating original response reference
+      nextEdits[plan.plan_id] = JSON.parse(JSON.stringify(plan));
+    });
+    setPlans(nextPlans);
+    resetPlanEdits(nextEdits);
+    setStatus("ready");
+  };
+
+  // A failed refinement keeps the plans that were on screen; a failed first generation has nothing to show.
+  const finishJob = (finished) => {
+    if (finished.status === "succeeded") {
+      showPlans(finished.result?.treatment_plans || []);
+      setWarnings(finished.result?.warnings || []);
+      loadVersions(finished.session_id);
+    } else {
+      setError(finished.error || "Failed to generate treatment plans");
+      setStatus(finished.refinement ? "ready" : "error");
+    }
+  };
+
+  // A new attempt starts from scratch, so drop plans streamed by the previous one.
+  const updateJob = (current) => {
+    setJob((prev) => {
+      if (prev && prev.attempts !== current.attempts) setPartialPlans([]);
+      return current;
+    });
+  };
+
+  const stopWatching = () => {
+    clearTimeout(jobPoll.current);
+    jobSource.current?.close();
+    jobSource.current = null;
+  };
+
+  // Polls a plan generation job until it succeeds or fails (used when the event stream is unavailable).
+  const pollJob = (jobId) => {
+    const poll = async () => {
+      try {
+        const response = await fetch(`/api/treatment-plans/jobs/${encodeURIComponent(jobId)}`);
+        if (!response.ok) {
+          const errBody = await response.json().catch(() => ({}));
+          throw new Error(errBody.error || "Failed to check plan generation");
+        }
+        const current = await response.json();
+        updateJob(current);
+        setStage(current.stage || null);
+        setPartialPlans(current.partial_plans || []);
+        if (current.status === "succeeded" || current.status === "failed") {
+          finishJob(current);
+        } else {
+          jobPoll.current = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        console.error("Plan job poll error:", err);
+        setError(err.message || "Failed to check plan generation");
+        setStatus("error");
+      }
+    };
+    poll();
+  };
+
+  // Follows a plan generation job over server-sent events: status, stage updates and each plan as it is built.
+  const watchJob = (jobId) => {
+    stopWatching();
+    setStage(null);
+    setPartialPlans([]);
+    if (typeof window === "undefined" || !window.EventSource) {
+      pollJob(jobId);
+      return;
+    }
+
+    const source = new EventSource(`/api/treatment-plans/jobs/${encodeURIComponent(jobId)}/events`);
+    jobSource.current = source;
+    source.addEventListener("status", (e) => updateJob(JSON.parse(e.data)));
+    source.addEventListener("stage", (e) => setStage(JSON.parse(e.data)));
+    source.addEventListener("plan", (e) => {
+      const { index, plan } = JSON.parse(e.data);
+      setPartialPlans((prev) => {
+        const next = [...prev];
+        next[index] = plan;
+        return next;
+      });
+    });
+    source.addEventListener("done", (e) => {
+      stopWatching();
+      finishJob(JSON.parse(e.data));
+    });
+    // Dropped connection or proxy without SSE support: fall back to polling.
+    source.onerror = () => {
+      if (jobSource.current !== source) return;
+      stopWatching();
+      pollJob(jobId);
+    };
+  };
+
+  useEffect(() => stopWatching, []);
+
+  // Persists the edited plan as the confirmed selection for this session.
+  const selectPlan = async (planId) => {
+    const plan = displayPlan(plans.find((p) => p.plan_id === planId) || { plan_id: planId });
+    try {
+      setError("");
+      setSaving(true);
+      const response = await fetch("/api/treatment-plans/selection", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          session_id: sessionId,
+          slot_id: slotId,
+          plan_id: planId,
+          plan,
+          treatment_planner_text: transcriptionText,
+        }),
+      });
+
       if (!response.ok) {
         const errBody = await response.json().catch(() => ({}));
-        throw new Error(errBody.error || "Failed to generate treatment plans");
+        throw new Error(errBody.error || "Failed to save selected plan");
       }
 
-      const data = await response.json();
-      const nextPlans = data.treatment_plans || [];
+      const saved = await response.json();
+      setSelectedPlanId(planId);
+      setSavedAt(saved.updated_at || "");
+      setStatus("selected");
+    } catch (err) {
+      console.error("Plan selection error:", err);
+      setError(err.message || "Failed to save selected plan");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Renders the selected plan's PDF on the server, then downloads the stored copy.
+  const downloadPdf = async () => {
+    try {
+      setError("");
+      setExporting(true);
+      const response = await fetch("/api/treatment-plans/export", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ session_id: sessionId }),
+      });
+
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to export treatment plan");
+      }
+
+      const { url } = await response.json();
+      window.location.assign(url);
+    } catch (err) {
+      console.error("Plan export error:", err);
+      setError(err.message || "Failed to export treatment plan");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Reopens a stored session from history: its plans, with the saved selection's edits applied.
+  const loadSession = async (sid) => {
+    try {
+      setError("");
+      setStatus("loading");
+      setSessionId(sid);
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sid)}`);
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to load session");
+      }
+
+      const session = await response.json();
+      // A selection made before the selected plan was refined again no longer reflects that plan.
+      const latest = session.selection ? latestVersion(session.plan_versions, session.selection.plan_id) : null;
+      const selection = session.selection && (!latest || latest.created_at <= session.selection.updated_at) ? session.selection : null;
+      const nextPlans = session.plans || [];
       const nextEdits = {};
       nextPlans.forEach((plan) => {
-        // Clone to allow local edits without mutating original response reference
         nextEdits[plan.plan_id] = JSON.parse(JSON.stringify(plan));
       });
+      if (selection) {
+        nextEdits[selection.plan_id] = selection.plan;
+      }
+
+      setTranscriptionText(session.treatment_planner_text || "");
+      setPatient(session.patient || null);
+      setSlotId(session.slot_id || "");
       setPlans(nextPlans);
-      setPlanEdits(nextEdits);
-      setStatus("ready");
+      resetPlanEdits(nextEdits);
+      setPlanVersions(session.plan_versions || {});
+      setWarnings(session.plan_warnings || []);
+      if (session.status === "generating" && session.job_id) {
+        watchJob(session.job_id);
+        return;
+      }
+      if (selection) {
+        setSelectedPlanId(selection.plan_id);
+        setSavedAt(selection.updated_at || "");
+        setStatus("selected");
+      } else if (nextPlans.length > 0) {
+        setStatus("ready");
+      } else {
+        setError(session.error || "This session has no generated plans. Retry to generate them again.");
+        setStatus("error");
+      }
     } catch (err) {
-      console.error("Planner error:", err);
-      setError(err.message || "Failed to generate treatment plans");
+      console.error("Session load error:", err);
+      setError(err.message || "Failed to load session");
       setStatus("error");
     }
   };
 
   useEffect(() => {
+    if (!router.isReady) return;
+    const { session } = router.query;
+    if (typeof session === "string" && session) {
+      loadSession(session);
+      return;
+    }
+
     const text = loadTranscription();
+    const storedPatient = loadPatient();
     setTranscriptionText(text);
+    setPatient(storedPatient);
     if (text) {
-      callPlanner(text);
+      callPlanner(text, storedPatient);
     } else {
       setError("No transcription text found. Go back and generate a transcript first.");
     }
-  }, []);
+  }, [router.isReady]);
 
   const headerSubtitle = useMemo(() => {
+    if (status === "loading" && job?.refinement?.target_plan_id) {
+      return `Regenerating Plan ${job.refinement.target_plan_id}... this can take 2-3 minutes.`;
+    }
+    if (status === "loading" && job?.refinement) return "Refining Plans A/B/C... this can take 2-3 minutes.";
     if (status === "loading") return "Generating Plans A/B/C... this can take 2-3 minutes.";
     if (status === "ready") return "Plans A/B/C are editable; pick one and confirm.";
     if (status === "selected") return "You have confirmed your selection.";
     return "Generate treatment plans from your transcript.";
-  }, [status]);
-
-  const updateServiceSpec = (planId, serviceIndex, key, value) => {
-    setPlanEdits((prev) => {
-      const draft = { ...prev };
-      const plan = { ...(draft[planId] || {}), services: [...(draft[planId]?.services || [])] };
-      const service = { ...(plan.services[serviceIndex] || {}) };
-      
-      // Handle specifications: can be either a string or an object
-      // If key is "specifications" and current value is a string, replace the entire string
-      // Otherwise, treat it as an object with key-value pairs
-      if (key === "specifications" && typeof service.specifications === "string") {
-        service.specifications = value;
-      } else {
-        // Convert to object if it's currently a string
-        if (typeof service.specifications === "string") {
-          service.specifications = {};
-        }
-        service.specifications = { ...(service.specifications || {}), [key]: value };
-      }
-      
-      plan.services[serviceIndex] = service;
-      draft[planId] = plan;
-      return draft;
-    });
-  };
+  }, [status, job]);
 
-  const updateProductField = (planId, productIndex, key, value) => {
-    setPlanEdits((prev) => {
-      const draft = { ...prev };
-      const plan = { ...(draft[planId] || {}), products: [...(draft[planId]?.products || [])] };
-      const product = { ...(plan.products[productIndex] || {}) };
-      product[key] = value;
-      plan.products[productIndex] = product;
-      draft[planId] = plan;
-      return draft;
-    });
+  const jobProgress = useMemo(() => {
+    if (!job || job.status === "queued") {
+      if (job?.attempts > 0) return `Attempt ${job.attempts} failed (${job.error}); retrying shortly...`;
+      return "Queued for the treatment planner...";
+    }
+    const attempt = job.attempts > 1 ? ` (attempt ${job.attempts} of ${job.max_attempts})` : "";
+    return `Calling treatment planner${attempt}... this may take up to 2-3 minutes.`;
+  }, [job]);
+
+  // Applies a planItems helper to one plan and records the result in the undo history.
+  // Edits sharing a key (typing in the same field) collapse into a single undo step.
+  const editPlan = (planId, change, key = null) => {
+    applyEdit((prev) => {
+      const plan = prev[planId] || plans.find((p) => p.plan_id === planId);
+      return { ...prev, [planId]: change(plan) };
+    }, key);
   };
 
-  const updateLabField = (planId, labIndex, key, value) => {
-    setPlanEdits((prev) => {
-      const draft = { ...prev };
-      const plan = { ...(draft[planId] || {}), lab_tests: [...(draft[planId]?.lab_tests || [])] };
-      const lab = { ...(plan.lab_tests[labIndex] || {}) };
-      lab[key] = value;
-      plan.lab_tests[labIndex] = lab;
-      draft[planId] = plan;
-      return draft;
+  // Edited plan with clinic catalogue prices and stock applied; used for display, comparison and selection.
+  const displayPlan = (plan) => resolvePlanItems(planEdits[plan.plan_id] || plan, clinicCatalogue);
+
+  const updateServiceSpec = (planId, serviceIndex, key, value) =>
+    editPlan(planId, (plan) => setSpecification(plan, serviceIndex, key, value), `${planId}:services:${serviceIndex}:${key}`);
+
+  const updateProductField = (planId, productIndex, key, value) =>
+    editPlan(planId, (plan) => updateItem(plan, "products", productIndex, { [key]: value }), `${planId}:products:${productIndex}:${key}`);
+
+  const updateLabField = (planId, labIndex, key, value) =>
+    editPlan(planId, (plan) => updateItem(plan, "lab_tests", labIndex, { [key]: value }), `${planId}:lab_tests:${labIndex}:${key}`);
+
+  // Stores discount, tax and chosen session options on the edited plan so they travel with the selection.
+  const updatePricingOptions = (planId, pricingOptions) =>
+    editPlan(planId, (plan) => ({ ...plan, pricing_options: pricingOptions }), `${planId}:pricing`);
+
+  const updateServiceOption = (planId, serviceIndex, optionIndex) =>
+    editPlan(planId, (plan) => {
+      const current = { ...defaultPricingOptions(), ...(plan.pricing_options || {}) };
+      return {
+        ...plan,
+        pricing_options: { ...current, service_options: { ...current.service_options, [serviceIndex]: optionIndex } },
+      };
     });
-  };
+
+  // Drag-to-reorder within one section of one plan; the handle starts the drag, the card is the drop target.
+  const dragHandleProps = (planId, kind, index) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      dragItem.current = { planId, kind, index };
+      e.dataTransfer.effectAllowed = "move";
+    },
+    onDragEnd: () => {
+      dragItem.current = null;
+    },
+  });
+
+  const dropTargetProps = (planId, kind, index) => ({
+    onDragOver: (e) => {
+      if (dragItem.current?.planId === planId && dragItem.current.kind === kind) e.preventDefault();
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      const from = dragItem.current;
+      dragItem.current = null;
+      if (from?.planId === planId && from.kind === kind) editPlan(planId, (plan) => moveItem(plan, kind, from.index, index));
+    },
+  });
+
+  // Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes plan edits; form fields keep their native undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey) || (key !== "z" && key !== "y")) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+
+  // Clinic catalogue for real prices and stock; the planner still works (gateway values only) if it fails to load.
+  useEffect(() => {
+    fetch("/api/catalogue")
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(setClinicCatalogue)
+      .catch((err) => console.error("Catalogue load error:", err));
+  }, []);
+
+  const catalogue = useMemo(() => pickerCatalogue(clinicCatalogue, plans), [clinicCatalogue, plans]);
 
   return (
     <>
@@ -211,11 +533,16 @@ export default function Planner() {
               </div>
               <p className="subtitle">{headerSubtitle}</p>
             </div>
-            <Link href="/" legacyBehavior>
-              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
-                Back to Recorder
-              </a>
-            </Link>
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              <Link href="/history" legacyBehavior>
+                <a className="btn-back" style={{ textDecoration: "none" }}>History</a>
+              </Link>
+              <Link href="/" legacyBehavior>
+                <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                  Back to Recorder
+                </a>
+              </Link>
+            </div>
           </div>
         </div>
 
@@ -229,6 +556,21 @@ export default function Planner() {
               <span className="pill">Slot</span>
               <span className="stat-label">{slotId}</span>
             </div>
+            {patient && (
+              <div className="stat-group">
+                <span className="pill">Patient</span>
+                <span className="stat-label">
+                  {[
+                    patient.name || "Unnamed",
+                    patient.age !== null ? `${patient.age}y` : "",
+                    patient.sex || "",
+                    patient.skin_type ? `Type ${patient.skin_type}` : "",
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </span>
+              </div>
+            )}
             {transcriptionText ? (
               <div className="stat-group">
                 <span className="pill" style={{ background: "rgba(31,138,90,0.12)", color: "#1f8a5a" }}>
@@ -238,13 +580,7 @@ export default function Planner() {
             ) : null}
           </div>
 
-          {status === "loading" && (
-            <div className="loading">
-              <div className="spinner" />
-              <p>Calling treatment planner... this may take up to 2-3 minutes.</p>
-              <p className="muted">Please keep this page open while we fetch Plans A/B/C.</p>
-            </div>
-          )}
+          {status === "loading" && <PlanProgress message={jobProgress} stage={stage} partialPlans={partialPlans} />}
 
           {status === "error" && (
             <div className="error">
@@ -254,16 +590,49 @@ export default function Planner() {
                   <a className="btn-back">Back</a>
                 </Link>
                 {transcriptionText && (
-                  <button className="btn-back" onClick={() => callPlanner(transcriptionText)}>Retry</button>
+                  <button className="btn-back" onClick={() => callPlanner(transcriptionText)} disabled={retryIn > 0}>
+                    {retryIn > 0 ? `Retry in ${retryIn}s` : "Retry"}
+                  </button>
                 )}
               </div>
             </div>
           )}
 
+          {status === "ready" && error && <div className="error" style={{ marginBottom: 12 }}>{error}</div>}
+
+          {status === "ready" && warnings.length > 0 && (
+            <details className="plan-warnings">
+              <summary>The planner response needed {warnings.length} correction(s); check these items before selecting.</summary>
+              <ul>
+                {warnings.map((w, idx) => (
+                  <li key={idx}>
+                    <strong>{w.path}</strong>: {w.message}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {status === "ready" && (
+            <div className="edit-toolbar">
+              <button className="btn-back" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                Undo
+              </button>
+              <button className="btn-back" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+                Redo
+              </button>
+              <span className="muted">Drag items by their handle to reorder.</span>
+            </div>
+          )}
+
+          {status === "ready" && <RefinePanel plans={plans.map(displayPlan)} onRefine={refinePlans} disabled={saving || retryIn > 0} />}
+
+          {status === "ready" && <PlanComparison plans={plans.map(displayPlan)} />}
+
           {status === "ready" && (
             <div className="grid" style={{ marginTop: 6, gridTemplateColumns: "1fr" }}>
               {plans.map((plan) => {
-                const editedPlan = planEdits[plan.plan_id] || plan;
+                const editedPlan = displayPlan(plan);
                 const planServices = editedPlan.services || [];
                 const products = editedPlan.products || [];
                 const labs = editedPlan.lab_tests || [];
@@ -274,16 +643,24 @@ export default function Planner() {
                         <div className="plan-title">{editedPlan.plan_name || `Plan ${plan.plan_id}`}</div>
                         <div className="plan-sub">Edit details; verify before selecting.</div>
                       </div>
-                      <button
-                        className="btn-back"
-                        onClick={() => {
-                          setSelectedPlanId(plan.plan_id);
-                          setStatus("selected");
-                        }}
-                        style={{ background: "#2b1a0f" }}
-                      >
-                        Select
-                      </button>
+                      <div className="item-actions">
+                        <button
+                          className="btn-back"
+                          onClick={() => refinePlans({ planId: plan.plan_id })}
+                          disabled={saving || retryIn > 0}
+                          title="Run the planner again for this plan only"
+                        >
+                          Regenerate
+                        </button>
+                        <button
+                          className="btn-back"
+                          onClick={() => selectPlan(plan.plan_id)}
+                          disabled={saving}
+                          style={{ background: "#2b1a0f" }}
+                        >
+                          {saving ? "Saving..." : "Select"}
+                        </button>
+                      </div>
                     </div>
 
                     <div className="plan-meta">
@@ -292,179 +669,198 @@ export default function Planner() {
                       <span className="pill">Labs: {labs.length}</span>
                     </div>
 
-                    {planServices.length > 0 && (
-                      <div className="section">
-                        <div className="section-head">
-                          <div className="section-title">Services</div>
-                        </div>
-                        <div className="section-body">
-                          {planServices.map((srv, idx) => (
-                            <div key={idx} className="service-card">
-                              <div className="service-head">
-                                <div>
-                                  <div className="service-name">{srv.service_name || "Service"}</div>
-                                  <div className="service-sub">Basic details</div>
-                                </div>
+                    <PlanVersions
+                      versions={planVersions[plan.plan_id]}
+                      currentPlan={planEdits[plan.plan_id] || plan}
+                      onRestore={(version) => editPlan(plan.plan_id, () => JSON.parse(JSON.stringify(version.plan)))}
+                    />
+
+                    <div className="section">
+                      <div className="section-head">
+                        <div className="section-title">Services</div>
+                      </div>
+                      {planServices.length === 0 && <p className="muted">No services in this plan.</p>}
+                      <div className="section-body">
+                        {planServices.map((srv, idx) => (
+                          <div key={idx} className="service-card" {...dropTargetProps(plan.plan_id, "services", idx)}>
+                            <div className="service-head">
+                              <div>
+                                <div className="service-name">{srv.service_name || "Service"}</div>
+                                <div className="service-sub">Basic details</div>
+                              </div>
+                              <div className="item-actions">
                                 {srv.verified && <span className="badge-verified">Verified</span>}
+                                {srv.catalogue?.matched === false && <span className="stock-pill stock-pill--unknown">Not in catalogue</span>}
+                                <ItemControls
+                                  index={idx}
+                                  count={planServices.length}
+                                  dragHandleProps={dragHandleProps(plan.plan_id, "services", idx)}
+                                  onMove={(from, to) => editPlan(plan.plan_id, (draft) => moveItem(draft, "services", from, to))}
+                                  onRemove={(index) => editPlan(plan.plan_id, (draft) => removeItem(draft, "services", index))}
+                                />
                               </div>
-                              {/* 
-                                Only show specifications section if specifications exist and have content.
-                                - If string: show only if it's not empty/null/undefined
-                                - If object: show only if it has at least one key-value pair
-                              */}
-                              {(typeof srv.specifications === "string" && srv.specifications && srv.specifications.trim() !== "") ||
-                              (typeof srv.specifications === "object" && srv.specifications !== null && Object.keys(srv.specifications || {}).length > 0) ? (
-                                <div className="form-grid">
-                                  {typeof srv.specifications === "string" ? (
-                                    <label className="form-field" style={{ gridColumn: "1 / -1" }}>
-                                      <span className="form-label">Specifications</span>
-                                      <input
-                                        className="form-input"
-                                        placeholder="Enter specifications"
-                                        value={safeValue(srv.specifications)}
-                                        onChange={(e) => updateServiceSpec(plan.plan_id, idx, "specifications", e.target.value)}
-                                      />
-                                    </label>
-                                  ) : (
-                                    Object.entries(srv.specifications || {}).map(([k, v]) => (
-                                      <label key={k} className="form-field">
-                                        <span className="form-label">{labelize(k)}</span>
-                                        <input
-                                          className="form-input"
-                                          placeholder={`Enter ${labelize(k).toLowerCase()}`}
-                                          value={safeValue(v)}
-                                          onChange={(e) => updateServiceSpec(plan.plan_id, idx, k, e.target.value)}
-                                        />
-                                      </label>
-                                    ))
-                                  )}
-                                </div>
-                              ) : null}
                             </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-
-                    {products.length > 0 && (
-                      <div className="section">
-                        <div className="section-head">
-                          <div className="section-title">Products</div>
-                        </div>
-                        <div className="section-body product-grid">
-                          {products.map((p, idx) => (
-                            <div key={idx} className="product-card">
-                              <div className="product-head">
-                                {/* 
-                                  Product title on the left and stock status on the right.
-                                  - If the product is verified (p.verified === true), we treat it as "In stock" and show a green pill.
-                                  - If the product is NOT verified / missing verification, we treat it as "Out of stock" and show a red pill.
-                                  This indicator is ONLY for product cards – services and labs keep their existing verified badge behavior.
-                                */}
-                                <div className="product-name">{p.name || p.product_name || "Product"}</div>
-                                {/* Always show stock status pill - green for verified, red for not verified */}
-                                <span
-                                  className={`stock-pill ${p.verified === true ? "stock-pill--in" : "stock-pill--out"}`}
-                                >
-                                  {p.verified === true ? "In stock" : "Out of stock"}
-                                </span>
-                              </div>
+                            {/* Specifications are key/value pairs (the server maps free text to "details"). */}
+                            {Object.keys(srv.specifications).length > 0 && (
                               <div className="form-grid">
-                                {["dosage", "frequency", "duration", "route", "instruction"].map((field) => (
-                                  <label key={field} className="form-field">
-                                    <span className="form-label">{labelize(field)}</span>
+                                {Object.entries(srv.specifications).map(([k, v]) => (
+                                  <div key={k} className="form-field">
+                                    <div className="spec-label">
+                                      <span className="form-label">{labelize(k)}</span>
+                                      <button
+                                        type="button"
+                                        title={`Remove ${labelize(k).toLowerCase()}`}
+                                        onClick={() => editPlan(plan.plan_id, (draft) => removeSpecification(draft, idx, k))}
+                                      >
+                                        ✕
+                                      </button>
+                                    </div>
                                     <input
                                       className="form-input"
-                                      placeholder={p[field] ? "" : `Enter ${labelize(field).toLowerCase()}`}
-                                      value={safeValue(p[field])}
-                                      onChange={(e) => updateProductField(plan.plan_id, idx, field, e.target.value)}
+                                      aria-label={labelize(k)}
+                                      placeholder={`Enter ${labelize(k).toLowerCase()}`}
+                                      value={safeValue(v)}
+                                      onChange={(e) => updateServiceSpec(plan.plan_id, idx, k, e.target.value)}
                                     />
-                                  </label>
+                                  </div>
                                 ))}
-                                {/* 
-                                  Price display: Show prices as pills with ₹ symbol instead of input fields.
-                                  Support both direct pricing fields (MRP_cost, cost) and nested pricing object structures.
-                                  Priority: Direct fields first, then fall back to nested pricing object.
-                                */}
-                                <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", gridColumn: "1 / -1", marginTop: "4px" }}>
-                                  {/* Check for direct pricing fields on product object (from JSON: MRP_cost, cost) */}
-                                  {((p.MRP_cost !== null && p.MRP_cost !== undefined && p.MRP_cost !== "") ||
-                                    (p.cost !== null && p.cost !== undefined && p.cost !== "")) ? (
-                                    <>
-                                      {/* Display MRP Cost as pill if it exists directly on product */}
-                                      {p.MRP_cost !== null && p.MRP_cost !== undefined && p.MRP_cost !== "" && (
-                                        <span className="price-pill">
-                                          MRP: ₹{typeof p.MRP_cost === "number" ? p.MRP_cost.toFixed(2) : p.MRP_cost}
-                                        </span>
-                                      )}
-                                      {/* Display Cost as pill if it exists directly on product */}
-                                      {p.cost !== null && p.cost !== undefined && p.cost !== "" && (
-                                        <span className="price-pill">
-                                          Cost: ₹{typeof p.cost === "number" ? p.cost.toFixed(2) : p.cost}
-                                        </span>
-                                      )}
-                                    </>
-                                  ) : (
-                                    /* Fall back to nested pricing object structure if direct fields don't exist */
-                                    p.pricing && (p.pricing.MRP_cost !== null || p.pricing.cost !== null) ? (
-                                      <>
-                                        {/* Display MRP Cost from nested pricing object as pill */}
-                                        {p.pricing.MRP_cost !== null && (
-                                          <span className="price-pill">
-                                            MRP: ₹{typeof p.pricing.MRP_cost === "number" ? p.pricing.MRP_cost.toFixed(2) : p.pricing.MRP_cost}
-                                          </span>
-                                        )}
-                                        {/* Display Cost from nested pricing object as pill */}
-                                        {p.pricing.cost !== null && (
-                                          <span className="price-pill">
-                                            Cost: ₹{typeof p.pricing.cost === "number" ? p.pricing.cost.toFixed(2) : p.pricing.cost}
-                                          </span>
-                                        )}
-                                      </>
-                                    ) : null
-                                  )}
-                                </div>
                               </div>
-                            </div>
-                          ))}
-                        </div>
+                            )}
+                            <SpecFieldAdder
+                              existing={Object.keys(srv.specifications)}
+                              onAdd={(key) => updateServiceSpec(plan.plan_id, idx, key, "")}
+                            />
+                            {(srv.service_cost_variable_options || []).length > 0 && (
+                              <label className="form-field" style={{ marginTop: 10 }}>
+                                <span className="form-label">Session option</span>
+                                <select
+                                  className="form-input"
+                                  value={editedPlan.pricing_options?.service_options?.[idx] ?? 0}
+                                  onChange={(e) => updateServiceOption(plan.plan_id, idx, Number(e.target.value))}
+                                >
+                                  {srv.service_cost_variable_options.map((option, optionIdx) => (
+                                    <option key={optionIdx} value={optionIdx}>{optionLabel(option)}</option>
+                                  ))}
+                                </select>
+                              </label>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                      <CataloguePicker
+                        kind="services"
+                        catalogue={catalogue.services}
+                        onAdd={(item) => editPlan(plan.plan_id, (draft) => addItem(draft, "services", item))}
+                      />
+                    </div>
+
+                    <div className="section">
+                      <div className="section-head">
+                        <div className="section-title">Products</div>
                       </div>
-                    )}
-
-                    {labs.length > 0 && (
-                      <div className="section">
-                        <div className="section-head">
-                          <div className="section-title">Lab Tests</div>
-                        </div>
-                        <div className="section-body lab-grid">
-                          {labs.map((l, idx) => {
-                            const labName = l.lab_test_name || l.name || "";
-                            const hasPrice = l.price !== null && l.price !== undefined && l.price !== 0 && l.price !== "";
-                            return (
-                              <div key={idx} className="lab-card">
-                                <div className="lab-head">
+                      {products.length === 0 && <p className="muted">No products in this plan.</p>}
+                      <div className="section-body product-grid">
+                        {products.map((p, idx) => (
+                          <div key={idx} className="product-card" {...dropTargetProps(plan.plan_id, "products", idx)}>
+                            <div className="product-head">
+                              {/* 
+                                Product title on the left and stock status on the right.
+                                - Products matched in the clinic catalogue show its stock level (in / low / out of stock).
+                                - Products missing from the catalogue are flagged "Not in catalogue".
+                                - Without a catalogue, the gateway's verified flag decides "In stock" / "Out of stock".
+                              */}
+                              <div className="product-name">{p.product_name || "Product"}</div>
+                              <div className="item-actions">
+                                <span className={`stock-pill stock-pill--${stockStatus(p).tone}`}>{stockStatus(p).label}</span>
+                                <ItemControls
+                                  index={idx}
+                                  count={products.length}
+                                  dragHandleProps={dragHandleProps(plan.plan_id, "products", idx)}
+                                  onMove={(from, to) => editPlan(plan.plan_id, (draft) => moveItem(draft, "products", from, to))}
+                                  onRemove={(index) => editPlan(plan.plan_id, (draft) => removeItem(draft, "products", index))}
+                                />
+                              </div>
+                            </div>
+                            <div className="form-grid">
+                              {["dosage", "frequency", "duration", "route", "instruction"].map((field) => (
+                                <label key={field} className="form-field">
+                                  <span className="form-label">{labelize(field)}</span>
                                   <input
                                     className="form-input"
-                                    placeholder="Enter lab test name"
-                                    value={safeValue(labName)}
-                                    onChange={(e) => updateLabField(plan.plan_id, idx, "name", e.target.value)}
+                                    placeholder={p[field] ? "" : `Enter ${labelize(field).toLowerCase()}`}
+                                    value={safeValue(p[field])}
+                                    onChange={(e) => updateProductField(plan.plan_id, idx, field, e.target.value)}
                                   />
-                                  {l.verified && <span className="badge-verified">Verified</span>}
-                                </div>
-                                {/* Display price as pill with ₹ symbol if price exists */}
-                                {hasPrice && (
-                                  <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginTop: "4px" }}>
-                                    <span className="price-pill">
-                                      Price: ₹{typeof l.price === "number" ? l.price.toFixed(2) : l.price}
-                                    </span>
-                                  </div>
+                                </label>
+                              ))}
+                              {/* Prices as pills; the server has already moved nested pricing onto MRP_cost and cost. */}
+                              <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", gridColumn: "1 / -1", marginTop: "4px" }}>
+                                {p.MRP_cost !== null && p.MRP_cost !== undefined && (
+                                  <span className="price-pill">MRP: ₹{Number(p.MRP_cost).toFixed(2)}</span>
+                                )}
+                                {p.cost !== null && p.cost !== undefined && (
+                                  <span className="price-pill">Cost: ₹{Number(p.cost).toFixed(2)}</span>
                                 )}
                               </div>
-                            );
-                          })}
-                        </div>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                      <CataloguePicker
+                        kind="products"
+                        catalogue={catalogue.products}
+                        onAdd={(item) => editPlan(plan.plan_id, (draft) => addItem(draft, "products", item))}
+                      />
+                    </div>
+
+                    <div className="section">
+                      <div className="section-head">
+                        <div className="section-title">Lab Tests</div>
                       </div>
-                    )}
+                      {labs.length === 0 && <p className="muted">No lab tests in this plan.</p>}
+                      <div className="section-body lab-grid">
+                        {labs.map((l, idx) => {
+                          const labName = l.lab_test_name;
+                          const hasPrice = l.price !== null && l.price !== undefined && l.price !== 0;
+                          return (
+                            <div key={idx} className="lab-card" {...dropTargetProps(plan.plan_id, "lab_tests", idx)}>
+                              <div className="lab-head">
+                                <input
+                                  className="form-input"
+                                  placeholder="Enter lab test name"
+                                  value={safeValue(labName)}
+                                  onChange={(e) => updateLabField(plan.plan_id, idx, "lab_test_name", e.target.value)}
+                                />
+                                {l.verified && <span className="badge-verified">Verified</span>}
+                                {l.catalogue?.matched === false && <span className="stock-pill stock-pill--unknown">Not in catalogue</span>}
+                                <ItemControls
+                                  index={idx}
+                                  count={labs.length}
+                                  dragHandleProps={dragHandleProps(plan.plan_id, "lab_tests", idx)}
+                                  onMove={(from, to) => editPlan(plan.plan_id, (draft) => moveItem(draft, "lab_tests", from, to))}
+                                  onRemove={(index) => editPlan(plan.plan_id, (draft) => removeItem(draft, "lab_tests", index))}
+                                />
+                              </div>
+                              {/* Display price as pill with ₹ symbol if price exists */}
+                              {hasPrice && (
+                                <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginTop: "4px" }}>
+                                  <span className="price-pill">
+                                    Price: ₹{Number(l.price).toFixed(2)}
+                                  </span>
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <CataloguePicker
+                        kind="lab_tests"
+                        catalogue={catalogue.lab_tests}
+                        onAdd={(item) => editPlan(plan.plan_id, (draft) => addItem(draft, "lab_tests", item))}
+                      />
+                    </div>
+
+                    <PlanPricing plan={editedPlan} onChange={(options) => updatePricingOptions(plan.plan_id, options)} />
                   </div>
                 );
               })}
@@ -477,10 +873,15 @@ export default function Planner() {
                 You have successfully selected Plan {selectedPlanId || "?"}
               </h3>
               <p className="muted">Session: {sessionId || "N/A"}</p>
+              {savedAt && <p className="muted">Saved: {new Date(savedAt).toLocaleString()}</p>}
+              {error && <div className="error" style={{ marginTop: 12 }}>{error}</div>}
               <div style={{ marginTop: 12, display: "flex", gap: 10, flexWrap: "wrap" }}>
                 <Link href="/" legacyBehavior>
                   <a className="btn-back">Back to Recorder</a>
                 </Link>
+                <button className="btn-back" onClick={downloadPdf} disabled={exporting}>
+                  {exporting ? "Preparing PDF..." : "Download PDF"}
+                </button>
                 <button className="btn-submit" onClick={() => setStatus("ready")}>
                   Change Selection
                 </button>
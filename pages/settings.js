@@ -0,0 +1,241 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+
+const BOOST_LEVELS = ["low", "default", "high"];
+const TERM_GROUPS = [
+  { key: "products", label: "Products" },
+  { key: "procedures", label: "Procedures" },
+  { key: "drugs", label: "Drugs" },
+];
+
+// Editor text <-> vocabulary conversions: one term per line; spelling as "wrong, other => Right".
+const linesToTerms = (text) => text.split("\n").map((t) => t.trim()).filter(Boolean);
+
+const spellingToText = (entries = []) => entries.map((e) => `${e.from.join(", ")} => ${e.to}`).join("\n");
+
+const textToSpelling = (text) =>
+  linesToTerms(text)
+    .map((line) => {
+      const [from = "", to = ""] = line.split("=>");
+      return { from: from.split(",").map((t) => t.trim()).filter(Boolean), to: to.trim() };
+    })
+    .filter((e) => e.from.length > 0 && e.to);
+
+const toDraft = (vocabulary) => ({
+  products: (vocabulary.products || []).join("\n"),
+  procedures: (vocabulary.procedures || []).join("\n"),
+  drugs: (vocabulary.drugs || []).join("\n"),
+  custom_spelling: spellingToText(vocabulary.custom_spelling),
+  boost_param: vocabulary.boost_param || "default",
+  note: "",
+});
+
+// Settings: clinic vocabulary sent with every transcription as word boost / custom spelling.
+export default function Settings() {
+  const [clinicId, setClinicId] = useState("default");
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loadedVersion, setLoadedVersion] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | saving | error
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const loadVocabulary = async (version = null) => {
+    try {
+      setError("");
+      setMessage("");
+      setStatus("loading");
+      const params = new URLSearchParams({ clinic_id: clinicId });
+      if (version !== null) params.set("version", String(version));
+      const response = await fetch(`/api/vocabulary?${params.toString()}`);
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to load vocabulary");
+      }
+      const data = await response.json();
+      setDraft(toDraft(data.vocabulary));
+      setVersions(data.versions || []);
+      setLoadedVersion(data.vocabulary.version);
+      setStatus("ready");
+    } catch (err) {
+      console.error("Vocabulary load error:", err);
+      setError(err.message || "Failed to load vocabulary");
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadVocabulary();
+  }, []);
+
+  const updateDraft = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const saveVocabulary = async () => {
+    try {
+      setError("");
+      setMessage("");
+      setStatus("saving");
+      const response = await fetch("/api/vocabulary", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          clinic_id: clinicId,
+          products: linesToTerms(draft.products),
+          procedures: linesToTerms(draft.procedures),
+          drugs: linesToTerms(draft.drugs),
+          custom_spelling: textToSpelling(draft.custom_spelling),
+          boost_param: draft.boost_param,
+          note: draft.note,
+        }),
+      });
+      if (!response.ok) {
+        const errBody = await response.json().catch(() => ({}));
+        throw new Error(errBody.error || "Failed to save vocabulary");
+      }
+      const data = await response.json();
+      await loadVocabulary();
+      setMessage(`Saved as version ${data.vocabulary.version}.`);
+    } catch (err) {
+      console.error("Vocabulary save error:", err);
+      setError(err.message || "Failed to save vocabulary");
+      setStatus("ready");
+    }
+  };
+
+  const latestVersion = versions.length ? versions[versions.length - 1].version : null;
+
+  return (
+    <>
+      <Head>
+        <title>Settings | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">Settings</div>
+                <h1>Clinic Vocabulary</h1>
+              </div>
+              <p className="subtitle">
+                Product, procedure and drug names boosted in every transcription, plus custom spellings for common mistakes.
+              </p>
+            </div>
+            <Link href="/" legacyBehavior>
+              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                Back to Recorder
+              </a>
+            </Link>
+          </div>
+        </div>
+
+        <div className="card">
+          <form
+            className="form-grid history-filters"
+            onSubmit={(e) => {
+              e.preventDefault();
+              loadVocabulary();
+            }}
+          >
+            <label className="form-field">
+              <span className="form-label">Clinic</span>
+              <input className="form-input" value={clinicId} onChange={(e) => setClinicId(e.target.value.trim())} />
+            </label>
+            <div style={{ display: "flex", alignItems: "flex-end" }}>
+              <button className="btn-back" type="submit" disabled={!clinicId}>Load</button>
+            </div>
+          </form>
+
+          {status === "loading" && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading vocabulary...</p>
+            </div>
+          )}
+
+          {error && <div className="error" style={{ marginBottom: 12 }}>{error}</div>}
+          {message && <p className="muted">{message}</p>}
+
+          {draft && status !== "loading" && (
+            <div className="grid" style={{ gridTemplateColumns: "2fr 1fr" }}>
+              <div className="section">
+                <div className="section-head">
+                  <div className="section-title">
+                    Version {loadedVersion}
+                    {loadedVersion !== latestVersion ? " (viewing older version; saving restores it)" : " (active)"}
+                  </div>
+                </div>
+                <div className="form-grid">
+                  {TERM_GROUPS.map(({ key, label }) => (
+                    <label key={key} className="form-field">
+                      <span className="form-label">{label} (one per line)</span>
+                      <textarea
+                        className="form-input"
+                        rows={8}
+                        value={draft[key]}
+                        onChange={(e) => updateDraft(key, e.target.value)}
+                      />
+                    </label>
+                  ))}
+                  <label className="form-field" style={{ gridColumn: "1 / -1" }}>
+                    <span className="form-label">Custom spelling (misspelling, other =&gt; Correct)</span>
+                    <textarea
+                      className="form-input"
+                      rows={4}
+                      value={draft.custom_spelling}
+                      onChange={(e) => updateDraft("custom_spelling", e.target.value)}
+                    />
+                  </label>
+                  <label className="form-field">
+                    <span className="form-label">Boost strength</span>
+                    <select
+                      className="form-input"
+                      value={draft.boost_param}
+                      onChange={(e) => updateDraft("boost_param", e.target.value)}
+                    >
+                      {BOOST_LEVELS.map((level) => (
+                        <option key={level} value={level}>{level}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="form-field">
+                    <span className="form-label">Change note</span>
+                    <input className="form-input" value={draft.note} onChange={(e) => updateDraft("note", e.target.value)} />
+                  </label>
+                </div>
+                <button className="btn-submit" onClick={saveVocabulary} disabled={status === "saving"}>
+                  {status === "saving" ? "Saving..." : "Save as New Version"}
+                </button>
+              </div>
+
+              <div className="section">
+                <div className="section-head">
+                  <div className="section-title">Versions</div>
+                </div>
+                <div className="section-body">
+                  {[...versions].reverse().map((v) => (
+                    <div key={v.version} className="lab-card">
+                      <div className="lab-head">
+                        <div>
+                          <div className="product-name">Version {v.version}</div>
+                          <div className="plan-sub">
+                            {v.created_at ? new Date(v.created_at).toLocaleString() : "Not saved yet"}
+                            {v.note ? ` · ${v.note}` : ""}
+                          </div>
+                        </div>
+                        <button className="btn-back" onClick={() => loadVocabulary(v.version)} disabled={v.version === loadedVersion}>
+                          View
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
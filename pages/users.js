@@ -0,0 +1,202 @@
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import useCurrentUser from "../lib/useCurrentUser";
+
+const ROLES = ["doctor", "assistant", "admin"];
+const EMPTY_DRAFT = { username: "", name: "", role: "doctor", password: "" };
+
+// Admin page for clinician accounts: create users, change roles, reset passwords and disable access.
+export default function Users() {
+  const currentUser = useCurrentUser();
+  const [users, setUsers] = useState([]);
+  const [status, setStatus] = useState("idle"); // idle | loading | ready | error
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [passwords, setPasswords] = useState({});
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, { headers: { "Content-Type": "application/json" }, ...options });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error || "Request failed");
+    return body;
+  };
+
+  const loadUsers = async () => {
+    try {
+      setError("");
+      setStatus("loading");
+      const data = await request("/api/users");
+      setUsers(data.users || []);
+      setStatus("ready");
+    } catch (err) {
+      console.error("Users load error:", err);
+      setError(err.message);
+      setStatus("error");
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const createAccount = async (e) => {
+    e.preventDefault();
+    try {
+      setError("");
+      const { user } = await request("/api/users", { method: "POST", body: JSON.stringify(draft) });
+      setUsers((prev) => [...prev, user].sort((a, b) => a.username.localeCompare(b.username)));
+      setDraft(EMPTY_DRAFT);
+      setMessage(`Created ${user.username}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateAccount = async (user, patch, done) => {
+    try {
+      setError("");
+      const { user: saved } = await request(`/api/users/${encodeURIComponent(user.id)}`, {
+        method: "PATCH",
+        body: JSON.stringify(patch),
+      });
+      setUsers((prev) => prev.map((u) => (u.id === saved.id ? saved : u)));
+      setMessage(done);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const resetPassword = async (user) => {
+    await updateAccount(user, { password: passwords[user.id] || "" }, `Password reset for ${user.username}.`);
+    setPasswords((prev) => ({ ...prev, [user.id]: "" }));
+  };
+
+  const updateDraft = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <>
+      <Head>
+        <title>Users | Treatment Plan Planner</title>
+      </Head>
+      <div className="shell">
+        <div className="glass">
+          <div className="header">
+            <div className="hero">
+              <div className="title">
+                <div className="badge">Admin</div>
+                <h1>Users</h1>
+              </div>
+              <p className="subtitle">Clinician accounts and what each role may do.</p>
+            </div>
+            <Link href="/" legacyBehavior>
+              <a className="btn-back" style={{ textDecoration: "none", background: "#2b1a0f", color: "#fff" }}>
+                Back to Recorder
+              </a>
+            </Link>
+          </div>
+        </div>
+
+        <div className="card">
+          <form className="form-grid" onSubmit={createAccount}>
+            <label className="form-field">
+              <span className="form-label">Username</span>
+              <input className="form-input" value={draft.username} onChange={(e) => updateDraft("username", e.target.value)} />
+            </label>
+            <label className="form-field">
+              <span className="form-label">Full name</span>
+              <input className="form-input" value={draft.name} onChange={(e) => updateDraft("name", e.target.value)} />
+            </label>
+            <label className="form-field">
+              <span className="form-label">Role</span>
+              <select className="form-input" value={draft.role} onChange={(e) => updateDraft("role", e.target.value)}>
+                {ROLES.map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="form-field">
+              <span className="form-label">Password</span>
+              <input
+                className="form-input"
+                type="password"
+                autoComplete="new-password"
+                value={draft.password}
+                onChange={(e) => updateDraft("password", e.target.value)}
+              />
+            </label>
+            <div style={{ display: "flex", alignItems: "flex-end" }}>
+              <button className="btn-back" type="submit">Add User</button>
+            </div>
+          </form>
+
+          {error && <div className="error" style={{ marginTop: 14 }}>{error}</div>}
+          {message && !error && <p className="muted" style={{ marginTop: 14 }}>{message}</p>}
+
+          {status === "loading" && (
+            <div className="loading">
+              <div className="spinner" />
+              <p>Loading users...</p>
+            </div>
+          )}
+
+          {status === "ready" && (
+            <div className="upload-list" style={{ marginTop: 18 }}>
+              {users.map((user) => (
+                <div key={user.id} className="upload-item">
+                  <div>
+                    <div className="upload-name">
+                      {user.name} <span className="muted">({user.username})</span>
+                    </div>
+                    <span className={`stock-pill stock-pill--${user.disabled ? "out" : "in"}`}>
+                      {user.disabled ? "Disabled" : "Active"}
+                    </span>
+                  </div>
+                  <div className="item-actions">
+                    <select
+                      className="form-input"
+                      aria-label={`Role for ${user.username}`}
+                      value={user.role}
+                      onChange={(e) => updateAccount(user, { role: e.target.value }, `${user.username} is now ${e.target.value}.`)}
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      className="form-input"
+                      type="password"
+                      autoComplete="new-password"
+                      placeholder="New password"
+                      aria-label={`New password for ${user.username}`}
+                      value={passwords[user.id] || ""}
+                      onChange={(e) => setPasswords((prev) => ({ ...prev, [user.id]: e.target.value }))}
+                    />
+                    <button className="btn-back" onClick={() => resetPassword(user)} disabled={!passwords[user.id]}>
+                      Reset
+                    </button>
+                    {user.id !== currentUser?.id && (
+                      <button
+                        className="btn-back"
+                        onClick={() =>
+                          updateAccount(user, { disabled: !user.disabled }, `${user.username} ${user.disabled ? "enabled" : "disabled"}.`)
+                        }
+                      >
+                        {user.disabled ? "Enable" : "Disable"}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
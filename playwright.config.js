@@ -0,0 +1,90 @@
+import os from "os";
+import path from "path";
+import { defineConfig, devices } from "@playwright/test";
+import { E2E_PLANS_PER_USER, E2E_USERS, authStatePath } from "./tests/e2e/support/accounts.js";
+
+// End-to-end suite for the record -> transcribe -> plan flow (npm test builds the app first).
+// The app runs from the production build against local stand-ins: tests/e2e/support/fakeAssemblyAI.js for
+// transcription and the built-in mock gateway (GATEWAY_BASE_URL=mock) for plans, with data in a temporary DATA_DIR.
+// "api" specs call the routes directly; "ui" specs drive the recorder and planner in Chromium with a fake microphone.
+// Both run signed in as the e2e doctor; the "setup" project creates the accounts and their sessions first.
+// CHROMIUM_PATH runs the ui specs with an installed Chromium instead of the one from `npx playwright install`.
+const APP_PORT = Number(process.env.E2E_PORT) || 3210;
+const ASSEMBLYAI_PORT = Number(process.env.E2E_ASSEMBLYAI_PORT) || 3211;
+const ASSEMBLYAI_KEY = "e2e-assemblyai-key";
+
+// Set once in the runner; workers load this file again and inherit the same values.
+process.env.E2E_DATA_DIR ||= path.join(os.tmpdir(), `treatment-planner-e2e-${process.pid}`);
+process.env.E2E_ASSEMBLYAI_URL ||= `http://127.0.0.1:${ASSEMBLYAI_PORT}`;
+process.env.E2E_APP_URL ||= `http://127.0.0.1:${APP_PORT}`;
+
+export default defineConfig({
+  testDir: "tests/e2e",
+  // The specs share one server and data directory.
+  workers: 1,
+  fullyParallel: false,
+  timeout: 60000,
+  expect: { timeout: 15000 },
+  forbidOnly: Boolean(process.env.CI),
+  reporter: process.env.CI ? [["list"], ["html", { open: "never" }]] : "list",
+  globalTeardown: "./tests/e2e/support/teardown.js",
+  use: {
+    baseURL: process.env.E2E_APP_URL,
+    trace: "retain-on-failure",
+  },
+  projects: [
+    { name: "setup", testDir: "tests/e2e/support", testMatch: "auth.setup.js" },
+    { name: "api", testDir: "tests/e2e/api", dependencies: ["setup"], use: { storageState: authStatePath("doctor") } },
+    {
+      name: "ui",
+      testDir: "tests/e2e/ui",
+      dependencies: ["setup"],
+      use: {
+        ...devices["Desktop Chrome"],
+        storageState: authStatePath("doctor"),
+        permissions: ["microphone"],
+        launchOptions: {
+          executablePath: process.env.CHROMIUM_PATH || undefined,
+          args: ["--use-fake-ui-for-media-stream", "--use-fake-device-for-media-stream"],
+        },
+      },
+    },
+  ],
+  webServer: [
+    {
+      command: "node tests/e2e/support/fakeAssemblyAI.js",
+      url: `${process.env.E2E_ASSEMBLYAI_URL}/__health`,
+      env: { FAKE_ASSEMBLYAI_PORT: String(ASSEMBLYAI_PORT), FAKE_ASSEMBLYAI_KEY: ASSEMBLYAI_KEY },
+      reuseExistingServer: false,
+    },
+    {
+      command: "node next-server.js",
+      // Answers 401 until signed in, which Playwright counts as up.
+      url: `${process.env.E2E_APP_URL}/api/catalogue`,
+      timeout: 120000,
+      reuseExistingServer: false,
+      env: {
+        PORT: String(APP_PORT),
+        DATA_DIR: process.env.E2E_DATA_DIR,
+        AUTH_ADMIN_USERNAME: E2E_USERS.admin.username,
+        AUTH_ADMIN_PASSWORD: E2E_USERS.admin.password,
+        TRANSCRIPTION_PROVIDER: "assemblyai",
+        ASSEMBLYAI_BASE_URL: process.env.E2E_ASSEMBLYAI_URL,
+        ASSEMBLYAI_API_KEY: ASSEMBLYAI_KEY,
+        GATEWAY_BASE_URL: "mock",
+        MOCK_GATEWAY_SCENARIO: "plans",
+        MOCK_GATEWAY_DELAY_MS: "300",
+        PLAN_JOB_RETRY_DELAY_MS: "200",
+        PLAN_JOB_TIMEOUT_MS: "5000",
+        LIVE_TRANSCRIPTION_BACKEND: "mock",
+        MOCK_GATEWAY_SLOW_MS: "3000",
+        // Every request comes from 127.0.0.1 here, so per-address limits are off; per-user limits stay on.
+        RATE_LIMIT_LOGIN_PER_IP: "0",
+        RATE_LIMIT_UPLOAD_PER_IP: "0",
+        RATE_LIMIT_TRANSCRIBE_PER_IP: "0",
+        RATE_LIMIT_PLANS_PER_IP: "0",
+        RATE_LIMIT_PLANS_PER_USER: String(E2E_PLANS_PER_USER),
+      },
+    },
+  ],
+});
@@ -0,0 +1,118 @@
+import fs from "fs/promises";
+import path from "path";
+import { expect, test } from "@playwright/test";
+import { CONSULTATION_TEXT, generatePlans, refinePlans, signIn } from "../support/helpers.js";
+
+// Audit trail (lib/audit.js): actions are recorded as the e2e doctor and read back as the e2e admin.
+const auditFor = async (admin, query) => {
+  const response = await admin.get(`/api/audit?${new URLSearchParams(query)}`);
+  expect(response.status()).toBe(200);
+  return (await response.json()).entries;
+};
+
+test("records generation, edits, refinement and selection with field-level changes", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request);
+  const [planA] = job.result.treatment_plans;
+
+  const editedA = { ...planA, plan_name: "Crown Focus Plan" };
+  await refinePlans(request, { session_id: sessionId, plan_id: "B", instruction: "Fewer sessions", plans: [editedA] });
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  const storedB = session.plans.find((plan) => plan.plan_id === "B");
+  const saved = await request.post("/api/treatment-plans/selection", {
+    data: {
+      session_id: sessionId,
+      treatment_planner_text: CONSULTATION_TEXT,
+      plan_id: "B",
+      plan: { ...storedB, plan_name: "Plan B · Short Course" },
+    },
+  });
+  expect(saved.ok()).toBeTruthy();
+
+  const admin = await signIn("admin");
+  const entries = await auditFor(admin, { session_id: sessionId });
+  // Newest first.
+  expect(entries.map((entry) => entry.action)).toEqual(["select", "edit", "refine", "edit", "generate"]);
+  entries.forEach((entry) => expect(entry.actor).toMatchObject({ username: "e2e-doctor", role: "doctor" }));
+
+  const [select, selectEdit, refine, refineEdit, generate] = entries;
+  expect(generate.details).toMatchObject({ job_id: job.job_id, slot_id: "slot-e2e" });
+  expect(refineEdit.details.plan_id).toBe("A");
+  expect(refineEdit.changes).toEqual([{ field: "plan_name", from: planA.plan_name, to: "Crown Focus Plan" }]);
+  expect(refine.details).toMatchObject({ plan_id: "B", instruction: "Fewer sessions" });
+  expect(selectEdit.changes).toEqual([{ field: "plan_name", from: storedB.plan_name, to: "Plan B · Short Course" }]);
+  expect(select.details).toMatchObject({ plan_id: "B", previous_plan_id: null });
+
+  const csv = await admin.get(`/api/audit?${new URLSearchParams({ session_id: sessionId, action: "edit", format: "csv" })}`);
+  expect(csv.headers()["content-type"]).toContain("text/csv");
+  expect(csv.headers()["content-disposition"]).toMatch(/^attachment; filename="audit-log-.*\.csv"$/);
+  const rows = (await csv.text()).split("\r\n");
+  expect(rows[0]).toBe("at,actor,role,action,session_id,summary,field,from,to");
+  expect(rows).toHaveLength(3);
+  expect(rows.some((row) => row.endsWith(`,plan_name,${planA.plan_name},Crown Focus Plan`))).toBe(true);
+
+  const json = await admin.get(`/api/audit?${new URLSearchParams({ session_id: sessionId, format: "json" })}`);
+  expect((await json.json()).map((entry) => entry.action)).toEqual(["generate", "edit", "refine", "edit", "select"]);
+  await admin.dispose();
+});
+
+test("does not count catalogue prices and stock applied by the planner as edits", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request);
+  const planA = job.result.treatment_plans[0];
+  const [product] = planA.products;
+  const admin = await signIn("admin");
+  const { item } = await (
+    await admin.post("/api/catalogue", {
+      data: { kind: "products", item: { name: product.product_name, MRP_cost: 999, cost: 555, stock_quantity: 3 } },
+    })
+  ).json();
+
+  // What the planner sends: the clinician's edit plus the catalogue's prices and stock.
+  const resolved = { ...product, MRP_cost: 999, cost: 555, catalogue: { id: item.id, matched: true, stock_quantity: 3 } };
+  const plan = { ...planA, plan_name: "Catalogue Checked", products: [resolved, ...planA.products.slice(1)] };
+  const saved = await request.post("/api/treatment-plans/selection", { data: { session_id: sessionId, plan_id: "A", plan } });
+  expect(saved.ok()).toBeTruthy();
+
+  const [edit] = await auditFor(admin, { session_id: sessionId, action: "edit" });
+  expect(edit.changes).toEqual([{ field: "plan_name", from: planA.plan_name, to: "Catalogue Checked" }]);
+  await admin.delete(`/api/catalogue?kind=products&id=${item.id}`);
+  await admin.dispose();
+});
+
+test("records uploads and transcriptions", async ({ request }) => {
+  const upload = await request.post("/api/upload", {
+    multipart: { audio: { name: "audit-check.webm", mimeType: "audio/webm", buffer: Buffer.from("fake webm audio") } },
+  });
+  const { uploadUrl } = await upload.json();
+  const start = await request.post("/api/transcribe", { data: { audioUrl: uploadUrl } });
+  const { transcriptId } = await start.json();
+
+  const admin = await signIn("admin");
+  const uploads = await auditFor(admin, { action: "upload", actor: "e2e-doctor" });
+  expect(uploads.find((entry) => entry.details.upload_url === uploadUrl)).toMatchObject({
+    summary: "Uploaded audit-check.webm",
+    details: { filename: "audit-check.webm" },
+  });
+  const transcriptions = await auditFor(admin, { action: "transcribe" });
+  expect(transcriptions.find((entry) => entry.details.transcript_id === transcriptId)?.details.audio_url).toBe(uploadUrl);
+  await admin.dispose();
+});
+
+test("appends one JSON line per entry to the log file", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request);
+
+  const lines = (await fs.readFile(path.join(process.env.E2E_DATA_DIR, "audit-log.jsonl"), "utf8")).split("\n");
+  expect(lines.pop()).toBe("");
+  const entries = lines.map((line) => JSON.parse(line));
+  expect(entries.filter((entry) => entry.session_id === sessionId)).toEqual([
+    expect.objectContaining({ action: "generate", details: expect.objectContaining({ job_id: job.job_id }) }),
+  ]);
+});
+
+test("keeps the audit log to admins", async ({ request }) => {
+  expect((await request.get("/api/audit")).status()).toBe(403);
+
+  const admin = await signIn("admin");
+  expect((await admin.get("/api/audit?action=delete")).status()).toBe(400);
+  expect((await admin.get("/api/audit?format=xml")).status()).toBe(400);
+  await admin.dispose();
+});
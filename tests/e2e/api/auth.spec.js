@@ -0,0 +1,176 @@
+import { expect, test } from "@playwright/test";
+import WebSocket from "ws";
+import { E2E_USERS, authStatePath } from "../support/accounts.js";
+import {
+  APP_URL,
+  CONSULTATION_TEXT,
+  generatePlans,
+  signIn,
+  signInAsNewUser,
+  startPlanJob,
+  uniqueSessionId,
+} from "../support/helpers.js";
+
+// Sign-in, cookie sessions and roles (lib/auth.js, lib/users.js). Other specs run as the e2e doctor.
+const openLiveSocket = (headers = {}) =>
+  new Promise((resolve) => {
+    const socket = new WebSocket(`${APP_URL.replace(/^http/, "ws")}/api/live`, { headers });
+    socket.on("open", () => {
+      socket.close();
+      resolve(101);
+    });
+    socket.on("unexpected-response", (req, response) => resolve(response.statusCode));
+    socket.on("error", () => resolve(null));
+  });
+
+test.describe("signed out", () => {
+  test.use({ storageState: { cookies: [], origins: [] } });
+
+  test("refuses API routes and the live socket without a session", async ({ request }) => {
+    for (const [method, url] of [
+      ["get", "/api/auth/me"],
+      ["get", "/api/sessions"],
+      ["get", "/api/catalogue"],
+      ["post", "/api/treatment-plans"],
+      ["post", "/api/uploads"],
+      ["get", "/api/users"],
+      ["post", "/api/mock-gateway/mcp-orch-service/orch"],
+    ]) {
+      const response = await request[method](url);
+      expect(response.status(), `${method} ${url}`).toBe(401);
+      expect((await response.json()).error).toBe("Sign in required");
+    }
+    expect(await openLiveSocket()).toBe(401);
+  });
+
+  test("signs in with a username and password, then out again", async ({ request }) => {
+    const { username, password } = E2E_USERS.doctor;
+    const wrong = await request.post("/api/auth/login", { data: { username, password: "not-the-password" } });
+    expect(wrong.status()).toBe(401);
+    expect((await wrong.json()).error).toBe("Invalid username or password");
+    const unknown = await request.post("/api/auth/login", { data: { username: "nobody", password } });
+    expect(unknown.status()).toBe(401);
+
+    const login = await request.post("/api/auth/login", { data: { username: username.toUpperCase(), password } });
+    expect(login.status()).toBe(200);
+    const cookie = login.headers()["set-cookie"];
+    expect(cookie).toMatch(/^tp_session=[^;]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=43200$/);
+    const { user } = await login.json();
+    expect(user).toMatchObject({ username, role: "doctor", disabled: false });
+    expect(user.password_hash).toBeUndefined();
+
+    expect((await (await request.get("/api/auth/me")).json()).user.id).toBe(user.id);
+    expect(await openLiveSocket({ Cookie: cookie.split(";")[0] })).toBe(101);
+
+    expect((await request.post("/api/auth/logout")).status()).toBe(204);
+    expect((await request.get("/api/auth/me")).status()).toBe(401);
+  });
+});
+
+test("stores the signed-in doctor as the session's user, whatever the body says", async ({ request }) => {
+  const { user } = await (await request.get("/api/auth/me")).json();
+  const sessionId = uniqueSessionId();
+  const response = await request.post("/api/treatment-plans", {
+    data: { session_id: sessionId, user_id: "someone-else", treatment_planner_text: CONSULTATION_TEXT },
+  });
+  expect(response.status()).toBe(202);
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session.user_id).toBe(user.id);
+});
+
+test("keeps a session id to the doctor who started it", async ({ request }) => {
+  const { user } = await (await request.get("/api/auth/me")).json();
+  const { session_id: sessionId } = await generatePlans(request);
+
+  const other = await signInAsNewUser("doctor");
+  const taken = await other.post("/api/treatment-plans", {
+    data: { session_id: sessionId, treatment_planner_text: "Someone else's consultation" },
+  });
+  expect(taken.status()).toBe(403);
+  expect((await taken.json()).error).toBe("This session belongs to another user");
+  expect((await startPlanJob(other)).status()).toBe(202);
+  await other.dispose();
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session).toMatchObject({ user_id: user.id, status: "ready", treatment_planner_text: CONSULTATION_TEXT });
+});
+
+test("only lets the session's doctor refine it or select one of its plans", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request);
+  const plan = job.result.treatment_plans[0];
+  const select = (context, data) => context.post("/api/treatment-plans/selection", { data: { plan, ...data } });
+
+  const other = await signInAsNewUser("doctor");
+  const taken = await select(other, { session_id: sessionId, plan_id: plan.plan_id });
+  expect(taken.status()).toBe(403);
+  expect((await taken.json()).error).toBe("This session belongs to another user");
+  const refined = await other.post("/api/treatment-plans/refine", { data: { session_id: sessionId, instruction: "Shorter" } });
+  expect(refined.status()).toBe(403);
+  await other.dispose();
+
+  expect((await select(request, { session_id: uniqueSessionId(), plan_id: plan.plan_id })).status()).toBe(404);
+  const unknownPlan = await select(request, { session_id: sessionId, plan_id: "Z" });
+  expect(unknownPlan.status()).toBe(400);
+  expect((await unknownPlan.json()).error).toBe("Unknown plan: Z");
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session.selection).toBeNull();
+});
+
+test("limits plan work to doctors and account management to admins", async ({ request }) => {
+  const assistant = await signIn("assistant");
+  const { session_id: sessionId } = await generatePlans(request);
+
+  expect((await assistant.get(`/api/sessions/${sessionId}`)).status()).toBe(200);
+  expect((await assistant.get("/api/catalogue")).status()).toBe(200);
+  const generate = await assistant.post("/api/treatment-plans", {
+    data: { session_id: uniqueSessionId(), treatment_planner_text: CONSULTATION_TEXT },
+  });
+  expect(generate.status()).toBe(403);
+  expect((await generate.json()).error).toBe("This action is not available to the assistant role");
+  expect((await assistant.post("/api/treatment-plans/refine", { data: { session_id: sessionId } })).status()).toBe(403);
+  expect((await assistant.post("/api/treatment-plans/selection", { data: { session_id: sessionId } })).status()).toBe(403);
+  expect((await assistant.post("/api/vocabulary", { data: {} })).status()).toBe(403);
+  await assistant.dispose();
+
+  expect((await request.get("/api/users")).status()).toBe(403);
+  expect((await request.post("/api/catalogue", { data: {} })).status()).toBe(403);
+});
+
+test.describe("as an admin", () => {
+  test.use({ storageState: authStatePath("admin") });
+
+  test("creates, disables and re-enables accounts", async ({ request, playwright }) => {
+    const username = `nurse-${Date.now()}`;
+    const created = await request.post("/api/users", {
+      data: { username, name: "Night Nurse", role: "assistant", password: "nurse-password" },
+    });
+    expect(created.status()).toBe(201);
+    const { user } = await created.json();
+    expect(user.password_hash).toBeUndefined();
+    expect((await request.post("/api/users", { data: { username, role: "assistant", password: "nurse-password" } })).status()).toBe(409);
+    expect((await request.post("/api/users", { data: { username: "x", role: "nurse", password: "short" } })).status()).toBe(400);
+
+    const { users } = await (await request.get("/api/users")).json();
+    expect(users.map((u) => u.username)).toEqual(expect.arrayContaining([E2E_USERS.admin.username, username]));
+
+    const nurse = await playwright.request.newContext({ baseURL: APP_URL });
+    expect((await nurse.post("/api/auth/login", { data: { username, password: "nurse-password" } })).status()).toBe(200);
+    expect((await nurse.get("/api/sessions")).status()).toBe(200);
+
+    // Disabling ends existing sessions and blocks new sign-ins.
+    expect((await request.patch(`/api/users/${user.id}`, { data: { disabled: true } })).status()).toBe(200);
+    expect((await nurse.get("/api/sessions")).status()).toBe(401);
+    expect((await nurse.post("/api/auth/login", { data: { username, password: "nurse-password" } })).status()).toBe(403);
+
+    await request.patch(`/api/users/${user.id}`, { data: { disabled: false, password: "new-nurse-password" } });
+    expect((await nurse.post("/api/auth/login", { data: { username, password: "nurse-password" } })).status()).toBe(401);
+    expect((await nurse.post("/api/auth/login", { data: { username, password: "new-nurse-password" } })).status()).toBe(200);
+    await nurse.dispose();
+
+    // The only admin cannot lock the clinic out.
+    const { user: admin } = await (await request.get("/api/auth/me")).json();
+    const demote = await request.patch(`/api/users/${admin.id}`, { data: { role: "doctor" } });
+    expect(demote.status()).toBe(400);
+    expect((await request.patch("/api/users/usr-missing", { data: { name: "x" } })).status()).toBe(404);
+  });
+});
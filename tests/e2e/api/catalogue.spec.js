@@ -0,0 +1,52 @@
+import { expect, test } from "@playwright/test";
+import { signIn, uniqueSessionId } from "../support/helpers.js";
+
+// Catalogue saves: items with an id are matched on id, CSV rows on name, and names stay unique per kind.
+test("renaming an item to another item's name is refused instead of overwriting it", async () => {
+  const admin = await signIn("admin");
+  const first = uniqueSessionId("Lab A");
+  const second = uniqueSessionId("Lab B");
+  const save = (item) => admin.post("/api/catalogue", { data: { kind: "lab_tests", item } });
+
+  const { item: a } = await (await save({ name: first, price: 100 })).json();
+  const { item: b } = await (await save({ name: second, price: 200 })).json();
+
+  const renamed = await save({ id: b.id, name: first.toUpperCase(), price: 250 });
+  expect(renamed.status()).toBe(409);
+  expect((await renamed.json()).error).toContain(first);
+
+  // A CSV row has no id, so it updates the item with the same name.
+  const imported = await admin.post("/api/catalogue/import", { data: { kind: "lab_tests", csv: `name,price\n${second},300\n` } });
+  expect(await imported.json()).toMatchObject({ created: 0, updated: 1, errors: [] });
+
+  const { lab_tests: labTests } = await (await admin.get("/api/catalogue")).json();
+  expect(labTests.find((item) => item.id === a.id)).toMatchObject({ name: first, price: 100 });
+  expect(labTests.find((item) => item.id === b.id)).toMatchObject({ name: second, price: 300 });
+
+  await admin.delete(`/api/catalogue?kind=lab_tests&id=${a.id}`);
+  await admin.delete(`/api/catalogue?kind=lab_tests&id=${b.id}`);
+  await admin.dispose();
+});
+
+test("reports a name repeated in an imported CSV on its row and imports the rest", async () => {
+  const admin = await signIn("admin");
+  const name = uniqueSessionId("Lab C");
+  const csv = `name,price\n${name},100\n${name.toUpperCase()},150\nBad row,-1\n`;
+
+  const imported = await admin.post("/api/catalogue/import", { data: { kind: "lab_tests", csv } });
+  expect(imported.status()).toBe(200);
+  expect(await imported.json()).toMatchObject({
+    created: 1,
+    updated: 0,
+    errors: [
+      { line: 3, error: `"${name.toUpperCase()}" is already on row 2` },
+      { line: 4, error: '"price" must be a non-negative number' },
+    ],
+  });
+
+  const { lab_tests: labTests } = await (await admin.get("/api/catalogue")).json();
+  const item = labTests.find((entry) => entry.name === name);
+  expect(item).toMatchObject({ price: 100 });
+  await admin.delete(`/api/catalogue?kind=lab_tests&id=${item.id}`);
+  await admin.dispose();
+});
@@ -0,0 +1,44 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { expect, test } from "@playwright/test";
+import { CONSULTATION_TEXT, uniqueSessionId } from "../support/helpers.js";
+
+// Startup validation and server-side defaults from lib/config.js.
+const SERVER_ENTRY = path.resolve("next-server.js");
+
+// Starts next-server.js from an empty directory (so no .env files apply) and collects its exit code and stderr.
+const startServer = async (env) => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "treatment-planner-config-"));
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_ENTRY], { cwd, env: { PATH: process.env.PATH, ...env } });
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error("next-server.js kept running with an invalid configuration"));
+    }, 20000);
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      fs.rm(cwd, { recursive: true, force: true }).finally(() => resolve({ code, stderr }));
+    });
+  });
+};
+
+test("refuses to start in production without the required settings", async () => {
+  const { code, stderr } = await startServer({ PORT: "3299", PLAN_JOB_CONCURRENCY: "none" });
+  expect(code).toBe(1);
+  expect(stderr).toContain("Invalid configuration");
+  expect(stderr).toContain("ASSEMBLYAI_API_KEY is required");
+  expect(stderr).toContain("GATEWAY_BASE_URL is required in production");
+  expect(stderr).toContain('PLAN_JOB_CONCURRENCY must be a whole number of at least 1 (got "none")');
+});
+
+test("fills in the clinic's default appointment slot", async ({ request }) => {
+  const response = await request.post("/api/treatment-plans", {
+    data: { session_id: uniqueSessionId(), treatment_planner_text: CONSULTATION_TEXT },
+  });
+  expect(response.status()).toBe(202);
+  expect((await response.json()).slot_id).toBe("b553d02b-102c-457b-b525-0bfca777b191");
+});
@@ -0,0 +1,65 @@
+import { expect, test } from "@playwright/test";
+import { E2E_PLANS_PER_USER } from "../support/accounts.js";
+import { CONSULTATION_TEXT, pollJson, signInAsNewUser, startPlanJob } from "../support/helpers.js";
+
+// Rate limits, active job caps and body size limits (lib/rateLimit.js). Limits are per user, so the specs that
+// reach them sign in with accounts of their own and leave the e2e doctor's allowance alone.
+const isFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
+test("limits plan requests per doctor and says when to retry", async ({ request }) => {
+  const doctor = await signInAsNewUser("doctor");
+  // Invalid requests count too, so the limit is reached without queueing jobs.
+  for (let i = 0; i < E2E_PLANS_PER_USER; i += 1) {
+    expect((await doctor.post("/api/treatment-plans", { data: {} })).status()).toBe(400);
+  }
+
+  const limited = await doctor.post("/api/treatment-plans", { data: {} });
+  expect(limited.status()).toBe(429);
+  const retryAfter = Number(limited.headers()["retry-after"]);
+  expect(retryAfter).toBeGreaterThan(0);
+  expect(retryAfter).toBeLessThanOrEqual(60);
+  expect(await limited.json()).toEqual({
+    error: expect.stringMatching(/^Too many plan generation requests\. Try again in \d+ seconds?\.$/),
+    retry_after: retryAfter,
+  });
+  // Refinement shares the allowance.
+  expect((await doctor.post("/api/treatment-plans/refine", { data: {} })).status()).toBe(429);
+  await doctor.dispose();
+
+  // Other doctors are unaffected.
+  expect((await request.post("/api/treatment-plans", { data: {} })).status()).toBe(400);
+});
+
+test("caps the plan jobs a doctor can have in progress", async () => {
+  const doctor = await signInAsNewUser("doctor");
+  const slowText = `[mock:slow] ${CONSULTATION_TEXT}`;
+  // Sent together, so the cap has to hold against requests racing each other.
+  const responses = await Promise.all(Array.from({ length: 5 }, () => startPlanJob(doctor, slowText)));
+  const accepted = responses.filter((response) => response.status() === 202);
+  const refused = responses.filter((response) => response.status() === 429);
+  expect(accepted).toHaveLength(3);
+  expect(refused).toHaveLength(2);
+  const started = await Promise.all(accepted.map(async (response) => (await response.json()).job_id));
+
+  const capped = refused[0];
+  expect(capped.headers()["retry-after"]).toBe("15");
+  expect((await capped.json()).error).toBe(
+    "You already have 3 treatment plan requests in progress. Wait for one to finish and try again."
+  );
+
+  for (const jobId of started) {
+    await pollJson(doctor, `/api/treatment-plans/jobs/${jobId}`, isFinished);
+  }
+  expect((await startPlanJob(doctor)).status()).toBe(202);
+  await doctor.dispose();
+});
+
+test("rejects request bodies over the route's size limit", async ({ request }) => {
+  const response = await request.post("/api/auth/login", {
+    data: { username: "e2e-doctor", password: "x".repeat(20 * 1024) },
+  });
+  expect(response.status()).toBe(413);
+
+  const plans = await startPlanJob(request, "x".repeat(600 * 1024));
+  expect(plans.status()).toBe(413);
+});
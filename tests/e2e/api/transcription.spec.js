@@ -0,0 +1,107 @@
+import { expect, test } from "@playwright/test";
+import { ASSEMBLYAI_URL, assemblyAIRequests, pollJson, signInAsNewUser } from "../support/helpers.js";
+
+// /api/upload -> /api/transcribe -> /api/transcript/[id] against the stand-in AssemblyAI server.
+const audio = (name = "consultation.webm") => ({
+  name,
+  mimeType: "audio/webm",
+  buffer: Buffer.from("fake webm audio for the end-to-end suite"),
+});
+
+const isFinished = (transcript) => transcript.status === "completed" || transcript.status === "error";
+
+test("uploads audio, starts a transcript and polls it to completion", async ({ request }) => {
+  const upload = await request.post("/api/upload", { multipart: { audio: audio() } });
+  expect(upload.status()).toBe(200);
+  const { uploadUrl } = await upload.json();
+  expect(uploadUrl).toContain(`${ASSEMBLYAI_URL}/cdn/`);
+
+  const start = await request.post("/api/transcribe", { data: { audioUrl: uploadUrl } });
+  expect(start.status()).toBe(200);
+  const { transcriptId } = await start.json();
+  expect(transcriptId).toBeTruthy();
+
+  const first = await request.get(`/api/transcript/${transcriptId}`);
+  expect((await first.json()).status).toBe("processing");
+
+  const transcript = await pollJson(request, `/api/transcript/${transcriptId}`, isFinished);
+  expect(transcript.status).toBe("completed");
+  expect(transcript.text).toContain("hair fall");
+  expect(transcript.utterances).toHaveLength(7);
+  expect(transcript.utterances.map((u) => u.speaker)).toEqual(["A", "B", "A", "B", "A", "B", "A"]);
+  expect(transcript.words.length).toBeGreaterThan(50);
+
+  // The app authenticates with its key and asks for speaker labels.
+  const sent = await assemblyAIRequests(request);
+  const uploadCall = sent.find((r) => r.path === "/v2/upload");
+  const transcriptCall = sent.find((r) => r.path === "/v2/transcript" && r.body?.audio_url === uploadUrl);
+  expect(uploadCall).toMatchObject({ method: "POST", authorization: "e2e-assemblyai-key" });
+  expect(uploadCall.bytes).toBeGreaterThan(0);
+  expect(transcriptCall.body).toMatchObject({ speaker_labels: true, speakers_expected: 2 });
+});
+
+test("rejects an upload without an audio file", async ({ request }) => {
+  const response = await request.post("/api/upload", { multipart: { note: "no audio here" } });
+  expect(response.status()).toBe(400);
+  expect(await response.json()).toEqual({ error: "No audio file provided" });
+});
+
+test("rejects files that are not a supported audio format", async ({ request }) => {
+  const text = await request.post("/api/upload", {
+    multipart: { audio: { name: "notes.txt", mimeType: "text/plain", buffer: Buffer.from("not audio") } },
+  });
+  expect(text.status()).toBe(400);
+  expect((await text.json()).error).toContain("Unsupported file type .txt");
+
+  const mislabelled = await request.post("/api/upload", {
+    multipart: { audio: { name: "visit.mp3", mimeType: "video/mp4", buffer: Buffer.from("not audio") } },
+  });
+  expect(mislabelled.status()).toBe(400);
+  expect((await mislabelled.json()).error).toBe("File content (video/mp4) does not match its .mp3 extension");
+
+  const mp3 = await request.post("/api/upload", { multipart: { audio: { ...audio("visit.mp3"), mimeType: "audio/mpeg" } } });
+  expect(mp3.status()).toBe(200);
+});
+
+test("requires an audio URL to start a transcript", async ({ request }) => {
+  const response = await request.post("/api/transcribe", { data: {} });
+  expect(response.status()).toBe(400);
+  expect((await response.json()).error).toBe("Audio URL is required");
+});
+
+test("only accepts the documented methods", async ({ request }) => {
+  expect((await request.get("/api/upload")).status()).toBe(405);
+  expect((await request.get("/api/transcribe")).status()).toBe(405);
+  expect((await request.post("/api/transcript/abc")).status()).toBe(405);
+});
+
+test("reports a transcript that failed upstream", async ({ request }) => {
+  const start = await request.post("/api/transcribe", { data: { audioUrl: `${ASSEMBLYAI_URL}/cdn/fail-corrupt-audio` } });
+  const { transcriptId } = await start.json();
+
+  const transcript = await pollJson(request, `/api/transcript/${transcriptId}`, isFinished);
+  expect(transcript.status).toBe("error");
+  expect(transcript.error).toBe("Audio file could not be decoded");
+});
+
+test("only lets the user who started a transcript poll it", async ({ request }) => {
+  const start = await request.post("/api/transcribe", { data: { audioUrl: `${ASSEMBLYAI_URL}/cdn/owner-check` } });
+  const { transcriptId } = await start.json();
+
+  const other = await signInAsNewUser("doctor");
+  const taken = await other.get(`/api/transcript/${transcriptId}`);
+  expect(taken.status()).toBe(404);
+  expect(await taken.json()).toEqual({ error: "Transcript not found" });
+  await other.dispose();
+
+  expect((await request.get("/api/transcript/does-not-exist")).status()).toBe(404);
+  expect((await request.get(`/api/transcript/${transcriptId}`)).status()).toBe(200);
+});
+
+test("rejects transcript ids that could change the provider path", async ({ request }) => {
+  for (const id of ["..%2Fupload", "abc%3Fstatus%3Dcompleted", "a.b"]) {
+    const response = await request.get(`/api/transcript/${id}`);
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toBe("Invalid transcript id");
+  }
+});
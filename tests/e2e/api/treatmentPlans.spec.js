@@ -0,0 +1,179 @@
+import { expect, test } from "@playwright/test";
+import { CONSULTATION_TEXT, generatePlans, readCollection, refinePlans, uniqueSessionId } from "../support/helpers.js";
+
+// /api/treatment-plans and its jobs, sessions and refinement routes against the built-in mock gateway.
+// Mock scenarios are picked with a "[mock:<name>]" marker in the transcript (see lib/mockGateway.js).
+test("requires a session id and planner text", async ({ request }) => {
+  const missingText = await request.post("/api/treatment-plans", { data: { session_id: uniqueSessionId() } });
+  expect(missingText.status()).toBe(400);
+  const missingSession = await request.post("/api/treatment-plans", { data: { treatment_planner_text: CONSULTATION_TEXT } });
+  expect(missingSession.status()).toBe(400);
+  expect((await request.get("/api/treatment-plans")).status()).toBe(405);
+});
+
+test("queues a job and stores Plan A, B and C in the session", async ({ request }) => {
+  const sessionId = uniqueSessionId();
+  const response = await request.post("/api/treatment-plans", {
+    data: { session_id: sessionId, slot_id: "slot-e2e", treatment_planner_text: CONSULTATION_TEXT },
+  });
+  expect(response.status()).toBe(202);
+  const queued = await response.json();
+  expect(queued).toMatchObject({ session_id: sessionId, status: "queued" });
+  expect(queued.status_url).toBe(`/api/treatment-plans/jobs/${queued.job_id}`);
+
+  const { job } = await generatePlans(request, { sessionId: uniqueSessionId() });
+  expect(job.status).toBe("succeeded");
+  expect(job.attempts).toBe(1);
+  expect(job.request).toBeUndefined();
+  expect(job.result.treatment_plans.map((plan) => plan.plan_id)).toEqual(["A", "B", "C"]);
+  expect(job.result.warnings).toEqual([]);
+
+  const session = await (await request.get(`/api/sessions/${job.session_id}`)).json();
+  expect(session.status).toBe("ready");
+  expect(session.plans.map((plan) => plan.plan_name)).toEqual(["Plan A · Essential", "Plan B · Comprehensive", "Plan C · Advanced"]);
+  expect(session.plan_versions.A.map((version) => version.source)).toEqual(["generated"]);
+});
+
+test("redacts the patient's name before it reaches the gateway and restores it in the plans", async ({ request }) => {
+  const text = `Asha Rao says: my name is Asha Rao and I can be reached at asha.rao@example.com.\n${CONSULTATION_TEXT}`;
+  const { session_id: sessionId, job } = await generatePlans(request, {
+    text,
+    patient: { name: "Asha Rao", age: 34, sex: "female", allergies: "sulfa" },
+  });
+  expect(job.status).toBe("succeeded");
+
+  const stored = (await readCollection("plan-jobs"))[job.job_id].request;
+  expect(stored.treatment_planner_text).not.toContain("Asha");
+  expect(stored.treatment_planner_text).not.toContain("asha.rao@example.com");
+  expect(stored.treatment_planner_text).toContain("[NAME_1]");
+  expect(stored.patient_context).toMatchObject({ name: "[NAME_1]", age: 34, allergies: ["sulfa"] });
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session.treatment_planner_text).toBe(text);
+  expect(session.patient.name).toBe("Asha Rao");
+});
+
+test("retries a gateway error and succeeds on the next attempt", async ({ request }) => {
+  const { job } = await generatePlans(request, { text: `[mock:flaky] ${CONSULTATION_TEXT}` });
+  expect(job.status).toBe("succeeded");
+  expect(job.attempts).toBe(2);
+  expect(job.result.treatment_plans).toHaveLength(3);
+});
+
+test("times out a gateway that stalls mid-stream and retries it", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request, { text: `[mock:stall] ${CONSULTATION_TEXT}` });
+  expect(job.status).toBe("failed");
+  expect(job.attempts).toBe(3);
+  expect(job.error).toBe("The gateway did not finish within 5000 ms");
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session).toMatchObject({ status: "error", error: job.error });
+});
+
+test("fails a malformed gateway response without retrying", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request, { text: `[mock:malformed] ${CONSULTATION_TEXT}` });
+  expect(job.status).toBe("failed");
+  expect(job.attempts).toBe(1);
+  expect(job.error).toBe("The planner response has no treatment_plans list");
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session).toMatchObject({ status: "error", error: job.error });
+});
+
+test("reports the gateway's own failure message", async ({ request }) => {
+  const { job } = await generatePlans(request, { text: `[mock:failure] ${CONSULTATION_TEXT}` });
+  expect(job.status).toBe("failed");
+  expect(job.error).toBe("The planner could not build plans for this consultation");
+});
+
+test("normalises alternative plan shapes and reports what it changed", async ({ request }) => {
+  const { job } = await generatePlans(request, { text: `[mock:edge-shapes] ${CONSULTATION_TEXT}` });
+  expect(job.status).toBe("succeeded");
+
+  const [planA, planB, planC] = job.result.treatment_plans;
+  expect(planA.services[0]).toMatchObject({
+    service_name: "PRP Therapy (Scalp)",
+    specifications: { details: "Crown, every 4 weeks" },
+    service_cost_variable_options: [{ session: 4, cost_per_session: 6000 }],
+  });
+  expect(planA.products).toHaveLength(1);
+  expect(planA.products[0]).toMatchObject({ product_name: "Topical Minoxidil 5% Solution", MRP_cost: 850, cost: 720, verified: true });
+  expect(planA.lab_tests[0]).toMatchObject({ lab_test_name: "Serum Ferritin", price: 650 });
+  expect(planB.plan_id).toBe("B");
+  expect(planB.lab_tests[0]).toMatchObject({ lab_test_name: "Vitamin D (25-OH)", price: 1200 });
+  expect(planC.services).toEqual([]);
+
+  const paths = job.result.warnings.map((warning) => warning.path);
+  expect(paths).toEqual(expect.arrayContaining(["Plan A › products[2]", "Plan B", "Plan C › services"]));
+});
+
+test("streams stages and plans over server-sent events", async ({ request }) => {
+  const response = await request.post("/api/treatment-plans", {
+    data: { session_id: uniqueSessionId(), treatment_planner_text: `[mock:stream] ${CONSULTATION_TEXT}` },
+  });
+  const { job_id: jobId } = await response.json();
+
+  // The stream ends after the "done" event, so the whole body can be read at once.
+  const events = await request.get(`/api/treatment-plans/jobs/${jobId}/events`);
+  expect(events.headers()["content-type"]).toContain("text/event-stream");
+  const names = [...(await events.text()).matchAll(/^event: (\w+)$/gm)].map((match) => match[1]);
+  expect(names.filter((name) => name === "plan")).toHaveLength(3);
+  expect(names).toContain("stage");
+  expect(names.at(-1)).toBe("done");
+});
+
+test("refines one plan and keeps the earlier version", async ({ request }) => {
+  const { session_id: sessionId } = await generatePlans(request);
+
+  const job = await refinePlans(request, { session_id: sessionId, plan_id: "C", instruction: "Swap oral minoxidil for topical" });
+  expect(job.status).toBe("succeeded");
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  const planC = session.plans.find((plan) => plan.plan_id === "C");
+  expect(planC.products.map((product) => product.product_name)).toContain("Topical Minoxidil 5% Solution");
+  expect(planC.products.map((product) => product.product_name)).not.toContain("Oral Minoxidil 2.5 mg Tablets");
+  expect(session.plan_versions.C.map((version) => version.source)).toEqual(["generated", "refined"]);
+  expect(session.plan_versions.C[1].instruction).toBe("Swap oral minoxidil for topical");
+  expect(session.plan_versions.A.map((version) => version.source)).toEqual(["generated"]);
+});
+
+test("rejects refinements of unknown sessions and plans", async ({ request }) => {
+  const unknownSession = await request.post("/api/treatment-plans/refine", { data: { session_id: uniqueSessionId() } });
+  expect(unknownSession.status()).toBe(404);
+
+  const { session_id: sessionId } = await generatePlans(request);
+  const unknownPlan = await request.post("/api/treatment-plans/refine", { data: { session_id: sessionId, plan_id: "Z" } });
+  expect(unknownPlan.status()).toBe(400);
+  expect((await unknownPlan.json()).error).toBe("Unknown plan: Z");
+});
+
+test("saves the clinician's selection and exports it as a PDF", async ({ request }) => {
+  const { session_id: sessionId, job } = await generatePlans(request);
+  const planB = job.result.treatment_plans[1];
+
+  const saved = await request.post("/api/treatment-plans/selection", {
+    data: {
+      session_id: sessionId,
+      slot_id: "slot-e2e",
+      treatment_planner_text: CONSULTATION_TEXT,
+      plan_id: "B",
+      plan: planB,
+    },
+  });
+  expect(saved.ok()).toBeTruthy();
+
+  const session = await (await request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session.selection.plan_id).toBe("B");
+
+  // Reading the export has no side effects: nothing is stored until it is created with POST.
+  const exportUrl = `/api/treatment-plans/export?session_id=${sessionId}`;
+  expect((await request.get(exportUrl)).status()).toBe(404);
+  const created = await request.post("/api/treatment-plans/export", { data: { session_id: sessionId } });
+  expect(created.status()).toBe(201);
+  expect(await created.json()).toMatchObject({ plan_id: "B", url: exportUrl });
+
+  const pdf = await request.get(exportUrl);
+  expect(pdf.status()).toBe(200);
+  expect(pdf.headers()["content-type"]).toBe("application/pdf");
+  expect((await pdf.body()).subarray(0, 4).toString()).toBe("%PDF");
+});
@@ -0,0 +1,89 @@
+import { expect, test } from "@playwright/test";
+import { ASSEMBLYAI_URL, assemblyAIRequests, signInAsNewUser } from "../support/helpers.js";
+
+// Resumable uploads: /api/uploads, PATCH chunks at Upload-Offset, then /complete hands the file to the provider.
+const createUpload = (request, data) => request.post("/api/uploads", { data });
+
+const sendChunk = (request, uploadId, offset, text) =>
+  request.fetch(`/api/uploads/${uploadId}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) },
+    data: Buffer.from(text),
+  });
+
+test("receives a file in chunks, resumes from the server's offset and completes it", async ({ request }) => {
+  const audio = "first chunk|second chunk";
+  const created = await createUpload(request, { filename: "visit.webm", size: audio.length, mime_type: "audio/webm" });
+  expect(created.status()).toBe(201);
+  const upload = await created.json();
+  expect(upload).toMatchObject({ received: 0, status: "receiving", status_url: `/api/uploads/${upload.upload_id}` });
+  expect(upload.chunk_size).toBeGreaterThan(0);
+
+  const first = await sendChunk(request, upload.upload_id, 0, "first chunk|");
+  expect(await first.json()).toMatchObject({ received: 12, status: "receiving" });
+
+  // A retried chunk the server already has is refused with the offset to resume from.
+  const repeated = await sendChunk(request, upload.upload_id, 0, "first chunk|");
+  expect(repeated.status()).toBe(409);
+  expect((await repeated.json()).received).toBe(12);
+  expect((await (await request.get(upload.status_url)).json()).received).toBe(12);
+
+  const early = await request.post(`${upload.status_url}/complete`);
+  expect(early.status()).toBe(409);
+
+  const last = await sendChunk(request, upload.upload_id, 12, "second chunk");
+  expect(await last.json()).toMatchObject({ received: audio.length, status: "complete" });
+
+  const completed = await request.post(`${upload.status_url}/complete`);
+  expect(completed.status()).toBe(200);
+  const { uploadUrl } = await completed.json();
+  expect(uploadUrl).toContain(`${ASSEMBLYAI_URL}/cdn/`);
+  const again = await request.post(`${upload.status_url}/complete`);
+  expect((await again.json()).uploadUrl).toBe(uploadUrl);
+
+  const uploads = (await assemblyAIRequests(request)).filter((r) => r.path === "/v2/upload");
+  expect(uploads.at(-1).bytes).toBe(audio.length);
+});
+
+test("validates uploads and chunks", async ({ request }) => {
+  const text = await createUpload(request, { filename: "notes.txt", size: 10, mime_type: "text/plain" });
+  expect(text.status()).toBe(400);
+  const huge = await createUpload(request, { filename: "visit.mp3", size: 500 * 1024 * 1024, mime_type: "audio/mpeg" });
+  expect(huge.status()).toBe(413);
+  const empty = await createUpload(request, { filename: "visit.mp3", size: 0, mime_type: "audio/mpeg" });
+  expect(empty.status()).toBe(400);
+
+  const { upload_id: uploadId } = await (await createUpload(request, { filename: "visit.mp3", size: 4, mime_type: "audio/mpeg" })).json();
+  const tooLong = await sendChunk(request, uploadId, 0, "12345");
+  expect(tooLong.status()).toBe(400);
+  expect((await tooLong.json()).error).toBe("Chunk runs past the declared size");
+
+  expect((await request.delete(`/api/uploads/${uploadId}`)).status()).toBe(204);
+  expect((await request.get(`/api/uploads/${uploadId}`)).status()).toBe(404);
+  expect((await sendChunk(request, uploadId, 0, "1234")).status()).toBe(404);
+});
+
+test("keeps each upload to the user who started it", async ({ request }) => {
+  const { upload_id: uploadId, status_url: statusUrl } = await (
+    await createUpload(request, { filename: "visit.mp3", size: 4, mime_type: "audio/mpeg" })
+  ).json();
+  expect((await sendChunk(request, uploadId, 0, "1234")).status()).toBe(200);
+
+  const other = await signInAsNewUser("doctor");
+  expect((await other.get(statusUrl)).status()).toBe(404);
+  expect((await sendChunk(other, uploadId, 4, "5")).status()).toBe(404);
+  expect((await other.post(`${statusUrl}/complete`)).status()).toBe(404);
+  expect((await other.delete(statusUrl)).status()).toBe(404);
+  await other.dispose();
+
+  expect(await (await request.get(statusUrl)).json()).toMatchObject({ received: 4, status: "complete" });
+  expect((await request.delete(statusUrl)).status()).toBe(204);
+});
+
+test("refuses upload ids that are not ones it issued", async ({ request }) => {
+  for (const id of ["not-an-upload", encodeURIComponent("../../plan-jobs")]) {
+    expect((await request.get(`/api/uploads/${id}`)).status()).toBe(400);
+    expect((await request.delete(`/api/uploads/${id}`)).status()).toBe(400);
+    expect((await request.post(`/api/uploads/${id}/complete`)).status()).toBe(400);
+  }
+});
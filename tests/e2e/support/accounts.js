@@ -0,0 +1,15 @@
+import path from "path";
+
+// Accounts the suite signs in with. The admin is seeded by the app from AUTH_ADMIN_* (see playwright.config.js);
+// auth.setup.js creates the others and saves each one's cookies for `storageState`.
+export const E2E_USERS = {
+  admin: { username: "e2e-admin", password: "e2e-admin-password" },
+  doctor: { username: "e2e-doctor", name: "Dr E2E", password: "e2e-doctor-password" },
+  assistant: { username: "e2e-assistant", name: "E2E Assistant", password: "e2e-assistant-password" },
+};
+
+// Per-user plan request limit the e2e server runs with: high enough for the whole suite as the e2e doctor,
+// low enough for api/rateLimits.spec.js to reach with an account of its own.
+export const E2E_PLANS_PER_USER = 40;
+
+export const authStatePath = (role) => path.join(process.env.E2E_DATA_DIR, ".auth", `${role}.json`);
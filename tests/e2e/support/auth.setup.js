@@ -0,0 +1,15 @@
+import { expect, test as setup } from "@playwright/test";
+import { E2E_USERS } from "./accounts.js";
+import { signIn } from "./helpers.js";
+
+// Runs before the api and ui projects: creates the doctor and assistant and saves every role's session.
+setup("signs in the e2e accounts", async () => {
+  const admin = await signIn("admin");
+  for (const role of ["doctor", "assistant"]) {
+    const { username, name, password } = E2E_USERS[role];
+    const created = await admin.post("/api/users", { data: { username, name, role, password } });
+    expect([201, 409]).toContain(created.status());
+    await (await signIn(role)).dispose();
+  }
+  await admin.dispose();
+});
@@ -0,0 +1,111 @@
+import { randomUUID } from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Local stand-in for the AssemblyAI v2 REST API used by lib/transcription/assemblyai.js.
+// Uploads return a fake CDN URL; transcripts report "processing" on the first poll and complete on the next
+// with the fixture consultation. Audio URLs containing "fail" end in an error transcript instead.
+// Every request is logged; GET /__requests returns the log so specs can check what the app sent.
+// Drug and lab names come back with low word confidence, as real recognisers tend to return them.
+const PORT = Number(process.env.FAKE_ASSEMBLYAI_PORT) || 3211;
+const API_KEY = process.env.FAKE_ASSEMBLYAI_KEY || "e2e-assemblyai-key";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+const fixture = JSON.parse(fs.readFileSync(path.join(root, "fixtures", "transcripts", "consultation.json"), "utf8"));
+
+const LOW_CONFIDENCE_WORDS = /^(ferritin|minoxidil)\b/i;
+
+const transcripts = new Map();
+const requests = [];
+
+// Spreads an utterance's words across its time span, like the local provider does.
+const toWords = ({ text, start, end, speaker }) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const step = tokens.length ? (end - start) / tokens.length : 0;
+  return tokens.map((token, i) => ({
+    text: token,
+    start: Math.round(start + i * step),
+    end: Math.round(start + (i + 1) * step),
+    confidence: LOW_CONFIDENCE_WORDS.test(token) ? 0.42 : 0.95,
+    speaker,
+  }));
+};
+
+const completed = (job) => {
+  const utterances = fixture.utterances.map((u) => ({ ...u, confidence: 0.95, words: toWords(u) }));
+  return {
+    id: job.id,
+    status: "completed",
+    audio_url: job.audio_url,
+    text: utterances.map((u) => u.text).join(" "),
+    utterances,
+    words: utterances.flatMap((u) => u.words),
+    error: null,
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const body = await readBody(req);
+
+  if (url.pathname === "/__health") return send(res, 200, { ok: true });
+  if (url.pathname === "/__requests") return send(res, 200, requests);
+
+  const entry = { method: req.method, path: url.pathname, authorization: req.headers.authorization || null };
+  requests.push(entry);
+  if (req.headers.authorization !== API_KEY) {
+    return send(res, 401, { error: "Authentication error, API token missing/invalid" });
+  }
+
+  if (req.method === "POST" && url.pathname === "/v2/upload") {
+    entry.bytes = body.length;
+    return send(res, 200, { upload_url: `http://127.0.0.1:${PORT}/cdn/${randomUUID()}` });
+  }
+
+  if (req.method === "POST" && url.pathname === "/v2/transcript") {
+    let data;
+    try {
+      data = JSON.parse(body.toString("utf8"));
+    } catch {
+      return send(res, 400, { error: "Invalid JSON body" });
+    }
+    entry.body = data;
+    if (!data.audio_url) return send(res, 400, { error: "audio_url is required" });
+    const job = { id: randomUUID(), audio_url: data.audio_url, polls: 0 };
+    transcripts.set(job.id, job);
+    return send(res, 200, { id: job.id, status: "queued", audio_url: job.audio_url });
+  }
+
+  const match = url.pathname.match(/^\/v2\/transcript\/([^/]+)$/);
+  if (req.method === "GET" && match) {
+    const job = transcripts.get(match[1]);
+    if (!job) return send(res, 404, { error: "Transcript not found" });
+    job.polls += 1;
+    if (job.polls === 1) return send(res, 200, { id: job.id, status: "processing", audio_url: job.audio_url });
+    if (job.audio_url.includes("fail")) {
+      return send(res, 200, { id: job.id, status: "error", audio_url: job.audio_url, error: "Audio file could not be decoded" });
+    }
+    return send(res, 200, completed(job));
+  }
+
+  return send(res, 404, { error: `No fake for ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`[fake-assemblyai] listening on http://127.0.0.1:${PORT}`);
+});
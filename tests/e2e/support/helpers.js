@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import path from "path";
+import { expect, request as playwrightRequest } from "@playwright/test";
+import { E2E_USERS, authStatePath } from "./accounts.js";
+
+// Shared helpers for the end-to-end specs; URLs and paths come from playwright.config.js.
+export const APP_URL = process.env.E2E_APP_URL;
+export const ASSEMBLYAI_URL = process.env.E2E_ASSEMBLYAI_URL;
+
+export const CONSULTATION_TEXT =
+  "Doctor: Good morning, what brings you in today?\n" +
+  "Patient: I have been noticing more hair fall over the last six months, mostly at the crown.\n" +
+  "Doctor: Let's check your ferritin and thyroid levels, and we can discuss PRP sessions and topical minoxidil.";
+
+export const uniqueSessionId = (label = "e2e") => `${label}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// A new API context signed in as one of E2E_USERS (admin | doctor | assistant); its cookies are also saved
+// to authStatePath(role). The caller disposes the context.
+export async function signIn(role) {
+  const context = await playwrightRequest.newContext({ baseURL: APP_URL });
+  const { username, password } = E2E_USERS[role];
+  const response = await context.post("/api/auth/login", { data: { username, password } });
+  expect(response.status()).toBe(200);
+  await context.storageState({ path: authStatePath(role) });
+  return context;
+}
+
+// Creates a throwaway account through the admin API and returns an API context signed in as it, for specs that
+// use up per-user limits. The caller disposes the context.
+export async function signInAsNewUser(role = "doctor") {
+  const admin = await signIn("admin");
+  const username = uniqueSessionId(role);
+  const password = "throwaway-password";
+  const created = await admin.post("/api/users", { data: { username, name: username, role, password } });
+  expect(created.status()).toBe(201);
+  await admin.dispose();
+
+  const context = await playwrightRequest.newContext({ baseURL: APP_URL });
+  const response = await context.post("/api/auth/login", { data: { username, password } });
+  expect(response.status()).toBe(200);
+  return context;
+}
+
+// Starts plan generation in a new session without waiting for it; returns the response.
+export const startPlanJob = (request, text = CONSULTATION_TEXT) =>
+  request.post("/api/treatment-plans", { data: { session_id: uniqueSessionId(), treatment_planner_text: text } });
+
+// Requests the stand-in AssemblyAI server has received so far.
+export async function assemblyAIRequests(request) {
+  const response = await request.get(`${ASSEMBLYAI_URL}/__requests`);
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+// Reads one of the app's stored collections straight from its DATA_DIR.
+export async function readCollection(name) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(process.env.E2E_DATA_DIR, `${name}.json`), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+// Polls a GET endpoint until `done(body)` holds; returns the last body.
+export async function pollJson(request, url, done, { timeout = 30000, interval = 250 } = {}) {
+  let body;
+  await expect
+    .poll(
+      async () => {
+        const response = await request.get(url);
+        body = await response.json();
+        return done(body);
+      },
+      { timeout, intervals: [interval] }
+    )
+    .toBe(true);
+  return body;
+}
+
+const isFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
+// Queues plan generation for a new session and waits for the job to finish; returns { session_id, job }.
+export async function generatePlans(request, { text = CONSULTATION_TEXT, patient, sessionId = uniqueSessionId() } = {}) {
+  const response = await request.post("/api/treatment-plans", {
+    data: { session_id: sessionId, slot_id: "slot-e2e", treatment_planner_text: text, patient },
+  });
+  expect(response.status()).toBe(202);
+  const { job_id: jobId } = await response.json();
+  const job = await pollJson(request, `/api/treatment-plans/jobs/${jobId}`, isFinished);
+  return { session_id: sessionId, job };
+}
+
+// Starts a refinement and waits for its job to finish; returns the finished job.
+export async function refinePlans(request, body) {
+  const response = await request.post("/api/treatment-plans/refine", { data: body });
+  expect(response.status()).toBe(202);
+  const { job_id: jobId } = await response.json();
+  return pollJson(request, `/api/treatment-plans/jobs/${jobId}`, isFinished);
+}
@@ -0,0 +1,8 @@
+import fs from "fs/promises";
+
+// Removes the temporary data directory the app wrote to during the run.
+export default async function teardown() {
+  if (process.env.E2E_DATA_DIR) {
+    await fs.rm(process.env.E2E_DATA_DIR, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,73 @@
+import { expect, test } from "@playwright/test";
+import { E2E_USERS, authStatePath } from "../support/accounts.js";
+import { generatePlans } from "../support/helpers.js";
+
+// Sign-in page and the account bar (components/AuthGate.js). Other ui specs start signed in as the e2e doctor.
+test.describe("signed out", () => {
+  test.use({ storageState: { cookies: [], origins: [] } });
+
+  test("sends visitors to sign in and back to the page they asked for", async ({ page }) => {
+    await page.goto("/history");
+    await expect(page).toHaveURL(/\/login\?next=%2Fhistory$/);
+
+    await page.getByLabel("Username").fill(E2E_USERS.doctor.username);
+    await page.getByLabel("Password").fill("wrong-password");
+    await page.getByRole("button", { name: "Sign in" }).click();
+    await expect(page.locator(".error")).toHaveText("Invalid username or password");
+
+    await page.getByLabel("Password").fill(E2E_USERS.doctor.password);
+    await page.getByRole("button", { name: "Sign in" }).click();
+    await expect(page).toHaveURL(/\/history$/);
+    await expect(page.locator(".user-bar")).toContainText("Signed in as Dr E2E");
+
+    await page.locator(".user-bar").getByRole("button", { name: "Sign out" }).click();
+    await expect(page).toHaveURL(/\/login$/);
+    await page.goto("/");
+    await expect(page).toHaveURL(/\/login\?next=%2F$/);
+  });
+});
+
+test.describe("as an admin", () => {
+  test.use({ storageState: authStatePath("admin") });
+
+  test("adds an account from the users page", async ({ page }) => {
+    await page.goto("/");
+    await page.locator(".user-bar").getByRole("link", { name: "Users" }).click();
+    await expect(page).toHaveURL(/\/users$/);
+
+    const username = `reception-${Date.now()}`;
+    await page.getByLabel("Username").fill(username);
+    await page.getByLabel("Full name").fill("Front Desk");
+    await page.locator("form").getByRole("combobox").selectOption("assistant");
+    await page.getByLabel("Password", { exact: true }).fill("reception-password");
+    await page.getByRole("button", { name: "Add User" }).click();
+    await expect(page.getByText(`Created ${username}.`)).toBeVisible();
+    await expect(page.getByLabel(`Role for ${username}`)).toHaveValue("assistant");
+  });
+
+  test("reviews a session in the audit log", async ({ page, request }) => {
+    const { session_id: sessionId } = await generatePlans(request);
+
+    await page.goto("/");
+    await page.locator(".user-bar").getByRole("link", { name: "Audit log" }).click();
+    await expect(page).toHaveURL(/\/audit$/);
+    await page.getByPlaceholder("Session ID").fill(sessionId);
+    await page.getByRole("button", { name: "Search" }).click();
+
+    const rows = page.locator(".audit-table tbody tr");
+    await expect(rows).toHaveCount(1);
+    await expect(rows.first()).toContainText("Generated plans");
+    await expect(rows.first()).toContainText("e2e-admin (admin)");
+    await expect(page.getByRole("link", { name: "Export CSV" })).toHaveAttribute(
+      "href",
+      `/api/audit?session_id=${sessionId}&format=csv`
+    );
+  });
+});
+
+test("doctors do not see the admin page links", async ({ page }) => {
+  await page.goto("/");
+  await expect(page.locator(".user-bar")).toContainText("doctor");
+  await expect(page.locator(".user-bar").getByRole("link", { name: "Users" })).toHaveCount(0);
+  await expect(page.locator(".user-bar").getByRole("link", { name: "Audit log" })).toHaveCount(0);
+});
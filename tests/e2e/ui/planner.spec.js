@@ -0,0 +1,124 @@
+import { expect, test } from "@playwright/test";
+import { CONSULTATION_TEXT, signIn, signInAsNewUser, startPlanJob } from "../support/helpers.js";
+
+// Planner page, opened the way the recorder opens it: transcript and patient in sessionStorage.
+// Plans come from the mock gateway; a "[mock:<name>]" marker in the transcript picks its scenario.
+const openPlanner = async (page, text = CONSULTATION_TEXT) => {
+  await page.addInitScript(
+    ({ transcription, patient }) => {
+      if (window.sessionStorage.getItem("planner:transcription") === null) {
+        window.sessionStorage.setItem("planner:transcription", transcription);
+        window.sessionStorage.setItem("planner:patient", JSON.stringify(patient));
+      }
+    },
+    { transcription: text, patient: { name: "Asha Rao", age: "34", sex: "female", allergies: "", medications: "" } }
+  );
+  await page.goto("/planner");
+};
+
+const planCard = (page, name) => page.locator(".plan-card").filter({ has: page.locator(".plan-title", { hasText: name }) });
+
+test("edits a plan, undoes the edit and selects it", async ({ page }) => {
+  await openPlanner(page);
+  await expect(page.locator(".plan-card")).toHaveCount(3);
+  await expect(page).toHaveURL(/\/planner\?session=/);
+
+  const planA = planCard(page, "Plan A · Essential");
+  const dosage = planA.locator(".product-card", { hasText: "Topical Minoxidil 5% Solution" }).getByLabel("Dosage");
+  await expect(dosage).toHaveValue("1 ml");
+  await dosage.fill("2 ml");
+  await page.getByRole("button", { name: "Undo" }).click();
+  await expect(dosage).toHaveValue("1 ml");
+  await page.getByRole("button", { name: "Redo" }).click();
+  await expect(dosage).toHaveValue("2 ml");
+
+  await planA.getByRole("button", { name: "Select" }).click();
+  await expect(page.getByText("You have successfully selected Plan A")).toBeVisible();
+  const [download] = await Promise.all([
+    page.waitForEvent("download"),
+    page.getByRole("button", { name: "Download PDF" }).click(),
+  ]);
+  expect(download.suggestedFilename()).toMatch(/-plan-A\.pdf$/);
+
+  // The selection, including the edit, survives a reload of the session URL.
+  await page.reload();
+  await expect(page.getByText("You have successfully selected Plan A")).toBeVisible();
+  await page.getByRole("button", { name: "Change Selection" }).click();
+  await expect(planCard(page, "Plan A · Essential").getByLabel("Dosage").first()).toHaveValue("2 ml");
+});
+
+test("keeps a selected product matched after its catalogue entry is renamed", async ({ page }) => {
+  const admin = await signIn("admin");
+  const product = { name: "Topical Minoxidil 5% Solution", stock_quantity: 20 };
+  const { item } = await (await admin.post("/api/catalogue", { data: { kind: "products", item: product } })).json();
+
+  await openPlanner(page);
+  const stock = (card) => card.locator(".product-card", { hasText: "Minoxidil" }).locator(".stock-pill").first();
+  await expect(stock(planCard(page, "Plan A · Essential"))).toHaveText("In stock (20)");
+  await planCard(page, "Plan A · Essential").getByRole("button", { name: "Select" }).click();
+  await expect(page.getByText("You have successfully selected Plan A")).toBeVisible();
+
+  await admin.post("/api/catalogue", { data: { kind: "products", item: { ...item, name: "Minoxidil 5% Topical" } } });
+  await page.reload();
+  await page.getByRole("button", { name: "Change Selection" }).click();
+  await expect(stock(planCard(page, "Plan A · Essential"))).toHaveText("In stock (20)");
+
+  await admin.delete(`/api/catalogue?kind=products&id=${item.id}`);
+  await admin.dispose();
+});
+
+test("refines one plan and restores the earlier version", async ({ page }) => {
+  await openPlanner(page);
+  const planC = planCard(page, "Plan C · Advanced");
+  await expect(planC.locator(".product-name").first()).toHaveText("Oral Minoxidil 2.5 mg Tablets");
+
+  const refine = page.locator(".section").filter({ has: page.locator(".section-title", { hasText: "Refine Plans" }) });
+  await refine.getByLabel("Instruction").fill("Swap oral minoxidil for topical");
+  await refine.getByLabel("Apply to").selectOption({ label: "Plan C · Advanced" });
+  await refine.getByRole("button", { name: "Refine" }).click();
+
+  await expect(planC.locator(".product-name").first()).toHaveText("Topical Minoxidil 5% Solution");
+  await expect(planCard(page, "Plan A · Essential").locator(".plan-versions")).toHaveCount(0);
+
+  await planC.getByText("Versions (2)").click();
+  await expect(planC.getByText("“Swap oral minoxidil for topical”")).toBeVisible();
+  await planC.getByRole("button", { name: "Restore" }).click();
+  await expect(planC.locator(".product-name").first()).toHaveText("Oral Minoxidil 2.5 mg Tablets");
+});
+
+test("shows corrections made to an unusual planner response", async ({ page }) => {
+  await openPlanner(page, `[mock:edge-shapes] ${CONSULTATION_TEXT}`);
+  await expect(page.locator(".plan-card")).toHaveCount(3);
+  const warnings = page.locator(".plan-warnings");
+  await expect(warnings).toContainText("correction(s)");
+  await warnings.locator("summary").click();
+  await expect(warnings).toContainText("plan_id is missing; using B");
+});
+
+test("reports a planner failure and retries it", async ({ page }) => {
+  await openPlanner(page, `[mock:failure] ${CONSULTATION_TEXT}`);
+  await expect(page.getByText("The planner could not build plans for this consultation")).toBeVisible();
+
+  // The retry runs again with the same transcript; the failure is deterministic, so it is reported again.
+  const retried = page.waitForResponse((response) => response.url().endsWith("/api/treatment-plans"));
+  await page.getByRole("button", { name: "Retry" }).click();
+  expect((await retried).status()).toBe(202);
+  await expect(page.getByText("The planner could not build plans for this consultation")).toBeVisible();
+});
+
+test("holds the retry until a doctor's plan requests in progress allow another", async ({ page }) => {
+  // A doctor of its own with three slow jobs queued, so the planner's request is over the in-progress cap.
+  const doctor = await signInAsNewUser("doctor");
+  for (let i = 0; i < 3; i += 1) {
+    expect((await startPlanJob(doctor, `[mock:slow] ${CONSULTATION_TEXT}`)).status()).toBe(202);
+  }
+  await page.context().clearCookies();
+  await page.context().addCookies((await doctor.storageState()).cookies);
+  await doctor.dispose();
+
+  await openPlanner(page);
+  await expect(page.getByText("You already have 3 treatment plan requests in progress.")).toBeVisible();
+  const retry = page.getByRole("button", { name: /^Retry in \d+s$/ });
+  await expect(retry).toBeDisabled();
+  await expect(page.getByRole("button", { name: "Retry", exact: true })).toBeEnabled({ timeout: 20000 });
+});
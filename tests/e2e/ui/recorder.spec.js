@@ -0,0 +1,187 @@
+import { expect, test } from "@playwright/test";
+
+// Recorder page: Chromium's fake microphone feeds MediaRecorder, and the upload is transcribed by the stand-in AssemblyAI.
+test("records, transcribes and hands the transcript to the planner", async ({ page }) => {
+  await page.goto("/");
+  await page.getByRole("button", { name: "Start Recording" }).click();
+  await expect(page.getByText("🔴 Recording")).toBeVisible();
+  await page.waitForTimeout(1500);
+  await page.getByRole("button", { name: "Stop" }).click();
+  await expect(page.getByText("✅ Recording complete")).toBeVisible();
+
+  await page.getByRole("button", { name: "Submit for Transcription" }).click();
+  await expect(page.getByText("Processing transcription... (processing)")).toBeVisible();
+
+  // The stand-in completes on the second poll, three seconds later.
+  const transcript = page.getByLabel("Editable transcription");
+  await expect(transcript).toHaveValue(/hair fall over the last six months/, { timeout: 20000 });
+  await transcript.fill(`${await transcript.inputValue()}\nDoctor: Patient prefers to avoid oral medication.`);
+
+  await page.getByRole("button", { name: "Generate Treatment Plans" }).click();
+  await expect(page).toHaveURL(/\/planner\?session=/);
+  await expect(page.locator(".plan-card")).toHaveCount(3);
+  await expect(page.locator(".plan-title")).toHaveText(["Plan A · Essential", "Plan B · Comprehensive", "Plan C · Advanced"]);
+
+  // The planner received the edited text, not only what came back from transcription.
+  const sessionId = new URL(page.url()).searchParams.get("session");
+  const session = await (await page.request.get(`/api/sessions/${sessionId}`)).json();
+  expect(session.treatment_planner_text).toContain("Patient prefers to avoid oral medication.");
+  expect(session.transcript_id).toBeTruthy();
+});
+
+test("plays the recording back in sync with the transcript words", async ({ page }) => {
+  await page.goto("/");
+  await page.getByRole("button", { name: "Start Recording" }).click();
+  await page.waitForTimeout(2500);
+  await page.getByRole("button", { name: "Stop" }).click();
+  await page.getByRole("button", { name: "Submit for Transcription" }).click();
+  await expect(page.getByLabel("Editable transcription")).toHaveValue(/hair fall/, { timeout: 20000 });
+
+  // The fake microphone's tone decodes into a waveform next to the transcript.
+  await expect(page.getByRole("slider", { name: "Seek recording" })).toBeVisible();
+  await expect(page.getByText("Waveform unavailable for this file.")).toHaveCount(0);
+
+  // Words the recogniser was unsure of are underlined for review.
+  await expect(page.locator(".word--low")).toHaveText(["ferritin", "minoxidil"]);
+  await expect(page.getByText("2 words to verify")).toBeVisible();
+
+  // Clicking a word seeks there and plays; the highlight then follows playback.
+  const word = page.getByRole("button", { name: "morning,", exact: true });
+  await word.click();
+  await expect(word).toHaveAttribute("aria-current", "true");
+  const audio = page.getByLabel("Recording playback");
+  await expect.poll(() => audio.evaluate((el) => el.currentTime)).toBeGreaterThan(1);
+  await expect(page.locator(".word--active")).not.toHaveText("morning,");
+  await expect(word).not.toHaveAttribute("aria-current", "true");
+});
+
+test("recovers a recording interrupted by a reload and uploads it in chunks", async ({ page }) => {
+  await page.goto("/");
+  await page.getByRole("button", { name: "Start Recording" }).click();
+  // Chunks are saved to IndexedDB every two seconds; reload mid-recording, as a crash would.
+  await page.waitForTimeout(4500);
+  await page.reload();
+
+  const banner = page.locator(".recovery-banner");
+  await expect(banner).toContainText("A recording was interrupted");
+  await banner.getByRole("button", { name: "Restore Recording" }).click();
+  await expect(banner).toHaveCount(0);
+  await expect(page.getByText("✅ Recording complete")).toBeVisible();
+
+  const chunk = page.waitForRequest((req) => req.method() === "PATCH" && req.url().includes("/api/uploads/"));
+  await page.getByRole("button", { name: "Submit for Transcription" }).click();
+  expect((await chunk).headers()["upload-offset"]).toBe("0");
+  await expect(page.getByLabel("Editable transcription")).toHaveValue(/hair fall/, { timeout: 20000 });
+
+  // Once transcription has started the saved copy is gone.
+  await page.reload();
+  await expect(page.getByRole("button", { name: "Start Recording" })).toBeEnabled();
+  await expect(page.locator(".recovery-banner")).toHaveCount(0);
+});
+
+test("discards a recovered recording", async ({ page }) => {
+  await page.goto("/");
+  await page.getByRole("button", { name: "Start Recording" }).click();
+  await page.waitForTimeout(2500);
+  await page.getByRole("button", { name: "Stop" }).click();
+  await expect(page.getByText("✅ Recording complete")).toBeVisible();
+  await page.reload();
+
+  const banner = page.locator(".recovery-banner");
+  await expect(banner).toContainText("A recording was not submitted");
+  await banner.getByRole("button", { name: "Discard" }).click();
+  await expect(banner).toHaveCount(0);
+  await page.reload();
+  await expect(page.getByRole("button", { name: "Start Recording" })).toBeEnabled();
+  await expect(page.locator(".recovery-banner")).toHaveCount(0);
+});
+
+test("shows a failed transcript and lets the clinician start over", async ({ page }) => {
+  // Polling answers with an upstream error instead of a finished transcript.
+  await page.route("**/api/transcript/*", (route) =>
+    route.fulfill({ json: { id: "failed", status: "error", error: "Audio file could not be decoded" } })
+  );
+
+  await page.goto("/");
+  await page.getByRole("button", { name: "Start Recording" }).click();
+  await page.waitForTimeout(500);
+  await page.getByRole("button", { name: "Stop" }).click();
+  await page.getByRole("button", { name: "Submit for Transcription" }).click();
+
+  await expect(page.getByText("Audio file could not be decoded")).toBeVisible();
+  await page.getByRole("button", { name: "Try Again" }).click();
+  await expect(page.getByText("Audio file could not be decoded")).toHaveCount(0);
+  await expect(page.getByRole("button", { name: "Start Recording" })).toBeEnabled();
+  await expect(page.getByRole("button", { name: "Submit for Transcription" })).toBeDisabled();
+});
+
+// Uploaded files are not real audio, so the browser cannot read a duration and leaves that check to the provider.
+const audioFile = (name, mimeType) => ({ name, mimeType, buffer: Buffer.from(`fake audio for ${name}`) });
+
+test("transcribes an uploaded recording and opens it for review", async ({ page }) => {
+  await page.goto("/");
+  await page.getByLabel("Audio files").setInputFiles(audioFile("follow-up.m4a", "audio/mp4"));
+
+  const item = page.locator(".upload-item", { hasText: "follow-up.m4a" });
+  await expect(item).toContainText("Transcribed", { timeout: 20000 });
+  await expect(page.getByText("Transcription of follow-up.m4a completed.")).toBeVisible();
+  await expect(page.getByLabel("Editable transcription")).toHaveValue(/hair fall over the last six months/);
+
+  // The file cannot be decoded, but its words still seek the player and low-confidence ones are marked.
+  await expect(page.getByText("Waveform unavailable for this file.")).toBeVisible();
+  await page.getByRole("button", { name: "minoxidil", exact: true }).click();
+  await expect(page.locator(".word--active")).toHaveText("minoxidil");
+  await expect(page.locator(".word--active")).toHaveClass(/word--low/);
+});
+
+test("validates and transcribes a batch of uploaded files", async ({ page }) => {
+  await page.goto("/");
+  await page
+    .getByLabel("Audio files")
+    .setInputFiles([audioFile("visit-1.mp3", "audio/mpeg"), audioFile("visit-2.wav", "audio/wav"), audioFile("notes.txt", "text/plain")]);
+
+  const rejected = page.locator(".upload-item", { hasText: "notes.txt" });
+  await expect(rejected).toContainText("Rejected");
+  await expect(rejected).toContainText("Unsupported file type .txt");
+
+  await expect(page.locator(".upload-item", { hasText: "visit-1.mp3" })).toContainText("Transcribed", { timeout: 20000 });
+  const second = page.locator(".upload-item", { hasText: "visit-2.wav" });
+  await expect(second).toContainText("Transcribed", { timeout: 20000 });
+  await expect(page.getByText("2/3 transcribed")).toBeVisible();
+
+  // Several files never open on their own; the clinician picks one.
+  await expect(page.getByLabel("Editable transcription")).toHaveCount(0);
+  await second.getByRole("button", { name: "Review" }).click();
+  await expect(page.getByText("Transcription of visit-2.wav completed.")).toBeVisible();
+  await page.getByRole("button", { name: "Generate Treatment Plans" }).click();
+  await expect(page.locator(".plan-card")).toHaveCount(3);
+});
+
+test("keeps transcript edits when speakers or the planner scope change", async ({ page }) => {
+  await page.goto("/");
+  await page.getByLabel("Audio files").setInputFiles(audioFile("review.m4a", "audio/mp4"));
+  const transcript = page.getByLabel("Editable transcription");
+  await expect(transcript).toHaveValue(/^Doctor: /, { timeout: 20000 });
+
+  // Untouched text follows the speaker names.
+  await page.getByLabel("Name for speaker A").fill("Dr Mehta");
+  await expect(transcript).toHaveValue(/^Dr Mehta: /);
+
+  const edited = `${await transcript.inputValue()}\nDr Mehta: Review in eight weeks.`;
+  await transcript.fill(edited);
+  await page.getByLabel("Name for speaker A").fill("Dr Rao");
+  await page.locator("label", { hasText: "Send to planner" }).getByRole("combobox").selectOption("doctor");
+  await expect(transcript).toHaveValue(edited);
+  await expect(page.getByText("The text below has your edits")).toBeVisible();
+
+  // Rebuilding asks first; declining keeps the edits.
+  page.once("dialog", (dialog) => dialog.dismiss());
+  await page.getByRole("button", { name: "Rebuild Text" }).click();
+  await expect(transcript).toHaveValue(edited);
+
+  page.once("dialog", (dialog) => dialog.accept());
+  await page.getByRole("button", { name: "Rebuild Text" }).click();
+  await expect(transcript).toHaveValue(/^Dr Rao: /);
+  await expect(transcript).not.toHaveValue(/Patient: |Review in eight weeks/);
+  await expect(page.getByRole("button", { name: "Rebuild Text" })).toHaveCount(0);
+});
@@ -1,50 +1,35 @@
-// Install the axios and fs-extra package by executing the command "npm install axios fs-extra"
+// Command-line transcription using the configured provider (TRANSCRIPTION_PROVIDER).
+// Usage: node transcribe.js [path-to-local-audio-file | audio-url]
 
-import axios from "axios";
 import fs from "fs-extra";
+import { loadConfigOrExit } from "./lib/config.js";
+import { errorSummary } from "./lib/logging.js";
+import { getTranscriptionProvider } from "./lib/transcription/index.js";
+import { getVocabulary, toTranscriptionOptions } from "./lib/vocabulary.js";
+
+loadConfigOrExit();
+const provider = getTranscriptionProvider();
+const input = process.argv[2] || "https://assembly.ai/wildfires.mp3";
+
+try {
+  // Local files are uploaded first; anything that looks like a URL is transcribed directly.
+  let audioUrl = input;
+  if (!/^[a-z]+:\/\//i.test(input)) {
+    const audioData = await fs.readFile(input);
+    const uploadResponse = await provider.upload(audioData, { filename: input });
+    audioUrl = uploadResponse.uploadUrl;
+  }
 
-const baseUrl = "https://api.assemblyai.com";
-const headers = {
-  authorization: "dcdc1cd44c08485789174de212de84c6", // AesthatiQ API Key
-};
-
-// You can upload a local file using the following code
-// const path = "./my-audio.mp3";
-// const audioData = await fs.readFile(path);
-// const uploadResponse = await axios.post(`${baseUrl}/v2/upload`, audioData, {
-//   headers,
-// });
-// const audioUrl = uploadResponse.data.upload_url;
-
-const audioUrl = "https://assembly.ai/wildfires.mp3";
-
-const data = {
-  audio_url: audioUrl,
-  speech_model: "universal",
-};
-
-const url = `${baseUrl}/v2/transcript`;
-
-const response = await axios.post(url, data, { headers: headers });
-
-const transcriptId = response.data.id;
-
-const pollingEndpoint = `${baseUrl}/v2/transcript/${transcriptId}`;
-
-while (true) {
-  const pollingResponse = await axios.get(pollingEndpoint, {
-    headers: headers,
+  const vocabulary = await getVocabulary();
+  const { transcriptId } = await provider.start(audioUrl, {
+    speakerLabels: false,
+    ...toTranscriptionOptions(vocabulary),
   });
 
-  const transcriptionResult = pollingResponse.data;
-
-  if (transcriptionResult.status === "completed") {
-    console.log(transcriptionResult.text);
-    break;
-  } else if (transcriptionResult.status === "error") {
-    throw new Error(`Transcription failed: ${transcriptionResult.error}`);
-  } else {
-    await new Promise((resolve) => setTimeout(resolve, 3000));
-  }
+  const transcriptionResult = await provider.result(transcriptId);
+  console.log(transcriptionResult.text);
+} catch (error) {
+  // An unhandled rejection would print the whole axios error, API key header included.
+  console.error("Transcription failed:", errorSummary(error));
+  process.exitCode = 1;
 }
-